@@ -0,0 +1,103 @@
+/*
+ * Tokens da API de gravação.
+ *
+ * Os tokens são emitidos pelo administrador em /admin/tokens e enviados
+ * pelos bots no cabeçalho `Authorization: Bearer <token>`. O token só é
+ * exibido no momento da emissão: o banco guarda o hash SHA-256 dele (tabela
+ * `api_tokens`, veja migrations/016_tokens_api.sql), de modo que um token
+ * perdido deve ser revogado e substituído por outro.
+ *
+ * Cada token recebe uma ou mais permissões (SCOPES), uma para cada grupo de
+ * rotas da API, e age em nome do administrador que o emitiu: as gravações
+ * aparecem na auditoria e no histórico de palpites como feitas por ele. Um
+ * token revogado, ou cujo autor deixou de ser administrador, é recusado.
+ */
+
+const crypto = require('crypto');
+
+// Prefixo dos tokens, que os identifica em arquivos de configuração e logs
+const TOKEN_PREFIX = 'tqr_';
+
+// Tamanho máximo do nome de um token
+const NAME_LENGTH = 80;
+
+// Permissões que um token pode receber, na ordem exibida no Admin
+const SCOPES = [
+  { key: 'placares', label: 'Placares', description: 'lançar o placar e a situação de uma partida' },
+  { key: 'partidas', label: 'Partidas', description: 'cadastrar partidas e alterar rodada, horário, fase e jogo' },
+  { key: 'artilharia', label: 'Artilharia', description: 'gravar a lista de artilheiros de uma competição' },
+  { key: 'palpites', label: 'Palpites', description: 'lançar os palpites de um apresentador na rodada aberta' }
+];
+
+/**
+ * Gera um token novo.
+ *
+ * @returns {string}
+ */
+function newToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash do token, como guardado no banco.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Token enviado no cabeçalho Authorization (`Bearer <token>`), ou null se
+ * o cabeçalho estiver ausente ou em outro formato.
+ *
+ * @param {string} [header] Valor do cabeçalho Authorization
+ * @returns {string|null}
+ */
+function parseBearer(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Valida o nome e as permissões de um token a emitir.
+ *
+ * @param {string} name Nome dado pelo administrador (por exemplo, o do bot)
+ * @param {Array<string>} scopes Permissões escolhidas
+ * @returns {string|null} Mensagem de erro, ou null se estiver tudo certo
+ */
+function validate(name, scopes) {
+  if (!name) return 'Informe um nome para o token (por exemplo, o do bot que vai usá-lo).';
+  if (name.length > NAME_LENGTH) return `O nome do token deve ter até ${NAME_LENGTH} caracteres.`;
+  if (scopes.length === 0) return 'Escolha ao menos uma permissão para o token.';
+  if (scopes.some(key => !SCOPES.some(s => s.key === key))) return 'Permissão de token desconhecida.';
+  return null;
+}
+
+/**
+ * Indica se o token tem a permissão pedida.
+ *
+ * @param {Object} token Token { scopes }
+ * @param {string} scope Chave da permissão
+ * @returns {boolean}
+ */
+function hasScope(token, scope) {
+  return token.scopes.includes(scope);
+}
+
+// Rótulos das permissões de um token, para a lista do Admin
+function describeScopes(scopes) {
+  return SCOPES.filter(s => scopes.includes(s.key)).map(s => s.label).join(', ');
+}
+
+module.exports = {
+  SCOPES,
+  NAME_LENGTH,
+  newToken,
+  hashToken,
+  parseBearer,
+  validate,
+  hasScope,
+  describeScopes
+};
@@ -0,0 +1,295 @@
+/*
+ * Auditoria das alterações feitas no Admin.
+ *
+ * Cada gravação de dados pelo Admin acrescenta uma linha à tabela
+ * `audit_log` (veja migrations/012_auditoria.sql) com o autor, o momento, a
+ * entidade alterada e os valores antes e depois:
+ *
+ * - partida (`match`, uma linha por partida): placar, pênaltis, situação,
+ *   motivo da anulação e agenda (rodada, fase, jogo e horário). Na criação
+ *   e na exclusão são guardados todos os campos da partida;
+ * - artilharia (`scorers`, uma linha por competição): a lista completa de
+ *   artilheiros antes e depois, já que a tabela é regravada inteira;
+ * - classificação (`classification`, uma linha por competição): a tabela
+ *   completa antes e depois de um recálculo manual. As mudanças causadas
+ *   por placares ficam registradas nas próprias partidas;
+ * - temporada (`season`): nome e ano na criação e a situação (arquivada ou
+ *   não);
+ * - competição (`competition`): nome, sigla, formato e times na criação;
+ * - regras de pontuação (`scoring`, uma única linha de ID 0, pois as regras
+ *   valem para todas as temporadas): pontos e situação de cada regra;
+ * - desempate (`tiebreakers`, uma linha por competição): a sequência de
+ *   critérios e os cartões e a posição no sorteio de cada time;
+ * - usuário (`user`): a troca de senha, registrada sem a senha nem os
+ *   hashes (`{ password: 'redefinida' }`).
+ *
+ * A operação (`action`) é `create`, `update` ou `delete`. Reverter uma
+ * alteração grava a operação inversa como uma nova linha, que aponta para a
+ * original em `reverts_id`; só as alterações de partidas, artilharia e
+ * classificação podem ser revertidas (REVERTIBLE_ENTITIES). As funções deste
+ * módulo comparam valores e descrevem as linhas; a gravação fica em
+ * database.js e no servidor.
+ */
+
+const matchStatus = require('./match_status');
+const kickoff = require('./kickoff');
+const scoring = require('./scoring');
+const tiebreakers = require('./static/tiebreakers');
+
+const ENTITY_LABELS = {
+  match: 'Partida',
+  scorers: 'Artilharia',
+  classification: 'Classificação',
+  season: 'Temporada',
+  competition: 'Competição',
+  scoring: 'Regras de pontuação',
+  tiebreakers: 'Desempate',
+  user: 'Usuário'
+};
+
+// Entidades cujas alterações podem ser revertidas pela página de auditoria
+const REVERTIBLE_ENTITIES = new Set(['match', 'scorers', 'classification']);
+
+const ACTION_LABELS = {
+  create: 'Criação',
+  update: 'Alteração',
+  delete: 'Exclusão'
+};
+
+// Campos da partida registrados na auditoria. Os times e a competição não
+// mudam depois da criação.
+const MATCH_FIELDS = [
+  'round', 'stage', 'leg', 'kickoff_at', 'kickoff_tbd',
+  'home_score', 'away_score', 'home_penalties', 'away_penalties',
+  'status', 'annulled_reason'
+];
+
+// Todos os campos de uma partida, guardados na criação e na exclusão
+const MATCH_ROW_FIELDS = ['id', 'competition_id', 'home_team_id', 'away_team_id', ...MATCH_FIELDS];
+
+// Campos registrados sempre juntos: os dois lados do placar e dos pênaltis
+// e a data com a marca de hora a definir
+const FIELD_PAIRS = [['home_score', 'away_score'], ['home_penalties', 'away_penalties'], ['kickoff_at', 'kickoff_tbd']];
+
+const SCORER_FIELDS = ['player', 'team_id', 'goals', 'rank'];
+
+const CLASSIFICATION_FIELDS = [
+  'team_id', 'points', 'games', 'wins', 'draws', 'losses', 'goals_for', 'goals_against', 'goal_diff'
+];
+
+const SCORING_FIELDS = ['key', 'points', 'enabled'];
+
+const TEAM_STATS_FIELDS = ['yellow_cards', 'red_cards', 'draw_order'];
+
+function pick(row, fields) {
+  const result = {};
+  fields.forEach(f => { result[f] = row[f] === undefined ? null : row[f]; });
+  return result;
+}
+
+/**
+ * Campos de uma partida guardados na criação e na exclusão.
+ *
+ * @param {Object} match Partida
+ * @returns {Object}
+ */
+function matchRow(match) {
+  return pick(match, MATCH_ROW_FIELDS);
+}
+
+/**
+ * Diferença entre duas versões de uma partida, limitada aos campos
+ * auditados.
+ *
+ * @param {Object} before Partida antes da alteração
+ * @param {Object} after Partida depois da alteração
+ * @returns {Object|null} { before, after } só com os campos alterados, ou
+ *   null se nada mudou
+ */
+function diffMatch(before, after) {
+  let changed = MATCH_FIELDS.filter(f => (before[f] === undefined ? null : before[f]) !== (after[f] === undefined ? null : after[f]));
+  if (changed.length === 0) return null;
+  FIELD_PAIRS.forEach(pair => {
+    if (pair.some(f => changed.includes(f))) changed.push(...pair);
+  });
+  changed = MATCH_FIELDS.filter(f => changed.includes(f));
+  return { before: pick(before, changed), after: pick(after, changed) };
+}
+
+/**
+ * Lista de artilheiros como guardada na auditoria.
+ *
+ * @param {Array} scorers Artilheiros de uma competição, na ordem da tabela
+ * @returns {Array}
+ */
+function scorersSnapshot(scorers) {
+  return scorers.map(s => pick(s, SCORER_FIELDS));
+}
+
+/**
+ * Tabela de classificação como guardada na auditoria, ordenada pelo time
+ * para que a comparação não dependa da ordem de gravação.
+ *
+ * @param {Array} classification Linhas da classificação de uma competição
+ * @returns {Array}
+ */
+function classificationSnapshot(classification) {
+  return classification
+    .map(e => pick(e, CLASSIFICATION_FIELDS))
+    .sort((a, b) => a.team_id - b.team_id);
+}
+
+/**
+ * Regras de pontuação como guardadas na auditoria.
+ *
+ * @param {Array} rules Regras { key, points, enabled }
+ * @returns {Array}
+ */
+function scoringSnapshot(rules) {
+  return rules.map(r => ({ ...pick(r, SCORING_FIELDS), enabled: Boolean(r.enabled) }));
+}
+
+/**
+ * Critérios de desempate de uma competição como guardados na auditoria:
+ * a sequência e os dados de cada time, ordenados pelo time.
+ *
+ * @param {Array<string>} chain Chaves dos critérios
+ * @param {Object} teamStats Cartões e sorteio, indexados pelo ID do time
+ * @returns {Object} { chain, teams }
+ */
+function tiebreakersSnapshot(chain, teamStats) {
+  const teams = Object.keys(teamStats)
+    .map(id => ({ team_id: parseInt(id, 10), ...pick(teamStats[id], TEAM_STATS_FIELDS) }))
+    .sort((a, b) => a.team_id - b.team_id);
+  return { chain: chain.slice(), teams };
+}
+
+/**
+ * Indica se as alterações da entidade podem ser revertidas.
+ *
+ * @param {string} entity
+ * @returns {boolean}
+ */
+function isRevertible(entity) {
+  return REVERTIBLE_ENTITIES.has(entity);
+}
+
+/**
+ * Indica se dois valores guardados na auditoria são iguais.
+ */
+function sameValues(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Indica se a partida ainda tem os valores informados (por exemplo, os
+ * valores "depois" de uma alteração, antes de revertê-la).
+ *
+ * @param {Object} match Partida atual
+ * @param {Object} values Campos e valores esperados
+ * @returns {boolean}
+ */
+function matchHasValues(match, values) {
+  return Object.keys(values).every(f => (match[f] === undefined ? null : match[f]) === values[f]);
+}
+
+function formatScore(home, away) {
+  return home === null || away === null ? 'sem placar' : `${home} x ${away}`;
+}
+
+// Itens de uma lista que não aparecem na outra lista da alteração
+function changedItems(values, other) {
+  const others = new Set((other || []).map(item => JSON.stringify(item)));
+  return values.filter(item => !others.has(JSON.stringify(item)));
+}
+
+/**
+ * Descreve, em linhas de texto, os valores guardados em uma linha da
+ * auditoria.
+ *
+ * @param {string} entity Entidade (veja ENTITY_LABELS)
+ * @param {Object|Array|null} values Valores antes ou depois
+ * @param {Object} lookup { teamName(id), formatLabel(key) } para os nomes
+ *   dos times e dos formatos de competição
+ * @param {Object|Array|null} [other] Valores do outro lado da alteração,
+ *   usados para listar só os artilheiros, times e regras que mudaram
+ * @returns {Array<string>}
+ */
+function describe(entity, values, lookup, other) {
+  if (!values) return [];
+  if (entity === 'match') {
+    const lines = [];
+    if ('round' in values) lines.push(`Rodada: ${values.round}`);
+    if ('stage' in values) lines.push(`Fase: ${values.stage || '-'}`);
+    if ('leg' in values) lines.push(`Jogo: ${values.leg === 1 ? 'ida' : values.leg === 2 ? 'volta' : '-'}`);
+    if ('kickoff_at' in values) lines.push(`Início: ${kickoff.formatMatch(values)}`);
+    if ('home_score' in values || 'away_score' in values) {
+      lines.push(`Placar: ${formatScore(values.home_score, values.away_score)}`);
+    }
+    if ('home_penalties' in values || 'away_penalties' in values) {
+      lines.push(`Pênaltis: ${formatScore(values.home_penalties, values.away_penalties)}`);
+    }
+    if ('status' in values) lines.push(`Situação: ${matchStatus.STATUS_LABELS[values.status] || values.status}`);
+    if ('annulled_reason' in values) lines.push(`Motivo: ${values.annulled_reason || '-'}`);
+    return lines;
+  }
+  if (entity === 'scorers') {
+    return changedItems(values, other)
+      .map(s => `${s.rank}º ${s.player} (${lookup.teamName(s.team_id)}): ${s.goals} gol(s)`);
+  }
+  if (entity === 'classification') {
+    return changedItems(values, other)
+      .map(e => `${lookup.teamName(e.team_id)}: ${e.points} pts, ${e.games} J, ${e.wins}V ${e.draws}E ${e.losses}D, ${e.goals_for}:${e.goals_against}`);
+  }
+  if (entity === 'season') {
+    const lines = [];
+    if ('name' in values) lines.push(`Nome: ${values.name}`);
+    if ('year' in values) lines.push(`Ano: ${values.year}`);
+    if ('archived' in values) lines.push(`Situação: ${values.archived ? 'arquivada' : 'em andamento'}`);
+    return lines;
+  }
+  if (entity === 'competition') {
+    return [
+      `Nome: ${values.name} (${values.abbr})`,
+      `Formato: ${lookup.formatLabel(values.format)}`,
+      `Times: ${values.team_ids.map(lookup.teamName).join(', ')}`
+    ];
+  }
+  if (entity === 'scoring') {
+    return changedItems(values, other).map(r => {
+      const rule = scoring.RULES.find(item => item.key === r.key);
+      return `${rule ? rule.label : r.key}: ${r.points} pt(s)${r.enabled ? '' : ' (desativada)'}`;
+    });
+  }
+  if (entity === 'tiebreakers') {
+    const lines = [];
+    if (!other || !sameValues(values.chain, other.chain)) {
+      lines.push(`Critérios: ${values.chain.map(tiebreakers.criterionLabel).join(', ') || '-'}`);
+    }
+    changedItems(values.teams, other && other.teams).forEach(t => {
+      const draw = t.draw_order === null ? '' : `, sorteio ${t.draw_order}º`;
+      lines.push(`${lookup.teamName(t.team_id)}: ${t.yellow_cards} amarelo(s), ${t.red_cards} vermelho(s)${draw}`);
+    });
+    return lines;
+  }
+  if (entity === 'user') {
+    return 'password' in values ? [`Senha: ${values.password}`] : [];
+  }
+  return [];
+}
+
+module.exports = {
+  ENTITY_LABELS,
+  ACTION_LABELS,
+  MATCH_FIELDS,
+  matchRow,
+  diffMatch,
+  scorersSnapshot,
+  classificationSnapshot,
+  scoringSnapshot,
+  tiebreakersSnapshot,
+  isRevertible,
+  sameValues,
+  matchHasValues,
+  describe
+};
@@ -0,0 +1,224 @@
+/*
+ * Cache em memória dos dados do portal.
+ *
+ * As páginas públicas leem os mesmos dados em praticamente todas as
+ * requisições. Em vez de consultar o banco a cada acesso, este módulo
+ * carrega tudo uma única vez (via database.js) e mantém o resultado em
+ * memória até que uma transação de gravação termine; nesse momento o
+ * cache é descartado e a próxima leitura recarrega os dados.
+ *
+ * Além das listas originais (users, matches, teams, classification,
+ * predictions, scorers), o objeto retornado traz índices para as buscas
+ * mais frequentes, evitando percorrer arrays inteiros dentro de laços, e as
+ * regras de pontuação já combinadas com as definições de scoring.js
+ * (`scoringRules`).
+ *
+ * O banco guarda várias temporadas, cada uma com suas competições. O objeto
+ * carregado traz a lista de temporadas (`seasons`), a temporada em andamento
+ * (`activeSeason`) e o método `forSeason(id)`, que devolve os mesmos campos
+ * e índices restritos a uma temporada. A visão da temporada, por sua vez,
+ * oferece `forCompetition(id)` para restringir os dados a uma competição.
+ * As páginas trabalham sempre sobre essas visões.
+ *
+ * O objeto em cache é compartilhado entre requisições: quem precisar
+ * alterar os dados deve copiá-los antes (ou ler diretamente do banco
+ * dentro de uma transação).
+ */
+
+const dbAccess = require('./database');
+const scoring = require('./scoring');
+const tiebreakers = require('./static/tiebreakers');
+
+let cached = null;
+
+/**
+ * Acrescenta os índices de busca ao objeto carregado do banco.
+ *
+ * @param {Object} data Dados retornados por dbAccess.loadData()
+ * @returns {Object} O mesmo objeto com os índices
+ */
+function buildIndexes(data) {
+  const usersById = new Map(data.users.map(u => [u.id, u]));
+  const teamsById = new Map((data.allTeams || data.teams).map(t => [t.id, t]));
+  const matchesById = new Map(data.matches.map(m => [m.id, m]));
+  const predictionsByMatch = new Map();
+  const predictionsByUser = new Map();
+  const predictionsByKey = new Map();
+  data.predictions.forEach(p => {
+    if (!predictionsByMatch.has(p.match_id)) predictionsByMatch.set(p.match_id, []);
+    predictionsByMatch.get(p.match_id).push(p);
+    if (!predictionsByUser.has(p.user_id)) predictionsByUser.set(p.user_id, []);
+    predictionsByUser.get(p.user_id).push(p);
+    predictionsByKey.set(`${p.match_id}:${p.user_id}`, p);
+  });
+  return {
+    ...data,
+    usersById,
+    teamsById,
+    matchesById,
+    predictionsByMatch,
+    predictionsByUser,
+    // Palpite de um apresentador para uma partida (ou undefined)
+    predictionFor(matchId, userId) {
+      return predictionsByKey.get(`${matchId}:${userId}`);
+    }
+  };
+}
+
+/**
+ * Monta a visão de uma competição: times participantes, partidas,
+ * classificação e artilharia da competição, e os palpites feitos para as
+ * suas partidas. O índice `teamsById` continua cobrindo todos os times,
+ * pois eles são compartilhados entre competições e temporadas.
+ *
+ * A visão traz também o necessário para ordenar a classificação: a
+ * sequência de critérios de desempate (`tiebreakers`) e os cartões e a
+ * posição no sorteio de cada participante (`teamStats`, indexado pelo ID
+ * do time).
+ *
+ * @param {Object} data Dados completos retornados por dbAccess.loadData()
+ * @param {Object} season Temporada da competição
+ * @param {Object} competition Competição desejada
+ * @returns {Object} Visão da competição com índices (veja buildIndexes)
+ */
+function buildCompetitionView(data, season, competition) {
+  const participants = data.competitionTeams.filter(ct => ct.competition_id === competition.id);
+  const teamIds = new Set(participants.map(ct => ct.team_id));
+  const teamStats = {};
+  participants.forEach(ct => {
+    teamStats[ct.team_id] = { yellow_cards: ct.yellow_cards, red_cards: ct.red_cards, draw_order: ct.draw_order };
+  });
+  const matches = data.matches.filter(m => m.competition_id === competition.id);
+  const matchIds = new Set(matches.map(m => m.id));
+  return buildIndexes({
+    season,
+    competition,
+    seasons: data.seasons,
+    users: data.users,
+    allTeams: data.teams,
+    teams: data.teams.filter(t => teamIds.has(t.id)),
+    matches,
+    classification: data.classification.filter(c => c.competition_id === competition.id),
+    predictions: data.predictions.filter(p => matchIds.has(p.match_id)),
+    scorers: data.scorers.filter(s => s.competition_id === competition.id),
+    scoringRules: data.scoringRules,
+    tiebreakers: tiebreakers.parseChain(competition.tiebreakers),
+    teamStats
+  });
+}
+
+/**
+ * Monta a visão de uma temporada, reunindo todas as suas competições: os
+ * times participam de ao menos uma delas e as partidas e palpites são os
+ * de qualquer competição. Classificação e artilharia só fazem sentido por
+ * competição, então devem ser lidas pela visão de `forCompetition(id)`.
+ *
+ * @param {Object} data Dados completos retornados por dbAccess.loadData()
+ * @param {Object} season Temporada desejada
+ * @returns {Object} Visão da temporada com índices, `competitions`,
+ *   `competitionsById` e `forCompetition`
+ */
+function buildSeasonView(data, season) {
+  const competitions = data.competitions.filter(c => c.season_id === season.id);
+  const competitionsById = new Map(competitions.map(c => [c.id, c]));
+  const teamIds = new Set(
+    data.competitionTeams.filter(ct => competitionsById.has(ct.competition_id)).map(ct => ct.team_id)
+  );
+  const matches = data.matches.filter(m => competitionsById.has(m.competition_id));
+  const matchIds = new Set(matches.map(m => m.id));
+  const views = new Map();
+  return {
+    ...buildIndexes({
+      season,
+      seasons: data.seasons,
+      users: data.users,
+      allTeams: data.teams,
+      teams: data.teams.filter(t => teamIds.has(t.id)),
+      matches,
+      classification: data.classification.filter(c => competitionsById.has(c.competition_id)),
+      predictions: data.predictions.filter(p => matchIds.has(p.match_id)),
+      scorers: data.scorers.filter(s => competitionsById.has(s.competition_id)),
+      scoringRules: data.scoringRules
+    }),
+    competitions,
+    competitionsById,
+    forCompetition(competitionId) {
+      const competition = competitionsById.get(competitionId);
+      if (!competition) return null;
+      if (!views.has(competitionId)) views.set(competitionId, buildCompetitionView(data, season, competition));
+      return views.get(competitionId);
+    }
+  };
+}
+
+/**
+ * Acrescenta aos dados completos o acesso às temporadas. A temporada em
+ * andamento é a mais recente que não foi arquivada (ou null se todas
+ * estiverem arquivadas). As visões por temporada são montadas sob demanda
+ * e guardadas junto com os dados.
+ *
+ * @param {Object} data Dados retornados por dbAccess.loadData()
+ * @returns {Object} Dados com índices, `seasonsById`, `competitionsById`,
+ *   `activeSeason` e `forSeason`
+ */
+function buildStore(loaded) {
+  const data = { ...loaded, scoringRules: scoring.resolveRules(loaded.scoringRules) };
+  const seasonsById = new Map(data.seasons.map(s => [s.id, s]));
+  const competitionsById = new Map(data.competitions.map(c => [c.id, c]));
+  const views = new Map();
+  // data.seasons vem ordenada do ano mais recente para o mais antigo
+  const activeSeason = data.seasons.find(s => !s.archived) || null;
+  return {
+    ...buildIndexes(data),
+    seasonsById,
+    competitionsById,
+    activeSeason,
+    forSeason(seasonId) {
+      const season = seasonsById.get(seasonId);
+      if (!season) return null;
+      if (!views.has(seasonId)) views.set(seasonId, buildSeasonView(data, season));
+      return views.get(seasonId);
+    }
+  };
+}
+
+/**
+ * Retorna os dados do portal, carregando-os do banco apenas quando o cache
+ * estiver vazio.
+ *
+ * @returns {Promise<Object>} Dados com índices (veja buildStore)
+ */
+function get() {
+  if (!cached) {
+    const loading = loadFresh();
+    cached = loading;
+    // Uma falha de leitura não deve ficar presa no cache
+    loading.catch(() => {
+      if (cached === loading) cached = null;
+    });
+  }
+  return cached;
+}
+
+/**
+ * Lê os dados diretamente do banco, sem passar pelo cache. Deve ser usada
+ * dentro de transações de gravação, que precisam do estado mais recente e
+ * podem alterar os objetos retornados livremente.
+ *
+ * @returns {Promise<Object>} Dados com índices (veja buildStore)
+ */
+function loadFresh() {
+  return dbAccess.loadData().then(buildStore);
+}
+
+// Descarta o cache; a próxima chamada a get() relê o banco.
+function invalidate() {
+  cached = null;
+}
+
+// Toda transação concluída (confirmada ou desfeita) invalida o cache. Leituras
+// feitas enquanto a transação estava aberta podem ter visto dados ainda não
+// confirmados, então o descarte também é necessário no caso de ROLLBACK.
+dbAccess.onTransactionEnd(invalidate);
+
+module.exports = { get, loadFresh, invalidate };
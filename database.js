@@ -1,1317 +1,875 @@
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
-const url = require('url');
-const querystring = require('querystring');
-const crypto = require('crypto');
-// Importa camada de acesso ao banco de dados. Esta camada fornece funções
-// assíncronas para consultar e manipular registros no SQLite. Atualmente
-// apenas algumas rotas utilizam essas funções diretamente; a refatoração
-// completa para o banco pode ser feita posteriormente.
-
-// Commit atualizado 28/07/2025
-// IDs de partidas que não devem ser considerados em palpites e ranking. Estes
-// jogos permanecem no histórico de resultados, mas não devem aparecer na
-// página de palpites nem contar pontos no ranking. A lista é definida
-// conforme decisão do administrador (por exemplo, jogos anulados na rodada 18).
-const excludedMatchIds = new Set([5, 6, 7, 8]);
-
-// Mapeamento de cores para cada equipe. Cada sigla recebe uma cor distinta
-// para representar visualmente o time por meio de um círculo colorido. As
-// cores foram escolhidas manualmente e podem ser ajustadas conforme
-// preferências estéticas do portal.
-const teamColors = {
-  GOI: '#FF6B6B', // Goiás
-  CFC: '#6BCB77', // Coritiba
-  NOV: '#4D96FF', // Novorizontino
-  CHA: '#FFD93D', // Chapecoense
-  CUI: '#FF6F91', // Cuiabá
-  VNO: '#845EC2', // Vila Nova
-  REM: '#FFC75F', // Remo
-  AVA: '#008F7A', // Avaí
-  CAP: '#2C73D2', // Athletico-PR
-  CRI: '#C34A36', // Criciúma
-  ATH: '#FF9671', // Athletic Club
-  OPE: '#00C9A7', // Operário
-  CRB: '#C1D3FE', // CRB
-  ACG: '#B8C4FF', // Atlético-GO
-  AME: '#FFD6E0', // América-MG
-  PAY: '#FFC700', // Paysandu
-  FER: '#8FB339', // Ferroviária
-  AMA: '#E36414', // Amazonas
-  VOL: '#6F4E37', // Volta Redonda
-  BFC: '#A3CB38'  // Botafogo-SP
-};
-
-/**
- * Retorna um span HTML contendo um pequeno círculo colorido (dot) para
- * representar uma equipe. O tamanho do dot é definido pelo parâmetro
- * `small`. Caso a sigla da equipe não esteja no mapeamento, utiliza a
- * cor amarela padrão.
+/*
+ * Camada de acesso ao banco de dados SQLite do Debate Taquara Raiz.
  *
- * @param {Object} team - Objeto da equipe, contendo ao menos a propriedade
- *                        `abbr`.
- * @param {boolean} small - Se verdadeiro, usa a classe `.small-dot` ao
- *                          invés de `.team-dot`.
- * @returns {string} HTML com a marcação do dot colorido.
+ * Este módulo é o único caminho de leitura e escrita dos dados do portal.
+ * Ele abre o arquivo `database.db` (criado por init_db.js e populado por
+ * import_data.js) e expõe funções assíncronas, baseadas em Promises, para
+ * temporadas, competições, usuários, sessões, times, partidas, palpites,
+ * classificação, artilharia e regras de pontuação. Os arquivos em `data/*.json` servem apenas como carga inicial
+ * do banco.
  */
-// Retorna a marca visual para uma equipe. Em vez de apenas um ponto colorido,
-// utilizamos o escudo (logo) da equipe sempre que possível. O tamanho da
-// imagem varia de acordo com o parâmetro `small` para que se ajuste
-// corretamente em listas compactas (como nas tabelas de artilheiros e
-// resultados). Caso a sigla da equipe não esteja definida ou não exista um
-// arquivo de logotipo correspondente, o código volta a utilizar um ponto
-// colorido como reserva. O nome da equipe é incluído no atributo `alt` para
-// acessibilidade.
-function getTeamDot(team, small = false) {
-  const abbr = (team.abbr || '').toLowerCase();
-  const className = small ? 'team-logo-small' : 'team-logo';
-  // Verifica se há um logotipo correspondente no diretório de logos.
-  // Se não houver, usa o ponto colorido como fallback.
-  const logoPath = `/static/team_logos/${abbr}.png`;
-  // Construir o elemento <img> para o logotipo. Não fazemos verificação de
-  // existência em tempo de execução; assumimos que os arquivos estão
-  // disponíveis para todas as equipes cadastradas. Se algum arquivo
-  // estiver ausente, o navegador exibirá o ícone de erro padrão.
-  return `<img src="${logoPath}" class="${className}" alt="${team.name} logo">`;
-}
-
-// Helper functions to load and persist JSON data
-const dataDir = path.join(__dirname, 'data');
-function readJSON(filename) {
-  const p = path.join(dataDir, filename);
-  return JSON.parse(fs.readFileSync(p, 'utf8'));
-}
-function writeJSON(filename, data) {
-  const p = path.join(dataDir, filename);
-  fs.writeFileSync(p, JSON.stringify(data, null, 2));
-}
-
-// Load all data into memory (will be re-read when needed)
-function loadData() {
-  return {
-    users: readJSON('users.json'),
-    matches: readJSON('matches.json'),
-    teams: readJSON('teams.json'),
-    classification: readJSON('classification.json'),
-    predictions: readJSON('predictions.json'),
-    scorers: readJSON('scorers.json')
-  };
-}
 
-// Session store: token -> userId
-const sessions = {};
-
-function parseCookies(cookieHeader) {
-  const list = {};
-  if (!cookieHeader) return list;
-  cookieHeader.split(';').forEach(function(cookie) {
-    const parts = cookie.split('=');
-    const key = parts.shift().trim();
-    const value = decodeURIComponent(parts.join('='));
-    list[key] = value;
-  });
-  return list;
-}
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const passwords = require('./passwords');
+
+// O caminho do banco pode ser sobrescrito pela variável DB_FILE (útil para
+// apontar para uma cópia do banco durante testes manuais).
+const dbFile = process.env.DB_FILE || path.join(__dirname, 'database.db');
+const db = new sqlite3.Database(dbFile);
+// O SQLite só valida chaves estrangeiras quando o PRAGMA é ativado na conexão
+db.serialize(() => {
+  db.run('PRAGMA foreign_keys = ON');
+});
 
-function getUserFromRequest(req) {
-  const cookies = parseCookies(req.headers.cookie);
-  const token = cookies.session;
-  if (token && sessions[token]) {
-    const data = loadData();
-    return data.users.find(u => u.id === sessions[token]);
+/**
+ * Erro lançado quando uma gravação viola uma restrição do banco (chave
+ * estrangeira, unicidade ou NOT NULL). A mensagem é pensada para ser
+ * exibida diretamente na área administrativa.
+ */
+class IntegrityError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.cause = cause;
   }
-  return null;
-}
-
-// Render template with simple variable substitution
-function renderTemplate(templateName, vars) {
-  const templatePath = path.join(__dirname, 'templates', templateName);
-  let template = fs.readFileSync(templatePath, 'utf8');
-  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, p1) => {
-    return vars[p1] !== undefined ? vars[p1] : '';
-  });
-}
-
-function sendRedirect(res, location) {
-  res.statusCode = 302;
-  res.setHeader('Location', location);
-  res.end();
 }
 
-function handleStatic(req, res, pathname) {
-  const filePath = path.join(__dirname, pathname);
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      res.statusCode = 404;
-      res.end('Not found');
-      return;
-    }
-    // Set content type based on extension
-    const ext = path.extname(filePath);
-    let type = 'text/plain';
-    if (ext === '.css') type = 'text/css';
-    else if (ext === '.js') type = 'application/javascript';
-    else if (['.png', '.jpg', '.jpeg', '.gif'].includes(ext)) type = 'image/' + ext.substring(1);
-    else if (ext === '.svg') type = 'image/svg+xml';
-    res.statusCode = 200;
-    res.setHeader('Content-Type', type);
-    res.end(content);
-  });
+// Converte os erros SQLITE_CONSTRAINT do driver em IntegrityError com uma
+// descrição compreensível. Outros erros são devolvidos sem alteração.
+function translateConstraintError(err) {
+  if (!err || err.code !== 'SQLITE_CONSTRAINT') return err;
+  const msg = err.message || '';
+  if (msg.includes('FOREIGN KEY')) {
+    return new IntegrityError('Operação recusada: o registro faz referência a um time, partida ou usuário inexistente (ou ainda é referenciado por outros dados).', err);
+  }
+  if (msg.includes('UNIQUE') && msg.includes('predictions.match_id')) {
+    return new IntegrityError('Já existe um palpite deste apresentador para esta partida.', err);
+  }
+  if (msg.includes('UNIQUE') && msg.includes('seasons.year')) {
+    return new IntegrityError('Já existe uma temporada cadastrada para este ano.', err);
+  }
+  if (msg.includes('UNIQUE') && msg.includes('competitions.season_id')) {
+    return new IntegrityError('Já existe uma competição com este nome na temporada.', err);
+  }
+  if (msg.includes('UNIQUE')) {
+    return new IntegrityError('Operação recusada: já existe um registro com os mesmos dados.', err);
+  }
+  if (msg.includes('NOT NULL')) {
+    return new IntegrityError('Operação recusada: um campo obrigatório não foi preenchido.', err);
+  }
+  return new IntegrityError('Operação recusada por violar uma restrição do banco de dados.', err);
 }
 
-// Compute the last 5 results (V, E, D) for a team based on finished matches
-function computeTeamForm(teamId, matches) {
-  // Filter only finished matches where this team played
-  const finished = matches.filter(m => {
-    return m.home_score !== null && m.away_score !== null &&
-      (m.home_team_id === teamId || m.away_team_id === teamId);
-  });
-  // Order by date descending
-  finished.sort((a, b) => {
-    const da = new Date(a.date);
-    const db = new Date(b.date);
-    return db - da;
-  });
-  
-  const form = [];
-  // Determine result from the perspective of the team
-  finished.slice(0, 5).forEach(m => {
-    let result;
-    if (m.home_team_id === teamId) {
-      if (m.home_score > m.away_score) result = 'V';
-      else if (m.home_score < m.away_score) result = 'D';
-      else result = 'E';
-    } else {
-      // team played as visitor
-      if (m.away_score > m.home_score) result = 'V';
-      else if (m.away_score < m.home_score) result = 'D';
-      else result = 'E';
-    }
-    form.push(result);
+// ----------------------------------------------------------------------
+// Utilitários para transformar a API de callbacks do sqlite3 em Promises
+// ----------------------------------------------------------------------
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(translateConstraintError(err));
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
   });
-  // Fill remaining positions with dash
-  while (form.length < 5) form.push('-');
-  return form;
 }
 
-// Obtém informações de um time específico
-function getTeamById(teamId) {
+function get(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.get('SELECT id, name, abbr, highlight FROM teams WHERE id = ?', [teamId], (err, row) => {
+    db.get(sql, params, (err, row) => {
       if (err) reject(err);
       else resolve(row);
     });
   });
 }
 
-// Consulta a classificação completa (sem ordenação específica)
-function getClassification() {
+function all(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.all('SELECT team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff FROM classification', [], (err, rows) => {
+    db.all(sql, params, (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
   });
 }
 
-// Atualiza a classificação: recebe um array de objetos e persiste cada registro.
-async function updateClassification(entries) {
+function exec(sql) {
   return new Promise((resolve, reject) => {
-    const stmt = db.prepare('INSERT OR REPLACE INTO classification (team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)');
-    db.serialize(() => {
-      for (const e of entries) {
-        stmt.run([e.team_id, e.points, e.games, e.wins, e.draws, e.losses, e.goals_for, e.goals_against, e.goal_diff]);
-      }
-      stmt.finalize((err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
   });
 }
 
-// Consulta todos os jogos (partidas)
-function getMatches() {
-  return new Promise((resolve, reject) => {
-    db.all('SELECT id, round, date, home_team_id, away_team_id, home_score, away_score FROM matches ORDER BY date', [], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+// Fila de gravação: cada transação só começa depois que a anterior terminou.
+// Como todas as requisições compartilham a mesma conexão, isso impede que
+// duas gravações concorrentes (por exemplo, dois POSTs do admin) tenham
+// seus comandos intercalados dentro de uma mesma transação.
+let writeQueue = Promise.resolve();
+
+// Funções avisadas ao fim de cada transação (usadas para invalidar caches)
+const transactionEndListeners = [];
+
+/**
+ * Registra uma função chamada sempre que uma transação termina, tenha ela
+ * sido confirmada ou desfeita.
+ *
+ * @param {Function} listener Função sem argumentos
+ */
+function onTransactionEnd(listener) {
+  transactionEndListeners.push(listener);
 }
 
-// Consulta partidas por rodada
-function getMatchesByRound(round) {
-  return new Promise((resolve, reject) => {
-    db.all('SELECT id, round, date, home_team_id, away_team_id, home_score, away_score FROM matches WHERE round = ? ORDER BY date', [round], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+function notifyTransactionEnd() {
+  transactionEndListeners.forEach(listener => listener());
 }
 
-// Atualiza o placar de uma partida específica
-function updateMatchScore(matchId, homeScore, awayScore) {
-  return new Promise((resolve, reject) => {
-    db.run('UPDATE matches SET home_score = ?, away_score = ? WHERE id = ?', [homeScore, awayScore, matchId], function(err) {
-      if (err) reject(err);
-      else resolve();
-    });
+/**
+ * Executa `work` dentro de uma transação do SQLite. Todas as gravações
+ * feitas por `work` são confirmadas juntas; se ele lançar um erro (ou a
+ * Promise retornada for rejeitada), nada é gravado. As transações são
+ * enfileiradas e executadas uma de cada vez. Como a leitura dos dados
+ * também deve acontecer dentro de `work`, cálculos baseados no estado atual
+ * (como a classificação incremental) nunca partem de dados desatualizados.
+ *
+ * Não chame `transaction` de dentro de outro `work`: a chamada interna
+ * aguardaria a externa terminar e nenhuma das duas avançaria. Todas as
+ * gravações do portal devem passar por aqui, pois é o fim da transação que
+ * invalida o cache em memória (veja data_store.js).
+ *
+ * @param {Function} work Função que retorna uma Promise com as gravações
+ * @returns {Promise<*>} Valor resolvido por `work`
+ */
+function transaction(work) {
+  const result = writeQueue.then(async () => {
+    await exec('BEGIN IMMEDIATE');
+    try {
+      const value = await work();
+      await exec('COMMIT');
+      return value;
+    } catch (err) {
+      await exec('ROLLBACK');
+      throw err;
+    } finally {
+      notifyTransactionEnd();
+    }
   });
+  // A fila continua mesmo que esta transação falhe
+  writeQueue = result.catch(() => {});
+  return result;
 }
 
-// Consulta todos os palpites teste 123
-function getPredictions() {
-  return new Promise((resolve, reject) => {
-    db.all('SELECT id, match_id, user_id, home_score, away_score FROM predictions', [], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+// Gravações de dados que não passam pelo cache em memória, como as
+// sessões de login: seguem a mesma fila das transações, para não caírem
+// dentro de uma delas, mas não descartam o cache ao terminar. Como
+// `transaction`, não devem ser chamadas de dentro de um `work`.
+function queuedRun(sql, params = []) {
+  const result = writeQueue.then(() => run(sql, params));
+  writeQueue = result.catch(() => {});
+  return result;
 }
 
-// Obtém palpites por partida
-function getPredictionsByMatch(matchId) {
-  return new Promise((resolve, reject) => {
-    db.all('SELECT id, match_id, user_id, home_score, away_score FROM predictions WHERE match_id = ?', [matchId], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+// O SQLite armazena booleanos como 0/1. Convertendo na leitura, o restante
+// do código continua trabalhando com `true`/`false`, como nos arquivos JSON.
+function mapUser(row) {
+  if (!row) return null;
+  return { ...row, isAdmin: !!row.isAdmin };
 }
 
-// Obtém palpites por rodada (join com matches)
-function getPredictionsByRound(round) {
-  return new Promise((resolve, reject) => {
-    const sql = `SELECT p.id, p.match_id, p.user_id, p.home_score, p.away_score
-                 FROM predictions p
-                 JOIN matches m ON p.match_id = m.id
-                 WHERE m.round = ?`;
-    db.all(sql, [round], (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+function mapTeam(row) {
+  if (!row) return null;
+  return { ...row, highlight: !!row.highlight };
 }
 
-// Insere ou substitui um palpite
-function upsertPrediction(prediction) {
-  return new Promise((resolve, reject) => {
-    const { id, match_id, user_id, home_score, away_score } = prediction;
-    if (id === undefined || id === null) {
-      // Insere nova linha sem especificar o ID (ID será atribuído automaticamente)
-      db.run(
-        'INSERT INTO predictions (match_id, user_id, home_score, away_score) VALUES (?, ?, ?, ?)',
-        [match_id, user_id, home_score, away_score],
-        function (err) {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    } else {
-      // Atualiza linha existente
-      db.run(
-        'UPDATE predictions SET home_score = ?, away_score = ? WHERE id = ?',
-        [home_score, away_score, id],
-        function (err) {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    }
-  });
+function mapSeason(row) {
+  if (!row) return null;
+  return { ...row, archived: !!row.archived };
 }
 
-// Determine result sign: returns 'home', 'draw', 'away'
-function resultSign(home, away) {
-  if (home > away) return 'home';
-  if (home < away) return 'away';
-  return 'draw';
+// ----------------------------------------------------------------------
+// Temporadas
+// ----------------------------------------------------------------------
+function getSeasons() {
+  return all('SELECT id, name, year, archived FROM seasons ORDER BY year DESC')
+    .then(rows => rows.map(mapSeason));
 }
 
-function buildNavLinks(user) {
-  let adminLink = '';
-  let authLink = '';
-  if (user && user.isAdmin) {
-    adminLink = '<li><a href="/admin">Admin</a></li>';
-  }
-  if (user) {
-    authLink = `<li><a href="/logout">Sair (${user.name})</a></li>`;
-  } else {
-    authLink = '<li><a href="/login">Entrar</a></li>';
-  }
-  return { adminLink, authLink };
+function getSeasonById(seasonId) {
+  return get('SELECT id, name, year, archived FROM seasons WHERE id = ?', [seasonId])
+    .then(mapSeason);
 }
 
-function handleHome(req, res, user) {
-  const data = loadData();
-  // Sort classification by points desc, goal difference, goals for
-  const sorted = [...data.classification].sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.goal_diff !== a.goal_diff) return b.goal_diff - a.goal_diff;
-    return b.goals_for - a.goals_for;
-  });
-  // Build table rows
-  let rows = '';
-  sorted.forEach((entry, index) => {
-    const team = data.teams.find(t => t.id === entry.team_id);
-    const pos = index + 1;
-    let zoneClass = '';
-    if (pos <= 4) zoneClass = 'zone-promotion';
-    else if (pos >= sorted.length - 3) zoneClass = 'zone-relegation';
-    else zoneClass = 'zone-middle';
-    const highlight = team.highlight ? 'highlight-team' : '';
-    // Compute real form (last 5 results) for this team
-    const form = computeTeamForm(entry.team_id, data.matches);
-    const formHtml = form.map(result => {
-      let cls = 'result-draw';
-      if (result === 'V') cls = 'result-win';
-      else if (result === 'D') cls = 'result-loss';
-      else if (result === '-') cls = 'result-none';
-      return `<span class="${cls}"></span>`;
-    }).join('');
-    // Monta representação do time com um ponto colorido ao invés de logotipo.
-    // Isso garante visual consistente mesmo sem arquivos de escudo.
-    const dot = getTeamDot(team);
-    const teamLabel = `<div class="team-label">${dot}<span>${team.name}</span></div>`;
-    rows += `<tr class="${zoneClass} ${highlight}"><td>${pos}</td>`+
-            `<td>${teamLabel}</td>`+
-            `<td>${entry.points}</td>`+
-            `<td>${entry.games}</td>`+
-            `<td>${entry.wins}</td>`+
-            `<td>${entry.draws}</td>`+
-            `<td>${entry.losses}</td>`+
-            `<td>${entry.goals_for}</td>`+
-            `<td>${entry.goals_against}</td>`+
-            `<td>${entry.goal_diff >= 0 ? '+' + entry.goal_diff : entry.goal_diff}</td>`+
-            `<td><div class="form-indicator">${formHtml}</div></td>`+
-            `</tr>`;
-  });
-  const now = new Date().toISOString().split('T')[0];
-  const nav = buildNavLinks(user);
-  // Compute additional stats for hero cards
-  // Determine the position of Criciúma (team marked with highlight flag)
-  let criPosition = '--';
-  for (let i = 0; i < sorted.length; i++) {
-    const team = data.teams.find(t => t.id === sorted[i].team_id);
-    if (team && team.highlight) {
-      criPosition = (i + 1).toString();
-      break;
-    }
-  }
-  // Total number of matches stored (including finalizados e futuros)
-  const totalMatches = data.matches.length.toString();
-  const html = renderTemplate('home.html', {
-    table_rows: rows,
-    last_update: now,
-    admin_link: nav.adminLink,
-    auth_link: nav.authLink,
-    criciuma_position: criPosition,
-    total_matches: totalMatches
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
-}
-
-function handleLoginGet(req, res) {
-  const html = renderTemplate('login.html', { message: '' });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
-}
-
-function handleLoginPost(req, res) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const parsed = querystring.parse(body);
-    const email = parsed.email;
-    const password = parsed.password;
-    // Busca o usuário no banco de dados. O banco armazena somente
-    // credenciais do administrador (demais perfis não fazem login).
-    dbAccess.getUserByCredentials(email, password)
-      .then((user) => {
-        if (user && user.isAdmin) {
-          const token = crypto.randomBytes(16).toString('hex');
-          sessions[token] = user.id;
-          res.setHeader('Set-Cookie', `session=${token}; HttpOnly`);
-          sendRedirect(res, '/');
-        } else {
-          const html = renderTemplate('login.html', { message: 'Credenciais incorretas ou acesso não autorizado' });
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'text/html; charset=utf-8');
-          res.end(html);
-        }
-      })
-      .catch((err) => {
-        console.error('Erro ao autenticar:', err.message);
-        const html = renderTemplate('login.html', { message: 'Erro ao autenticar' });
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'text/html; charset=utf-8');
-        res.end(html);
-      });
-  });
+/**
+ * Cria uma temporada vazia. As competições são cadastradas em seguida com
+ * insertCompetition.
+ *
+ * @param {Object} season { name, year }
+ * @returns {Promise<number>} ID da temporada criada
+ */
+function insertSeason(season) {
+  return run('INSERT INTO seasons (name, year, archived) VALUES (?, ?, 0)', [season.name, season.year])
+    .then(result => result.lastID);
 }
 
-function handleLogout(req, res) {
-  const cookies = parseCookies(req.headers.cookie);
-  if (cookies.session) {
-    delete sessions[cookies.session];
-    res.setHeader('Set-Cookie', 'session=; expires=Thu, 01 Jan 1970 00:00:00 GMT');
-  }
-  sendRedirect(res, '/');
+function setSeasonArchived(seasonId, archived) {
+  return run('UPDATE seasons SET archived = ? WHERE id = ?', [archived ? 1 : 0, seasonId]);
 }
 
-function getNextRoundForUser(data, userId) {
-  // Determine rounds with matches that have at least one undefined score
-  const roundsWithOpen = new Set();
-  data.matches.forEach(m => {
-    if (m.home_score === null || m.away_score === null) {
-      roundsWithOpen.add(m.round);
-    }
-  });
-  const openRounds = Array.from(roundsWithOpen).sort((a, b) => a - b);
-  if (openRounds.length === 0) return null;
-  // For the smallest open round, check if user has predictions for all matches; if yes, skip to next open round
-  for (const r of openRounds) {
-    const roundMatches = data.matches.filter(m => m.round === r);
-    let allPredicted = true;
-    for (const match of roundMatches) {
-      const pred = data.predictions.find(p => p.match_id === match.id && p.user_id === userId);
-      if (!pred) {
-        allPredicted = false;
-        break;
-      }
-    }
-    if (!allPredicted) {
-      return r;
-    }
-  }
-  return openRounds[0];
-}
-
-// Determine next round needing predictions across all presenters (non-admin users)
-function getNextRoundForAll(data) {
-  // Identify rounds with matches that have at least one undefined score (open rounds)
-  const roundsWithOpen = new Set();
-  data.matches.forEach(m => {
-    // Ignora partidas excluídas de palpites
-    if (excludedMatchIds.has(m.id)) return;
-    if (m.home_score === null || m.away_score === null) {
-      roundsWithOpen.add(m.round);
-    }
-  });
-  const openRounds = Array.from(roundsWithOpen).sort((a, b) => a - b);
-  if (openRounds.length === 0) return null;
-  const presenters = data.users.filter(u => !u.isAdmin);
-  // For each open round, check if all presenters predicted all matches; if not, return this round
-  for (const r of openRounds) {
-    // Seleciona apenas partidas que não estão na lista de exclusão
-    const roundMatches = data.matches.filter(m => m.round === r && !excludedMatchIds.has(m.id));
-    let allPredicted = true;
-    for (const match of roundMatches) {
-      for (const p of presenters) {
-        const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-        if (!pred) {
-          allPredicted = false;
-          break;
-        }
-      }
-      if (!allPredicted) break;
+// ----------------------------------------------------------------------
+// Competições
+// ----------------------------------------------------------------------
+function getCompetitions() {
+  return all('SELECT id, season_id, name, abbr, format, tiebreakers FROM competitions ORDER BY season_id, id');
+}
+
+// Relação de times participantes de cada competição, com os cartões e a
+// posição no sorteio usados nos critérios de desempate
+function getCompetitionTeams() {
+  return all(
+    'SELECT competition_id, team_id, yellow_cards, red_cards, draw_order FROM competition_teams ORDER BY competition_id, team_id'
+  );
+}
+
+/**
+ * Cria uma competição com os times informados. Nas competições de pontos
+ * corridos cada time começa com uma linha zerada na classificação, como
+ * acontece no início de um campeonato.
+ *
+ * @param {Object} competition { season_id, name, abbr, format }
+ * @param {Array<number>} teamIds IDs dos times participantes
+ * @returns {Promise<number>} ID da competição criada
+ */
+async function insertCompetition(competition, teamIds) {
+  const { lastID } = await run(
+    'INSERT INTO competitions (season_id, name, abbr, format) VALUES (?, ?, ?, ?)',
+    [competition.season_id, competition.name, competition.abbr, competition.format]
+  );
+  for (const teamId of teamIds) {
+    await run('INSERT INTO competition_teams (competition_id, team_id) VALUES (?, ?)', [lastID, teamId]);
+    if (competition.format === 'league') {
+      await run(
+        'INSERT INTO classification (competition_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff) VALUES (?, ?, 0, 0, 0, 0, 0, 0, 0, 0)',
+        [lastID, teamId]
+      );
     }
-    if (!allPredicted) return r;
-  }
-  // If all open rounds have all predictions, return the smallest open round to allow edits
-  return openRounds[0];
-}
-
-function handlePalpitesGet(req, res, user) {
-  const data = loadData();
-  const nextRound = getNextRoundForAll(data);
-  // Verifica se existe um parâmetro saved=1 na query string para exibir mensagem de sucesso
-  const parsedUrl = url.parse(req.url, true);
-  const message = parsedUrl.query.saved ? 'Palpites salvos com sucesso!' : '';
-  // Constrói HTML de mensagem de sucesso somente se houver mensagem
-  let messageHtml = '';
-  if (message) {
-    messageHtml = `<div class="success-message"><span class="success-icon">✅</span><span>${message}</span></div>`;
   }
-  if (!nextRound) {
-    // Não há rodadas futuras para palpite
-    const html = renderTemplate('palpites.html', {
-      table_head: '<tr><th>Confronto</th></tr>',
-      match_rows: '<tr><td colspan="10">Nenhum jogo pendente para palpite.</td></tr>',
-      round_number: '-',
-      message_html: '',
-      admin_link: '',
-      user_name: user.name
-    });
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.end(html);
-    return;
-  }
-  // Filtra apenas jogos da rodada que não estão excluídos de palpites
-  const matches = data.matches.filter(m => m.round === nextRound && !excludedMatchIds.has(m.id));
-  const presenters = data.users.filter(u => !u.isAdmin);
-  // Cabeçalho da tabela (duas linhas)
-  let headRow1 = '<tr><th rowspan="2">Confronto</th>';
-  presenters.forEach(p => {
-    headRow1 += `<th colspan="3">${p.name}</th>`;
-  });
-  headRow1 += '</tr>';
-  let headRow2 = '<tr>';
-  presenters.forEach(() => {
-    headRow2 += '<th>P.Casa</th><th>P.Fora</th><th>Res</th>';
-  });
-  headRow2 += '</tr>';
-  const tableHead = headRow1 + headRow2;
-  // Busca palpites salvos para a rodada a partir do banco de dados
-  dbAccess.getPredictionsByRound(nextRound)
-    .then(predsFromDB => {
-      // Monta as linhas de cada jogo
-      let rows = '';
-      matches.forEach(match => {
-        const home = data.teams.find(t => t.id === match.home_team_id);
-        const away = data.teams.find(t => t.id === match.away_team_id);
-        // Utiliza pontos coloridos para representar as equipes ao invés de logotipos
-        const homeDot = getTeamDot(home, true);
-        const awayDot = getTeamDot(away, true);
-        let row = `<tr><td>${homeDot} ${home.name} x ${awayDot} ${away.name}</td>`;
-        presenters.forEach(p => {
-          // Busca o palpite deste apresentador para esta partida na lista obtida do banco
-          const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          const homeVal = pred ? pred.home_score : '';
-          const awayVal = pred ? pred.away_score : '';
-          const savedClass = pred ? 'saved-cell' : '';
-          let resultText = '-';
-          if (pred && pred.home_score !== null && pred.away_score !== null) {
-            const h = parseInt(pred.home_score);
-            const a = parseInt(pred.away_score);
-            if (h > a) resultText = 'Casa';
-            else if (h < a) resultText = 'Fora';
-            else resultText = 'Empate';
-          }
-          row += `<td class="${savedClass}"><input type="number" name="home_${p.id}_${match.id}" id="home_${p.id}_${match.id}" value="${homeVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><input type="number" name="away_${p.id}_${match.id}" id="away_${p.id}_${match.id}" value="${awayVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><span id="result_${p.id}_${match.id}">${resultText}</span></td>`;
-        });
-        row += '</tr>';
-        rows += row;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('palpites.html', {
-        table_head: tableHead,
-        match_rows: rows,
-        round_number: nextRound,
-        message_html: messageHtml,
-        admin_link: nav.adminLink,
-        user_name: user.name
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    })
-    .catch(err => {
-      console.error('Erro ao obter palpites do banco:', err.message);
-      // Em caso de erro, renderiza a página usando apenas as informações do JSON
-      // Essa lógica é semelhante à versão original acima, mas sem destaque de palpites salvos
-      let rows = '';
-      matches.forEach(match => {
-        const home = data.teams.find(t => t.id === match.home_team_id);
-        const away = data.teams.find(t => t.id === match.away_team_id);
-        // Representa as equipes por pontos coloridos em caso de fallback do banco
-        const homeDot = getTeamDot(home, true);
-        const awayDot = getTeamDot(away, true);
-        let row = `<tr><td>${homeDot} ${home.name} x ${awayDot} ${away.name}</td>`;
-        presenters.forEach(p => {
-          const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          const homeVal = pred ? pred.home_score : '';
-          const awayVal = pred ? pred.away_score : '';
-          const savedClass = pred ? 'saved-cell' : '';
-          let resultText = '-';
-          if (pred && pred.home_score !== null && pred.away_score !== null) {
-            const h = parseInt(pred.home_score);
-            const a = parseInt(pred.away_score);
-            if (h > a) resultText = 'Casa';
-            else if (h < a) resultText = 'Fora';
-            else resultText = 'Empate';
-          }
-          row += `<td class="${savedClass}"><input type="number" name="home_${p.id}_${match.id}" id="home_${p.id}_${match.id}" value="${homeVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><input type="number" name="away_${p.id}_${match.id}" id="away_${p.id}_${match.id}" value="${awayVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><span id="result_${p.id}_${match.id}">${resultText}</span></td>`;
-        });
-        row += '</tr>';
-        rows += row;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('palpites.html', {
-        table_head: tableHead,
-        match_rows: rows,
-        round_number: nextRound,
-        message_html: messageHtml,
-        admin_link: nav.adminLink,
-        user_name: user.name
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    });
+  return lastID;
 }
 
-function handlePalpitesPost(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    // Determine current round across all presenters
-    const round = getNextRoundForAll(dataStore);
-    if (!round) {
-      sendRedirect(res, '/palpites');
-      return;
-    }
-    // Apenas partidas que não estão excluídas de palpites
-    const matches = dataStore.matches.filter(m => m.round === round && !excludedMatchIds.has(m.id));
-    const presenters = dataStore.users.filter(u => !u.isAdmin);
-    // Compute max id once for new predictions
-    let maxId = 0;
-    dataStore.predictions.forEach(p => { if (p.id > maxId) maxId = p.id; });
-    // Iterate through matches and presenters
-    // Armazena palpites em memória e agrupa por apresentador para posterior
-    // persistência no banco SQLite
-    const predsByUser = {};
-    matches.forEach(match => {
-      presenters.forEach(p => {
-        const homeKey = `home_${p.id}_${match.id}`;
-        const awayKey = `away_${p.id}_${match.id}`;
-        const hVal = form[homeKey];
-        const aVal = form[awayKey];
-        if (hVal !== undefined && aVal !== undefined && hVal !== '' && aVal !== '') {
-          const h = parseInt(hVal);
-          const a = parseInt(aVal);
-          // Atualiza ou insere no JSON local
-          let pred = dataStore.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          if (pred) {
-            pred.home_score = h;
-            pred.away_score = a;
-          } else {
-            maxId += 1;
-            dataStore.predictions.push({ id: maxId, match_id: match.id, user_id: p.id, home_score: h, away_score: a });
-          }
-          // Agrupa para salvar no banco depois
-          if (!predsByUser[p.id]) predsByUser[p.id] = [];
-          predsByUser[p.id].push({ match_id: match.id, home_score: h, away_score: a });
-        }
-      });
-    });
-    // Atualiza arquivo JSON
-    writeJSON('predictions.json', dataStore.predictions);
-    // Persiste no banco de dados para cada apresentador
-    const roundPromises = [];
-    const roundNumber = round;
-    Object.keys(predsByUser).forEach(uid => {
-      const list = predsByUser[uid];
-      roundPromises.push(dbAccess.savePredictionsForRound(roundNumber, parseInt(uid), list));
-    });
-    Promise.all(roundPromises)
-      .then(() => {
-        sendRedirect(res, '/palpites?saved=1');
-      })
-      .catch(err => {
-        console.error('Erro ao salvar palpites no banco:', err.message);
-        sendRedirect(res, '/palpites?saved=1');
-      });
-  });
+/**
+ * Grava a sequência de critérios de desempate de uma competição.
+ *
+ * @param {number} competitionId ID da competição
+ * @param {Array<string>} chain Chaves dos critérios (veja static/tiebreakers.js)
+ * @returns {Promise<void>}
+ */
+function updateCompetitionTiebreakers(competitionId, chain) {
+  return run('UPDATE competitions SET tiebreakers = ? WHERE id = ?', [chain.join(','), competitionId]);
 }
 
-function handleRanking(req, res, user) {
-  const data = loadData();
-  // Analisa a rodada selecionada (por exemplo, /ranking?round=17)
-  const parsedUrl = url.parse(req.url, true);
-  const selectedRound = parsedUrl.query.round ? parseInt(parsedUrl.query.round, 10) : null;
-  const presenters = data.users.filter(u => !u.isAdmin);
-  // Busca todos os palpites do banco
-  dbAccess.getPredictions()
-    .then(predsFromDB => {
-      const ranking = [];
-      presenters.forEach(u => {
-        let total = 0;
-        let exactCount = 0;
-        let resultCount = 0;
-        let errorCount = 0;
-        const details = [];
-        // Filtra palpites deste usuário
-        predsFromDB
-          .filter(p => p.user_id === u.id)
-          .forEach(pred => {
-            const match = data.matches.find(m => m.id === pred.match_id);
-            // Se a partida não existe ou está excluída, ignora
-            if (!match || excludedMatchIds.has(match.id)) return;
-            // Se uma rodada específica foi selecionada, ignore partidas de outras rodadas
-            if (selectedRound && match.round !== selectedRound) return;
-            if (match.home_score !== null && match.away_score !== null) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-                exactCount += 1;
-              } else if (predSign === realSign) {
-                points = 1;
-                resultCount += 1;
-              } else {
-                errorCount += 1;
-              }
-              total += points;
-              const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-              const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-              details.push({
-                round: match.round,
-                confrontation: `${homeTeam.name} x ${awayTeam.name}`,
-                prediction: `${pred.home_score}-${pred.away_score}`,
-                result: `${match.home_score}-${match.away_score}`,
-                points
-              });
-            }
-          });
-        ranking.push({ user: u, total, exactCount, resultCount, errorCount, details });
-      });
-      // Ordena pelo total de pontos (descendente)
-      ranking.sort((a, b) => b.total - a.total);
-      // Monta a lista de opções de rodada (ranking geral ou por rodada)
-      const allRounds = Array.from(new Set(data.matches.map(m => m.round))).filter(r => {
-        return data.matches.some(m => m.round === r && !excludedMatchIds.has(m.id));
-      }).sort((a, b) => a - b);
-      let selectorHtml = '<form method="get" action="/ranking" class="ranking-select-form">';
-      selectorHtml += '<label for="round-select">Rodada:</label> ';
-      selectorHtml += '<select id="round-select" name="round" onchange="this.form.submit()">';
-      selectorHtml += `<option value=""${selectedRound ? '' : ' selected'}>Geral</option>`;
-      allRounds.forEach(r => {
-        selectorHtml += `<option value="${r}"${selectedRound === r ? ' selected' : ''}>${r}</option>`;
-      });
-      selectorHtml += '</select></form>';
-      // Constrói os cards do ranking
-      let cardsHtml = '';
-      ranking.forEach((entry, idx) => {
-        const u = entry.user;
-        const place = idx + 1;
-        let detailsRows = '';
-        entry.details.forEach(d => {
-          detailsRows += `<tr><td>${d.round}</td><td>${d.confrontation}</td><td>${d.prediction}</td><td>${d.result}</td><td>${d.points}</td></tr>`;
-        });
-        const detailsTable = `<table><thead><tr><th>Rodada</th><th>Confronto</th><th>Palpite</th><th>Resultado</th><th>Pts</th></tr></thead><tbody>${detailsRows}</tbody></table>`;
-        cardsHtml += `<div class="ranking-card"><div class="card-header" onclick="toggleCard(${u.id})"><span>${place}º ${u.name} - ${entry.total} pts</span><span>Exatos: ${entry.exactCount} | Resultados: ${entry.resultCount} | Erros: ${entry.errorCount}</span></div><div id="card-body-${u.id}" class="card-body">${detailsTable}</div></div>`;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('ranking.html', {
-        ranking_cards: cardsHtml,
-        round_selector: selectorHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    })
-    .catch(err => {
-      console.error('Erro ao obter palpites do banco para ranking:', err.message);
-      // Fallback para a implementação anterior usando JSON caso o banco falhe
-      // (O código original foi mantido aqui como fallback)
-      const ranking = [];
-      presenters.forEach(u => {
-        let total = 0;
-        let exactCount = 0;
-        let resultCount = 0;
-        let errorCount = 0;
-        const details = [];
-        data.predictions
-          .filter(p => p.user_id === u.id)
-          .forEach(pred => {
-            const match = data.matches.find(m => m.id === pred.match_id);
-            if (!match || excludedMatchIds.has(match.id)) return;
-            if (selectedRound && match.round !== selectedRound) return;
-            if (match.home_score !== null && match.away_score !== null) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-                exactCount += 1;
-              } else if (predSign === realSign) {
-                points = 1;
-                resultCount += 1;
-              } else {
-                errorCount += 1;
-              }
-              total += points;
-              const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-              const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-              details.push({
-                round: match.round,
-                confrontation: `${homeTeam.name} x ${awayTeam.name}`,
-                prediction: `${pred.home_score}-${pred.away_score}`,
-                result: `${match.home_score}-${match.away_score}`,
-                points
-              });
-            }
-          });
-        ranking.push({ user: u, total, exactCount, resultCount, errorCount, details });
-      });
-      ranking.sort((a, b) => b.total - a.total);
-      const allRounds = Array.from(new Set(data.matches.map(m => m.round))).filter(r => {
-        return data.matches.some(m => m.round === r && !excludedMatchIds.has(m.id));
-      }).sort((a, b) => a - b);
-      let selectorHtml = '<form method="get" action="/ranking" class="ranking-select-form">';
-      selectorHtml += '<label for="round-select">Rodada:</label> ';
-      selectorHtml += '<select id="round-select" name="round" onchange="this.form.submit()">';
-      selectorHtml += `<option value=""${selectedRound ? '' : ' selected'}>Geral</option>`;
-      allRounds.forEach(r => {
-        selectorHtml += `<option value="${r}"${selectedRound === r ? ' selected' : ''}>${r}</option>`;
-      });
-      selectorHtml += '</select></form>';
-      let cardsHtml = '';
-      ranking.forEach((entry, idx) => {
-        const u = entry.user;
-        const place = idx + 1;
-        let detailsRows = '';
-        entry.details.forEach(d => {
-          detailsRows += `<tr><td>${d.round}</td><td>${d.confrontation}</td><td>${d.prediction}</td><td>${d.result}</td><td>${d.points}</td></tr>`;
-        });
-        const detailsTable = `<table><thead><tr><th>Rodada</th><th>Confronto</th><th>Palpite</th><th>Resultado</th><th>Pts</th></tr></thead><tbody>${detailsRows}</tbody></table>`;
-        cardsHtml += `<div class="ranking-card"><div class="card-header" onclick="toggleCard(${u.id})"><span>${idx + 1}º ${u.name} - ${entry.total} pts</span><span>Exatos: ${entry.exactCount} | Resultados: ${entry.resultCount} | Erros: ${entry.errorCount}</span></div><div id="card-body-${u.id}" class="card-body">${detailsTable}</div></div>`;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('ranking.html', {
-        ranking_cards: cardsHtml,
-        round_selector: selectorHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    });
+/**
+ * Grava os cartões e a posição no sorteio de um time em uma competição.
+ *
+ * @param {number} competitionId ID da competição
+ * @param {number} teamId ID do time
+ * @param {Object} stats { yellow_cards, red_cards, draw_order } (draw_order
+ *   pode ser null enquanto não houver sorteio)
+ * @returns {Promise<void>}
+ */
+function updateCompetitionTeamStats(competitionId, teamId, stats) {
+  return run(
+    'UPDATE competition_teams SET yellow_cards = ?, red_cards = ?, draw_order = ? WHERE competition_id = ? AND team_id = ?',
+    [stats.yellow_cards, stats.red_cards, stats.draw_order, competitionId, teamId]
+  );
 }
 
-function handleResultados(req, res, user) {
-  const data = loadData();
-  // Agrupa partidas por rodada (somente rodadas finalizadas, com placares conhecidos)
-  const rounds = {};
-  data.matches.forEach(match => {
-  if (!rounds[match.round]) {
-    rounds[match.round] = [];
-  }
-  if (match.home_score !== null && match.away_score !== null) {
-    rounds[match.round].push(match);
+// ----------------------------------------------------------------------
+// Usuários
+// ----------------------------------------------------------------------
+// O hash das senhas não sai deste módulo: as listas de usuários (e o cache
+// de data_store.js) trazem apenas os dados de exibição.
+function getUsers() {
+  return all('SELECT id, name, email, isAdmin FROM users ORDER BY id')
+    .then(rows => rows.map(mapUser));
+}
+
+function getUserById(userId) {
+  return get('SELECT id, name, email, isAdmin FROM users WHERE id = ?', [userId])
+    .then(mapUser);
+}
+
+/**
+ * Busca o usuário pelo e-mail e confere a senha com o hash gravado (veja
+ * passwords.js).
+ *
+ * @param {string} email
+ * @param {string} password Senha digitada
+ * @returns {Promise<Object|null>} Usuário, ou null se o e-mail não existir
+ *   ou a senha não conferir
+ */
+function getUserByCredentials(email, password) {
+  return get('SELECT id, name, email, isAdmin, password_hash FROM users WHERE email = ?', [email])
+    .then(row => passwords.verify(password, row ? row.password_hash : null)
+      .then(ok => {
+        if (!ok) return null;
+        const { password_hash, ...user } = row;
+        return mapUser(user);
+      }));
+}
+
+/**
+ * Grava o hash de uma nova senha do usuário.
+ *
+ * @param {number} userId
+ * @param {string} passwordHash Hash calculado por passwords.hash
+ * @returns {Promise}
+ */
+function updateUserPassword(userId, passwordHash) {
+  return run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
+}
+
+// ----------------------------------------------------------------------
+// Sessões
+// ----------------------------------------------------------------------
+// As sessões não fazem parte do cache de data_store.js: são lidas a cada
+// requisição e gravadas fora das transações (veja queuedRun e sessions.js).
+
+function mapSession(row) {
+  if (!row) return null;
+  return { ...row, remember: !!row.remember };
+}
+
+/**
+ * Cria uma sessão.
+ *
+ * @param {Object} s { token_hash, user_id, remember, csrf_token, created_at, last_seen_at, expires_at, user_agent, ip }
+ * @returns {Promise<number>} ID da sessão criada
+ */
+function insertSession(s) {
+  return queuedRun(
+    'INSERT INTO sessions (token_hash, user_id, remember, csrf_token, created_at, last_seen_at, expires_at, user_agent, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [s.token_hash, s.user_id, s.remember ? 1 : 0, s.csrf_token, s.created_at, s.last_seen_at, s.expires_at, s.user_agent, s.ip]
+  ).then(result => result.lastID);
+}
+
+function getSessionByTokenHash(tokenHash) {
+  return get('SELECT id, user_id, remember, csrf_token, created_at, last_seen_at, expires_at FROM sessions WHERE token_hash = ?', [tokenHash])
+    .then(mapSession);
+}
+
+/**
+ * Registra um acesso à sessão, adiando a expiração.
+ *
+ * @param {number} id ID da sessão
+ * @param {string} lastSeenAt Instante do acesso (ISO 8601)
+ * @param {string} expiresAt Novo fim da sessão (ISO 8601)
+ * @returns {Promise}
+ */
+function touchSession(id, lastSeenAt, expiresAt) {
+  return queuedRun('UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?', [lastSeenAt, expiresAt, id]);
+}
+
+function deleteSession(id) {
+  return queuedRun('DELETE FROM sessions WHERE id = ?', [id]);
+}
+
+/**
+ * Encerra todas as sessões de um usuário, exceto, se informada, a sessão
+ * `exceptId` (por exemplo, a de quem pediu o encerramento).
+ *
+ * @param {number} userId
+ * @param {number|null} [exceptId]
+ * @returns {Promise}
+ */
+function deleteUserSessions(userId, exceptId = null) {
+  return queuedRun('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?', [userId, exceptId]);
+}
+
+function deleteExpiredSessions(now) {
+  return queuedRun('DELETE FROM sessions WHERE expires_at <= ?', [now]);
+}
+
+/**
+ * Sessões ainda válidas de todos os usuários, das mais recentes para as
+ * mais antigas.
+ *
+ * @param {string} now Instante atual (ISO 8601)
+ * @returns {Promise<Array>} Sessões, com o nome do usuário em `user_name`
+ */
+function getActiveSessions(now) {
+  return all(`SELECT s.id, s.user_id, u.name AS user_name, s.remember, s.created_at, s.last_seen_at,
+                     s.expires_at, s.user_agent, s.ip
+              FROM sessions s JOIN users u ON u.id = s.user_id
+              WHERE s.expires_at > ?
+              ORDER BY s.last_seen_at DESC, s.id DESC`, [now])
+    .then(rows => rows.map(mapSession));
+}
+
+// ----------------------------------------------------------------------
+// Tokens da API
+// ----------------------------------------------------------------------
+// Como as sessões, os tokens não fazem parte do cache de data_store.js e são
+// gravados fora das transações (veja api_tokens.js).
+
+function mapApiToken(row) {
+  if (!row) return null;
+  return { ...row, scopes: row.scopes ? row.scopes.split(',') : [] };
+}
+
+/**
+ * Cria um token da API.
+ *
+ * @param {Object} t { name, token_hash, scopes, created_by, created_at }
+ * @returns {Promise<number>} ID do token criado
+ */
+function insertApiToken(t) {
+  return queuedRun(
+    'INSERT INTO api_tokens (name, token_hash, scopes, created_by, created_at) VALUES (?, ?, ?, ?, ?)',
+    [t.name, t.token_hash, t.scopes.join(','), t.created_by, t.created_at]
+  ).then(result => result.lastID);
+}
+
+function getApiTokenByHash(tokenHash) {
+  return get('SELECT id, name, scopes, created_by, created_at, last_used_at, revoked_at FROM api_tokens WHERE token_hash = ?', [tokenHash])
+    .then(mapApiToken);
+}
+
+function touchApiToken(id, lastUsedAt) {
+  return queuedRun('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [lastUsedAt, id]);
+}
+
+// Revoga um token ainda ativo; um token já revogado mantém a data original
+function revokeApiToken(id, revokedAt) {
+  return queuedRun('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [revokedAt, id]);
+}
+
+/**
+ * Todos os tokens, ativos e revogados, dos mais recentes para os mais
+ * antigos.
+ *
+ * @returns {Promise<Array>} Tokens, com o nome de quem os emitiu em `created_by_name`
+ */
+function getApiTokens() {
+  return all(`SELECT t.id, t.name, t.scopes, t.created_by, u.name AS created_by_name, t.created_at,
+                     t.last_used_at, t.revoked_at
+              FROM api_tokens t JOIN users u ON u.id = t.created_by
+              ORDER BY t.id DESC`)
+    .then(rows => rows.map(mapApiToken));
+}
+
+// ----------------------------------------------------------------------
+// Times
+// ----------------------------------------------------------------------
+function getTeams() {
+  return all('SELECT id, name, abbr, highlight FROM teams ORDER BY id')
+    .then(rows => rows.map(mapTeam));
+}
+
+function getTeamById(teamId) {
+  return get('SELECT id, name, abbr, highlight FROM teams WHERE id = ?', [teamId])
+    .then(mapTeam);
+}
+
+// ----------------------------------------------------------------------
+// Partidas
+// ----------------------------------------------------------------------
+function getMatches() {
+  return all('SELECT id, competition_id, round, stage, leg, kickoff_at, kickoff_tbd, home_team_id, away_team_id, home_score, away_score, home_penalties, away_penalties, status, annulled_reason FROM matches ORDER BY id');
+}
+
+function getMatchesByRound(competitionId, round) {
+  return all('SELECT id, competition_id, round, stage, leg, kickoff_at, kickoff_tbd, home_team_id, away_team_id, home_score, away_score, home_penalties, away_penalties, status, annulled_reason FROM matches WHERE competition_id = ? AND round = ? ORDER BY id', [competitionId, round]);
+}
+
+/**
+ * Grava o placar e a situação de uma partida. Os pênaltis só se aplicam ao
+ * último jogo de um confronto de mata-mata; nos demais casos ficam nulos.
+ *
+ * @param {number} matchId ID da partida
+ * @param {number|null} homeScore Gols do mandante
+ * @param {number|null} awayScore Gols do visitante
+ * @param {number|null} homePenalties Pênaltis convertidos pelo mandante
+ * @param {number|null} awayPenalties Pênaltis convertidos pelo visitante
+ * @param {string} status Situação da partida (veja match_status.js)
+ * @returns {Promise<Object>}
+ */
+function updateMatchScore(matchId, homeScore, awayScore, homePenalties, awayPenalties, status) {
+  return run(
+    'UPDATE matches SET home_score = ?, away_score = ?, home_penalties = ?, away_penalties = ?, status = ? WHERE id = ?',
+    [homeScore, awayScore, homePenalties, awayPenalties, status, matchId]
+  );
+}
+
+/**
+ * Insere novas partidas. Cada objeto deve conter `competition_id`, `round`,
+ * `kickoff_at`, `home_team_id` e `away_team_id` (e, nos mata-matas, `stage` e
+ * `leg`); o ID é atribuído pelo banco quando não informado.
+ *
+ * @param {Array} matches Lista de partidas a inserir
+ * @returns {Promise<void>}
+ */
+async function insertMatches(matches) {
+  for (const m of matches) {
+    await insertMatch(m);
   }
-});
-  const sortedRounds = Object.keys(rounds).map(r => parseInt(r)).sort((a, b) => b - a);
-  // Busca todos os palpites do banco
-  dbAccess.getPredictions()
-    .then(predsFromDB => {
-      let sectionsHtml = '';
-      sortedRounds.forEach(r => {
-        const matchesInRound = rounds[r];
-        const presenters = data.users.filter(u => !u.isAdmin);
-        let tableHead = '<tr><th>Confronto</th><th>Placar</th>';
-        presenters.forEach(p => {
-          tableHead += `<th>${p.name}</th>`;
-        });
-        tableHead += '</tr>';
-        let tableRows = '';
-        matchesInRound.forEach(match => {
-          const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-          const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-        // Representa as equipes com pontos coloridos nas linhas de resultados
-        const homeDot = getTeamDot(homeTeam, true);
-        const awayDot = getTeamDot(awayTeam, true);
-        let row = `<tr><td>${homeDot} ${homeTeam.name} x ${awayDot} ${awayTeam.name}</td><td>${match.home_score}-${match.away_score}</td>`;
-          presenters.forEach(p => {
-            const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-            if (pred) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let pts = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) pts = 3;
-              else if (predSign === realSign) pts = 1;
-              row += `<td>${pred.home_score}-${pred.away_score} (${pts})</td>`;
-            } else {
-              row += `<td>-</td>`;
-            }
-          });
-          row += '</tr>';
-          tableRows += row;
-        });
-        sectionsHtml += `<div class="round-section"><h3 onclick="toggleRound(${r})">Rodada ${r}</h3><div id="round-body-${r}" style="display:none"><table>${tableHead}${tableRows}</table></div></div>`;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('resultados.html', {
-        round_sections: sectionsHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    })
-    .catch(err => {
-      console.error('Erro ao obter palpites do banco para resultados:', err.message);
-      // Fallback para implementação antiga usando JSON
-      let sectionsHtml = '';
-      sortedRounds.forEach(r => {
-        const matchesInRound = rounds[r];
-        const presenters = data.users.filter(u => !u.isAdmin);
-        let tableHead = '<tr><th>Confronto</th><th>Placar</th>';
-        presenters.forEach(p => {
-          tableHead += `<th>${p.name}</th>`;
-        });
-        tableHead += '</tr>';
-        let tableRows = '';
-        matchesInRound.forEach(match => {
-          const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-          const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-          // Representa as equipes com pontos coloridos nas linhas de resultados (fallback)
-          const homeDot = getTeamDot(homeTeam, true);
-          const awayDot = getTeamDot(awayTeam, true);
-          let row = `<tr><td>${homeDot} ${homeTeam.name} x ${awayDot} ${awayTeam.name}</td><td>${match.home_score}-${match.away_score}</td>`;
-          presenters.forEach(p => {
-            const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-            if (pred) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let pts = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) pts = 3;
-              else if (predSign === realSign) pts = 1;
-              row += `<td>${pred.home_score}-${pred.away_score} (${pts})</td>`;
-            } else {
-              row += `<td>-</td>`;
-            }
-          });
-          row += '</tr>';
-          tableRows += row;
-        });
-        sectionsHtml += `<div class="round-section"><h3 onclick="toggleRound(${r})">Rodada ${r}</h3><div id="round-body-${r}" style="display:none"><table>${tableHead}${tableRows}</table></div></div>`;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('resultados.html', {
-        round_sections: sectionsHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    });
 }
 
-function handleArtilharia(req, res, user) {
-  const data = loadData();
-  // Sort scorers by goals desc
-  const sorted = [...data.scorers].sort((a, b) => {
-    if (b.goals !== a.goals) return b.goals - a.goals;
-    return a.player.localeCompare(b.player);
-  });
-  let rows = '';
-  sorted.forEach((s, idx) => {
-    const team = data.teams.find(t => t.id === s.team_id);
-    // Determine icon
-    let icon = '';
-    const rank = idx + 1;
-    if (rank === 1) icon = '<i class="fa-solid fa-trophy" style="color:#fbc02d;"></i>';
-    else if (rank <= 3) icon = '<i class="fa-solid fa-medal" style="color:#b0bec5;"></i>';
-    else if (rank <= 10) icon = '<i class="fa-solid fa-star" style="color:#ffa000;"></i>';
-    // Representa o time com um ponto colorido seguido do nome
-    const teamDot = getTeamDot(team, true);
-    rows += `<tr><td>${rank}</td><td>${s.player}</td><td>${teamDot} ${team.name}</td><td>${s.goals}</td><td>${icon}</td></tr>`;
-  });
-  const nav = buildNavLinks(user);
-  const html = renderTemplate('artilharia.html', {
-    scorers_rows: rows,
-    admin_link: nav.adminLink,
-    auth_link: nav.authLink
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
-}
-
-function handleAdminGet(req, res, user) {
-  const data = loadData();
-  // Build match rows for editing (show all matches)
-  let matchRows = '';
-  data.matches.forEach(match => {
-    const home = data.teams.find(t => t.id === match.home_team_id);
-    const away = data.teams.find(t => t.id === match.away_team_id);
-    const hVal = match.home_score !== null ? match.home_score : '';
-    const aVal = match.away_score !== null ? match.away_score : '';
-    matchRows += `<tr><td>${home.name} x ${away.name} (Rod. ${match.round})</td><td>${match.date}</td>`+
-                 `<td><input type="number" name="home_${match.id}" value="${hVal}" min="0"></td>`+
-                 `<td><input type="number" name="away_${match.id}" value="${aVal}" min="0"></td></tr>`;
-  });
-  // Build classification rows for editing
-  let classRows = '';
-  data.classification.forEach(entry => {
-    const team = data.teams.find(t => t.id === entry.team_id);
-    classRows += `<tr><td>${team.name}</td>`+
-                 `<td><input type="number" name="pts_${entry.team_id}" value="${entry.points}" min="0"></td>`+
-                 `<td><input type="number" name="j_${entry.team_id}" value="${entry.games}" min="0"></td>`+
-                 `<td><input type="number" name="v_${entry.team_id}" value="${entry.wins}" min="0"></td>`+
-                 `<td><input type="number" name="e_${entry.team_id}" value="${entry.draws}" min="0"></td>`+
-                 `<td><input type="number" name="d_${entry.team_id}" value="${entry.losses}" min="0"></td>`+
-                 `<td><input type="number" name="gp_${entry.team_id}" value="${entry.goals_for}" min="0"></td>`+
-                 `<td><input type="number" name="gc_${entry.team_id}" value="${entry.goals_against}" min="0"></td>`+
-                 `<td><input type="number" name="sg_${entry.team_id}" value="${entry.goal_diff}" min="-100"></td></tr>`;
-  });
-  // Build scorer rows for editing
-  let scorerRows = '';
-  data.scorers.forEach((s, idx) => {
-    const team = data.teams.find(t => t.id === s.team_id);
-    scorerRows += `<tr><td>${s.player}</td><td>${team.name}</td>`+
-                 `<td><input type="number" name="goals_${idx}" value="${s.goals}" min="0"></td>`+
-                 `</tr>`;
-  });
-  const html = renderTemplate('admin.html', {
-    match_rows: matchRows,
-    class_rows: classRows,
-    scorer_rows: scorerRows,
-    user_name: user.name
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
-}
-
-function handleAdminUpdateMatches(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    dataStore.matches.forEach(match => {
-      const homeKey = `home_${match.id}`;
-      const awayKey = `away_${match.id}`;
-      const hVal = form[homeKey];
-      const aVal = form[awayKey];
-      if (hVal !== undefined && aVal !== undefined) {
-        match.home_score = hVal !== '' ? parseInt(hVal) : null;
-        match.away_score = aVal !== '' ? parseInt(aVal) : null;
-      }
-    });
-    writeJSON('matches.json', dataStore.matches);
-    sendRedirect(res, '/admin');
-  });
+/**
+ * Cadastra uma partida. Placar, pênaltis, situação e motivo de anulação são
+ * opcionais; sem situação informada, a partida fica agendada.
+ *
+ * @param {Object} m { id?, competition_id, round, stage?, leg?, kickoff_at, kickoff_tbd?, home_team_id, away_team_id, home_score?, away_score?, home_penalties?, away_penalties?, status?, annulled_reason? }
+ * @returns {Promise<number>} ID da partida criada
+ */
+function insertMatch(m) {
+  return run(
+    'INSERT INTO matches (id, competition_id, round, stage, leg, kickoff_at, kickoff_tbd, home_team_id, away_team_id, home_score, away_score, home_penalties, away_penalties, status, annulled_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [
+      m.id || null, m.competition_id, m.round, m.stage || null, m.leg || null, m.kickoff_at, m.kickoff_tbd ? 1 : 0,
+      m.home_team_id, m.away_team_id,
+      m.home_score === undefined ? null : m.home_score,
+      m.away_score === undefined ? null : m.away_score,
+      m.home_penalties === undefined ? null : m.home_penalties,
+      m.away_penalties === undefined ? null : m.away_penalties,
+      m.status || 'scheduled',
+      m.annulled_reason || null
+    ]
+  ).then(result => result.lastID);
 }
 
-function handleAdminUpdateClassification(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    dataStore.classification.forEach(entry => {
-      const id = entry.team_id;
-      const ptsKey = `pts_${id}`;
-      const jKey = `j_${id}`;
-      const vKey = `v_${id}`;
-      const eKey = `e_${id}`;
-      const dKey = `d_${id}`;
-      const gpKey = `gp_${id}`;
-      const gcKey = `gc_${id}`;
-      const sgKey = `sg_${id}`;
-      entry.points = parseInt(form[ptsKey]);
-      entry.games = parseInt(form[jKey]);
-      entry.wins = parseInt(form[vKey]);
-      entry.draws = parseInt(form[eKey]);
-      entry.losses = parseInt(form[dKey]);
-      entry.goals_for = parseInt(form[gpKey]);
-      entry.goals_against = parseInt(form[gcKey]);
-      entry.goal_diff = parseInt(form[sgKey]);
-    });
-    writeJSON('classification.json', dataStore.classification);
-    sendRedirect(res, '/admin');
-  });
+/**
+ * Altera a rodada, a fase, o jogo (ida/volta) e o horário de uma partida, por
+ * exemplo quando ela é adiada ou remarcada.
+ *
+ * @param {number} id ID da partida
+ * @param {Object} m { round, stage, leg, kickoff_at, kickoff_tbd }
+ * @returns {Promise<void>}
+ */
+function updateMatchSchedule(id, m) {
+  return run(
+    'UPDATE matches SET round = ?, stage = ?, leg = ?, kickoff_at = ?, kickoff_tbd = ? WHERE id = ?',
+    [m.round, m.stage || null, m.leg || null, m.kickoff_at, m.kickoff_tbd ? 1 : 0, id]
+  );
 }
 
-function handleAdminUpdateScorers(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    dataStore.scorers.forEach((s, idx) => {
-      const key = `goals_${idx}`;
-      if (form[key] !== undefined) {
-        s.goals = parseInt(form[key]);
-      }
-    });
-    // After updating goals, reassign ranks based on descending goals
-    dataStore.scorers.sort((a, b) => b.goals - a.goals);
-    dataStore.scorers.forEach((s, i) => {
-      s.rank = i + 1;
+/**
+ * Altera a situação de uma partida. O motivo só é informado para partidas
+ * anuladas; nas demais situações fica nulo.
+ *
+ * @param {number} id ID da partida
+ * @param {string} status Nova situação (veja match_status.js)
+ * @param {string|null} reason Motivo da anulação
+ * @returns {Promise<void>}
+ */
+function updateMatchStatus(id, status, reason = null) {
+  return run('UPDATE matches SET status = ?, annulled_reason = ? WHERE id = ?', [status, reason, id]);
+}
+
+// Exclui uma partida (os palpites dela são apagados em cascata)
+function deleteMatch(id) {
+  return run('DELETE FROM matches WHERE id = ?', [id]);
+}
+
+// ----------------------------------------------------------------------
+// Palpites
+// ----------------------------------------------------------------------
+function getPredictions() {
+  return all('SELECT id, match_id, user_id, home_score, away_score, entered_by FROM predictions ORDER BY id');
+}
+
+function getPredictionsByMatch(matchId) {
+  return all('SELECT id, match_id, user_id, home_score, away_score, entered_by FROM predictions WHERE match_id = ?', [matchId]);
+}
+
+function getPredictionsByRound(competitionId, round) {
+  const sql = `SELECT p.id, p.match_id, p.user_id, p.home_score, p.away_score, p.entered_by
+               FROM predictions p
+               JOIN matches m ON p.match_id = m.id
+               WHERE m.competition_id = ? AND m.round = ?
+               ORDER BY p.id`;
+  return all(sql, [competitionId, round]);
+}
+
+/**
+ * Insere ou atualiza o palpite de um apresentador para uma partida. A
+ * chave única (match_id, user_id) garante um único palpite por partida.
+ * `entered_by` é o usuário que lançou o palpite (o próprio apresentador ou
+ * o administrador). Cada palpite novo ou alterado acrescenta uma linha ao
+ * histórico (`prediction_history`); gravar o mesmo placar não altera nada.
+ *
+ * @param {Object} prediction { match_id, user_id, home_score, away_score, entered_by }
+ * @returns {Promise<void>}
+ */
+function upsertPrediction(prediction) {
+  const { match_id, user_id, home_score, away_score, entered_by } = prediction;
+  return get('SELECT home_score, away_score FROM predictions WHERE match_id = ? AND user_id = ?', [match_id, user_id])
+    .then(old => {
+      if (old && old.home_score === home_score && old.away_score === away_score) return null;
+      return run(
+        `INSERT INTO predictions (match_id, user_id, home_score, away_score, entered_by) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (match_id, user_id) DO UPDATE SET
+           home_score = excluded.home_score,
+           away_score = excluded.away_score,
+           entered_by = excluded.entered_by`,
+        [match_id, user_id, home_score, away_score, entered_by]
+      ).then(() => run(
+        `INSERT INTO prediction_history (match_id, user_id, changed_by, old_home_score, old_away_score, new_home_score, new_away_score)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [match_id, user_id, entered_by, old ? old.home_score : null, old ? old.away_score : null, home_score, away_score]
+      ));
     });
-    writeJSON('scorers.json', dataStore.scorers);
-    sendRedirect(res, '/admin');
-  });
 }
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-  const method = req.method;
-  const user = getUserFromRequest(req);
-  // Serve static assets
-  if (pathname.startsWith('/static/')) {
-    handleStatic(req, res, pathname);
-    return;
-  }
-  if (pathname === '/' && method === 'GET') {
-    handleHome(req, res, user);
-    return;
-  }
-  if (pathname === '/login' && method === 'GET') {
-    handleLoginGet(req, res);
-    return;
-  }
-  if (pathname === '/login' && method === 'POST') {
-    handleLoginPost(req, res);
-    return;
+/**
+ * Consulta o histórico de alterações dos palpites de uma temporada, do mais
+ * recente para o mais antigo, com os dados da partida de cada alteração.
+ *
+ * @param {Object} filters { seasonId, competitionId?, round?, userId? }
+ * @returns {Promise<Array>} Alterações { id, match_id, user_id, changed_by,
+ *   changed_at, old_home_score, old_away_score, new_home_score,
+ *   new_away_score, competition_id, round, kickoff_at, kickoff_tbd,
+ *   home_team_id, away_team_id }
+ */
+function getPredictionHistory(filters) {
+  let sql = `SELECT h.id, h.match_id, h.user_id, h.changed_by, h.changed_at,
+                    h.old_home_score, h.old_away_score, h.new_home_score, h.new_away_score,
+                    m.competition_id, m.round, m.kickoff_at, m.kickoff_tbd, m.home_team_id, m.away_team_id
+             FROM prediction_history h
+             JOIN matches m ON h.match_id = m.id
+             JOIN competitions c ON m.competition_id = c.id
+             WHERE c.season_id = ?`;
+  const params = [filters.seasonId];
+  if (filters.competitionId) {
+    sql += ' AND m.competition_id = ?';
+    params.push(filters.competitionId);
   }
-  if (pathname === '/logout') {
-    handleLogout(req, res);
-    return;
+  if (filters.round) {
+    sql += ' AND m.round = ?';
+    params.push(filters.round);
   }
-  if (pathname === '/palpites') {
-    if (!user) {
-      sendRedirect(res, '/login');
-      return;
-    }
-    if (method === 'GET') {
-      handlePalpitesGet(req, res, user);
-    } else if (method === 'POST') {
-      handlePalpitesPost(req, res, user);
-    }
-    return;
+  if (filters.userId) {
+    sql += ' AND h.user_id = ?';
+    params.push(filters.userId);
   }
-  if (pathname === '/ranking' && method === 'GET') {
-    handleRanking(req, res, user);
-    return;
+  return all(sql + ' ORDER BY h.id DESC', params);
+}
+
+// ----------------------------------------------------------------------
+// Classificação
+// ----------------------------------------------------------------------
+function getClassification() {
+  return all('SELECT competition_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff FROM classification');
+}
+
+/**
+ * Regrava a classificação de uma competição com a lista recebida.
+ *
+ * @param {number} competitionId ID da competição
+ * @param {Array} entries Linhas da classificação (uma por time)
+ * @returns {Promise<void>}
+ */
+async function replaceClassification(competitionId, entries) {
+  await run('DELETE FROM classification WHERE competition_id = ?', [competitionId]);
+  for (const e of entries) {
+    await run(
+      'INSERT INTO classification (competition_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [competitionId, e.team_id, e.points, e.games, e.wins, e.draws, e.losses, e.goals_for, e.goals_against, e.goal_diff]
+    );
   }
-  // Removida a duplicação da rota /resultados - agora apenas no server.js
-  if (pathname === '/artilharia' && method === 'GET') {
-    handleArtilharia(req, res, user);
-    return;
+}
+
+// ----------------------------------------------------------------------
+// Artilharia
+// ----------------------------------------------------------------------
+function getScorers() {
+  return all('SELECT id, competition_id, player, team_id, goals, rank FROM scorers ORDER BY rank, id');
+}
+
+/**
+ * Regrava a artilharia de uma competição. Os IDs são atribuídos pelo banco
+ * na ordem da lista, de modo que jogadores empatados no mesmo `rank`
+ * mantenham a ordem recebida.
+ *
+ * @param {number} competitionId ID da competição
+ * @param {Array} scorers Lista de { player, team_id, goals, rank }
+ * @returns {Promise<void>}
+ */
+async function replaceScorers(competitionId, scorers) {
+  await run('DELETE FROM scorers WHERE competition_id = ?', [competitionId]);
+  for (const s of scorers) {
+    await run(
+      'INSERT INTO scorers (competition_id, player, team_id, goals, rank) VALUES (?, ?, ?, ?, ?)',
+      [competitionId, s.player, s.team_id, s.goals, s.rank]
+    );
   }
-  if (pathname === '/admin') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    if (method === 'GET') {
-      handleAdminGet(req, res, user);
-    }
-    return;
+}
+
+// ----------------------------------------------------------------------
+// Auditoria
+// ----------------------------------------------------------------------
+
+// Os valores antes e depois são gravados em JSON
+function mapAuditEntry(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    before_values: row.before_values === null ? null : JSON.parse(row.before_values),
+    after_values: row.after_values === null ? null : JSON.parse(row.after_values)
+  };
+}
+
+/**
+ * Acrescenta uma linha à auditoria (veja audit.js).
+ *
+ * @param {Object} entry { actor_id, entity, entity_id, action, before_values, after_values, reverts_id? }
+ * @returns {Promise<number>} ID da linha criada
+ */
+function insertAuditEntry(entry) {
+  return run(
+    'INSERT INTO audit_log (actor_id, entity, entity_id, action, before_values, after_values, reverts_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      entry.actor_id, entry.entity, entry.entity_id, entry.action,
+      entry.before_values === null ? null : JSON.stringify(entry.before_values),
+      entry.after_values === null ? null : JSON.stringify(entry.after_values),
+      entry.reverts_id || null
+    ]
+  ).then(result => result.lastID);
+}
+
+const AUDIT_COLUMNS = `a.id, a.actor_id, a.created_at, a.entity, a.entity_id, a.action, a.before_values, a.after_values, a.reverts_id,
+                       (SELECT r.id FROM audit_log r WHERE r.reverts_id = a.id ORDER BY r.id LIMIT 1) AS reverted_by`;
+
+function getAuditEntry(id) {
+  return get(`SELECT ${AUDIT_COLUMNS} FROM audit_log a WHERE a.id = ?`, [id]).then(mapAuditEntry);
+}
+
+/**
+ * Consulta a auditoria, da alteração mais recente para a mais antiga. Cada
+ * linha traz em `reverted_by` a reversão que a desfez, se houver.
+ *
+ * @param {Object} filters { entity?, actorId?, from?, to? } (`from` e `to`
+ *   são instantes em ISO 8601 UTC; `to` é exclusivo)
+ * @returns {Promise<Array>}
+ */
+function getAuditLog(filters) {
+  let sql = `SELECT ${AUDIT_COLUMNS} FROM audit_log a WHERE 1 = 1`;
+  const params = [];
+  if (filters.entity) {
+    sql += ' AND a.entity = ?';
+    params.push(filters.entity);
   }
-  if (pathname === '/admin/update_matches' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateMatches(req, res, user);
-    return;
+  if (filters.actorId) {
+    sql += ' AND a.actor_id = ?';
+    params.push(filters.actorId);
   }
-  if (pathname === '/admin/update_classification' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateClassification(req, res, user);
-    return;
+  if (filters.from) {
+    sql += ' AND a.created_at >= ?';
+    params.push(filters.from);
   }
-  if (pathname === '/admin/update_scorers' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateScorers(req, res, user);
-    return;
+  if (filters.to) {
+    sql += ' AND a.created_at < ?';
+    params.push(filters.to);
   }
-  // Fallback 404
-  res.statusCode = 404;
-  res.end('Página não encontrada');
-});
+  return all(sql + ' ORDER BY a.id DESC', params).then(rows => rows.map(mapAuditEntry));
+}
 
-// Start server if run directly
-if (require.main === module) {
-  const PORT = process.env.PORT || 3000;
-  server.listen(PORT, () => {
-    console.log(`Servidor iniciado em http://localhost:${PORT}`);
-  });
+// ----------------------------------------------------------------------
+// Regras de pontuação
+// ----------------------------------------------------------------------
+function getScoringRules() {
+  return all('SELECT key, points, enabled FROM scoring_rules ORDER BY key');
 }
 
-// Exporta as funções de acesso ao banco de dados
-const dbAccess = {
-  getUserByCredentials: function(email, password) {
-    return new Promise((resolve, reject) => {
-      const data = loadData();
-      const user = data.users.find(u => u.email === email && u.password === password);
-      resolve(user || null);
-    });
-  },
-  
-  getPredictions: function() {
-    return new Promise((resolve, reject) => {
-      const data = loadData();
-      resolve(data.predictions);
-    });
-  },
-  
-  getPredictionsByRound: function(round) {
-    return new Promise((resolve, reject) => {
-      const data = loadData();
-      const roundMatches = data.matches.filter(m => m.round === round);
-      const predictions = data.predictions.filter(p => 
-        roundMatches.some(m => m.id === p.match_id)
-      );
-      resolve(predictions);
-    });
-  },
-  
-  savePredictionsForRound: function(round, userId, predictions) {
-    return new Promise((resolve, reject) => {
-      const data = loadData();
-      // Remove palpites existentes do usuário para esta rodada
-      const roundMatches = data.matches.filter(m => m.round === round);
-      data.predictions = data.predictions.filter(p => 
-        !(p.user_id === userId && roundMatches.some(m => m.id === p.match_id))
-      );
-      
-      // Adiciona novos palpites
-      let maxId = 0;
-      data.predictions.forEach(p => { if (p.id > maxId) maxId = p.id; });
-      
-      predictions.forEach(pred => {
-        maxId += 1;
-        data.predictions.push({
-          id: maxId,
-          match_id: pred.match_id,
-          user_id: userId,
-          home_score: pred.home_score,
-          away_score: pred.away_score
-        });
-      });
-      
-      writeJSON('predictions.json', data.predictions);
-      resolve();
-    });
+/**
+ * Grava a pontuação e a situação (ativa ou não) das regras informadas.
+ *
+ * @param {Array} rules Lista de { key, points, enabled }
+ * @returns {Promise<void>}
+ */
+async function saveScoringRules(rules) {
+  for (const r of rules) {
+    await run(
+      `INSERT INTO scoring_rules (key, points, enabled) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET points = excluded.points, enabled = excluded.enabled`,
+      [r.key, r.points, r.enabled ? 1 : 0]
+    );
   }
-};
+}
+
+/**
+ * Carrega todos os dados usados pelas páginas do portal em um único objeto,
+ * no mesmo formato que os arquivos JSON de `data/` possuíam, acrescido das
+ * temporadas, competições e regras de pontuação. Os dados de todas as
+ * temporadas vêm juntos; data_store.js separa cada temporada e competição.
+ *
+ * @returns {Promise<Object>} { seasons, competitions, competitionTeams, users, matches, teams, classification, predictions, scorers, scoringRules }
+ */
+function loadData() {
+  return Promise.all([
+    getSeasons(),
+    getCompetitions(),
+    getCompetitionTeams(),
+    getUsers(),
+    getMatches(),
+    getTeams(),
+    getClassification(),
+    getPredictions(),
+    getScorers(),
+    getScoringRules()
+  ]).then(([seasons, competitions, competitionTeams, users, matches, teams, classification, predictions, scorers, scoringRules]) => {
+    return { seasons, competitions, competitionTeams, users, matches, teams, classification, predictions, scorers, scoringRules };
+  });
+}
 
-// Exporta tanto o servidor quanto as funções de acesso ao banco
 module.exports = {
-  server: server,
-  ...dbAccess
+  db,
+  IntegrityError,
+  transaction,
+  onTransactionEnd,
+  loadData,
+  getSeasons,
+  getSeasonById,
+  insertSeason,
+  setSeasonArchived,
+  getCompetitions,
+  getCompetitionTeams,
+  insertCompetition,
+  updateCompetitionTiebreakers,
+  updateCompetitionTeamStats,
+  getUsers,
+  getUserById,
+  getUserByCredentials,
+  updateUserPassword,
+  insertSession,
+  getSessionByTokenHash,
+  touchSession,
+  deleteSession,
+  deleteUserSessions,
+  deleteExpiredSessions,
+  getActiveSessions,
+  insertApiToken,
+  getApiTokenByHash,
+  touchApiToken,
+  revokeApiToken,
+  getApiTokens,
+  getTeams,
+  getTeamById,
+  getMatches,
+  getMatchesByRound,
+  updateMatchScore,
+  insertMatches,
+  insertMatch,
+  updateMatchSchedule,
+  updateMatchStatus,
+  deleteMatch,
+  getPredictions,
+  getPredictionsByMatch,
+  getPredictionsByRound,
+  upsertPrediction,
+  getPredictionHistory,
+  getClassification,
+  replaceClassification,
+  getScorers,
+  replaceScorers,
+  insertAuditEntry,
+  getAuditEntry,
+  getAuditLog,
+  getScoringRules,
+  saveScoringRules
 };
@@ -5,14 +5,22 @@
  * users, predictions, scorers e classification) e insere/atualiza esses
  * registros nas tabelas correspondentes da base SQLite. Execute-o uma vez
  * após rodar init_db.js para popular o banco com os dados iniciais.
+ *
+ * As chaves estrangeiras ficam ativas durante a importação, por isso as
+ * tabelas são preenchidas na ordem das dependências (usuários e times antes
+ * de partidas, partidas antes de palpites). Registros já existentes são
+ * atualizados com upsert em vez de INSERT OR REPLACE, que apagaria a linha
+ * antiga e quebraria as referências a ela.
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const passwords = require('./passwords');
+const kickoff = require('./kickoff');
 
 // Caminhos
-const dbFile = path.join(__dirname, 'database.db');
+const dbFile = process.env.DB_FILE || path.join(__dirname, 'database.db');
 const dataDir = path.join(__dirname, 'data');
 
 // Abre o banco
@@ -31,6 +39,36 @@ const predictions = loadJSON('predictions.json');
 const scorers = loadJSON('scorers.json');
 const classification = loadJSON('classification.json');
 
+// Os arquivos de data/ correspondem à Série B da temporada 2025, a
+// competição criada pelas migrações 003_temporadas.sql e 004_competicoes.sql.
+// Partidas de outras competições podem informar `competition_id` (e, nos
+// mata-matas, `stage` e `leg`) no próprio arquivo matches.json; partidas
+// anuladas trazem o motivo em `annulled_reason`. O `kickoff_at` de cada
+// partida traz data e hora (ISO 8601 com fuso) ou só a data (YYYY-MM-DD),
+// quando a hora ainda não é conhecida; nesse caso a partida fica com a hora
+// a definir, como faz a migração 017 nos bancos já existentes.
+const COMPETITION_ID = 1;
+
+// Situação de uma partida que não a informa em matches.json: anulada se
+// tiver motivo de anulação, encerrada se tiver placar e agendada caso
+// contrário (veja match_status.js)
+function defaultMatchStatus(m) {
+  if (m.annulled_reason) return 'annulled';
+  if (m.home_score !== null && m.home_score !== undefined && m.away_score !== null && m.away_score !== undefined) {
+    return 'finished';
+  }
+  return 'scheduled';
+}
+
+// Horário de início de uma partida de matches.json ({ kickoff_at, kickoff_tbd })
+function matchKickoff(m) {
+  const value = m.kickoff_at || '';
+  if (value === '' || kickoff.isValid(value)) return { kickoff_at: value, kickoff_tbd: 0 };
+  const when = kickoff.fromForm(value, '');
+  if (!when) throw new Error(`Horário inválido na partida ${m.id}: ${value}`);
+  return when;
+}
+
 // Função utilitária para aguardar a conclusão de todas as execuções
 function runInsert(stmt, params) {
   return new Promise((resolve, reject) => {
@@ -43,51 +81,94 @@ function runInsert(stmt, params) {
 
 async function importData() {
   try {
-    // Desliga verificação de integridade temporariamente para acelerar inserts
+    // Garante que as chaves estrangeiras sejam verificadas em cada insert
     await new Promise((resolve, reject) => {
-      db.exec('PRAGMA foreign_keys = OFF;', (err) => (err ? reject(err) : resolve()));
+      db.exec('PRAGMA foreign_keys = ON;', (err) => (err ? reject(err) : resolve()));
     });
 
-    // Users
-    const userStmt = db.prepare('INSERT OR REPLACE INTO users (id, name, email, password, isAdmin) VALUES (?, ?, ?, ?, ?)');
+    // Users. users.json não traz senhas: os usuários novos recebem uma
+    // senha inicial aleatória, exibida uma única vez, e os já existentes
+    // mantêm a senha atual. As senhas são trocadas no Admin.
+    const existingUserIds = await new Promise((resolve, reject) => {
+      db.all('SELECT id FROM users', (err, rows) => (err ? reject(err) : resolve(new Set(rows.map(r => r.id)))));
+    });
+    const userStmt = db.prepare('INSERT INTO users (id, name, email, password_hash, isAdmin) VALUES (?, ?, ?, ?, ?)');
+    const userUpdateStmt = db.prepare('UPDATE users SET name = ?, email = ?, isAdmin = ? WHERE id = ?');
     for (const u of users) {
-      await runInsert(userStmt, [u.id, u.name, u.email, u.password, u.isAdmin ? 1 : 0]);
+      if (existingUserIds.has(u.id)) {
+        await runInsert(userUpdateStmt, [u.name, u.email, u.isAdmin ? 1 : 0, u.id]);
+        continue;
+      }
+      const initialPassword = passwords.generate();
+      await runInsert(userStmt, [u.id, u.name, u.email, await passwords.hash(initialPassword), u.isAdmin ? 1 : 0]);
+      console.log(`Senha inicial de ${u.name} (${u.email}): ${initialPassword}`);
     }
     userStmt.finalize();
+    userUpdateStmt.finalize();
 
     // Teams
-    const teamStmt = db.prepare('INSERT OR REPLACE INTO teams (id, name, abbr, highlight) VALUES (?, ?, ?, ?)');
+    const teamStmt = db.prepare(`INSERT INTO teams (id, name, abbr, highlight) VALUES (?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET name = excluded.name, abbr = excluded.abbr, highlight = excluded.highlight`);
     for (const t of teams) {
       await runInsert(teamStmt, [t.id, t.name, t.abbr, t.highlight ? 1 : 0]);
     }
     teamStmt.finalize();
 
+    // Times participantes da competição
+    const competitionTeamStmt = db.prepare(`INSERT INTO competition_teams (competition_id, team_id) VALUES (?, ?)
+      ON CONFLICT (competition_id, team_id) DO NOTHING`);
+    for (const t of teams) {
+      await runInsert(competitionTeamStmt, [COMPETITION_ID, t.id]);
+    }
+    competitionTeamStmt.finalize();
+
     // Matches
-    const matchStmt = db.prepare('INSERT OR REPLACE INTO matches (id, round, date, home_team_id, away_team_id, home_score, away_score) VALUES (?, ?, ?, ?, ?, ?, ?)');
+    const matchStmt = db.prepare(`INSERT INTO matches (id, competition_id, round, stage, leg, kickoff_at, kickoff_tbd, home_team_id, away_team_id, home_score, away_score, home_penalties, away_penalties, status, annulled_reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET competition_id = excluded.competition_id, round = excluded.round,
+        stage = excluded.stage, leg = excluded.leg, kickoff_at = excluded.kickoff_at, kickoff_tbd = excluded.kickoff_tbd,
+        home_team_id = excluded.home_team_id, away_team_id = excluded.away_team_id,
+        home_score = excluded.home_score, away_score = excluded.away_score,
+        home_penalties = excluded.home_penalties, away_penalties = excluded.away_penalties,
+        status = excluded.status, annulled_reason = excluded.annulled_reason`);
     for (const m of matches) {
-      await runInsert(matchStmt, [m.id, m.round, m.date, m.home_team_id, m.away_team_id, m.home_score, m.away_score]);
+      const when = matchKickoff(m);
+      await runInsert(matchStmt, [
+        m.id, m.competition_id || COMPETITION_ID, m.round, m.stage || null, m.leg || null, when.kickoff_at, when.kickoff_tbd,
+        m.home_team_id, m.away_team_id, m.home_score, m.away_score,
+        m.home_penalties === undefined ? null : m.home_penalties,
+        m.away_penalties === undefined ? null : m.away_penalties,
+        m.status || defaultMatchStatus(m),
+        m.annulled_reason || null
+      ]);
     }
     matchStmt.finalize();
 
-    // Predictions
-    const predStmt = db.prepare('INSERT OR REPLACE INTO predictions (id, match_id, user_id, home_score, away_score) VALUES (?, ?, ?, ?, ?)');
+    // Predictions (um palpite por apresentador em cada partida)
+    const predStmt = db.prepare(`INSERT INTO predictions (match_id, user_id, home_score, away_score) VALUES (?, ?, ?, ?)
+      ON CONFLICT (match_id, user_id) DO UPDATE SET home_score = excluded.home_score, away_score = excluded.away_score`);
     for (const p of predictions) {
-      await runInsert(predStmt, [p.id, p.match_id, p.user_id, p.home_score, p.away_score]);
+      await runInsert(predStmt, [p.match_id, p.user_id, p.home_score, p.away_score]);
     }
     predStmt.finalize();
 
-    // Scorers (usa o campo rank como id para manter consistência)
-    const scorerStmt = db.prepare('INSERT OR REPLACE INTO scorers (id, player, team_id, goals, rank) VALUES (?, ?, ?, ?, ?)');
-    for (const s of scorers) {
-      const scorerId = s.rank || s.id;
-      await runInsert(scorerStmt, [scorerId, s.player, s.team_id, s.goals, s.rank]);
+    // Scorers (usa a posição na lista como id: jogadores empatados compartilham
+    // o mesmo rank e não podem se sobrescrever)
+    const scorerStmt = db.prepare(`INSERT INTO scorers (id, competition_id, player, team_id, goals, rank) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET competition_id = excluded.competition_id, player = excluded.player, team_id = excluded.team_id,
+        goals = excluded.goals, rank = excluded.rank`);
+    for (let i = 0; i < scorers.length; i++) {
+      const s = scorers[i];
+      await runInsert(scorerStmt, [s.id || i + 1, COMPETITION_ID, s.player, s.team_id, s.goals, s.rank]);
     }
     scorerStmt.finalize();
 
     // Classification
-    const classStmt = db.prepare('INSERT OR REPLACE INTO classification (team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)');
+    const classStmt = db.prepare(`INSERT INTO classification (competition_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (competition_id, team_id) DO UPDATE SET points = excluded.points, games = excluded.games, wins = excluded.wins,
+        draws = excluded.draws, losses = excluded.losses, goals_for = excluded.goals_for,
+        goals_against = excluded.goals_against, goal_diff = excluded.goal_diff`);
     for (const c of classification) {
-      await runInsert(classStmt, [c.team_id, c.points, c.games, c.wins, c.draws, c.losses, c.goals_for, c.goals_against, c.goal_diff]);
+      await runInsert(classStmt, [COMPETITION_ID, c.team_id, c.points, c.games, c.wins, c.draws, c.losses, c.goals_for, c.goals_against, c.goal_diff]);
     }
     classStmt.finalize();
 
@@ -0,0 +1,242 @@
+/*
+ * Horário de início (kickoff) das partidas.
+ *
+ * A coluna `matches.kickoff_at` guarda data e hora no formato ISO 8601 com
+ * o deslocamento do fuso (por exemplo, "2025-10-25T18:30:00-03:00"). As
+ * datas e horas digitadas no Admin e exibidas nas páginas estão sempre no
+ * horário de Brasília (America/Sao_Paulo); o deslocamento gravado é o
+ * vigente naquele fuso na data da partida.
+ *
+ * Partidas sem data guardam um texto vazio (como as rodadas finais criadas
+ * pela migração 003) e aparecem como "A definir". Partidas com data mas sem
+ * hora têm a coluna `matches.kickoff_tbd` marcada: `kickoff_at` guarda a
+ * meia-noite da data, que serve apenas para exibir e ordenar a partida.
+ *
+ * Os palpites de uma partida travam quando ela começa: no horário de início
+ * ou antes, se a partida já tiver saído da situação agendada.
+ */
+
+const matchStatus = require('./match_status');
+
+const TIME_ZONE = 'America/Sao_Paulo';
+
+const KICKOFF_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})$/;
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Data e hora no fuso do portal de um instante (em milissegundos)
+function zoneParts(ms) {
+  const parts = {};
+  zoneFormat.formatToParts(new Date(ms)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second)
+  };
+}
+
+// Deslocamento do fuso do portal em relação ao UTC, em minutos, num instante
+function zoneOffset(ms) {
+  const p = zoneParts(ms);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+/**
+ * Indica se o texto é um horário de início válido (ISO 8601 com fuso).
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValid(value) {
+  return typeof value === 'string' && KICKOFF_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Indica se o horário de início da partida já foi definido.
+ *
+ * @param {string} value Valor de `kickoff_at`
+ * @returns {boolean}
+ */
+function isDefined(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+/**
+ * Indica se a hora de início da partida é conhecida: ela tem data e a hora
+ * não está marcada como a definir.
+ *
+ * @param {Object} match Partida { kickoff_at, kickoff_tbd }
+ * @returns {boolean}
+ */
+function hasTime(match) {
+  return isDefined(match.kickoff_at) && !match.kickoff_tbd;
+}
+
+/**
+ * Instante de início em milissegundos, para ordenar partidas. Horários a
+ * definir ficam depois de todos os outros.
+ *
+ * @param {string} value Valor de `kickoff_at`
+ * @returns {number}
+ */
+function toMillis(value) {
+  return isDefined(value) ? Date.parse(value) : Infinity;
+}
+
+/**
+ * Monta o horário de início a partir da data e da hora no horário de
+ * Brasília, como digitadas nos formulários.
+ *
+ * @param {string} date Data no formato YYYY-MM-DD
+ * @param {string} time Hora no formato HH:MM
+ * @returns {string|null} Horário no formato ISO 8601 com o deslocamento do
+ *   fuso, ou null se a data ou a hora forem inválidas
+ */
+function fromLocal(date, time) {
+  const d = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  const t = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!d || !t) return null;
+  const [year, month, day] = d.slice(1).map(Number);
+  const [hour, minute] = t.slice(1).map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) {
+    return null;
+  }
+  // O deslocamento depende do próprio instante; a segunda consulta acerta
+  // as datas próximas de uma mudança de horário de verão
+  let offset = zoneOffset(wall);
+  offset = zoneOffset(wall - offset * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${date}T${time}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Separa o horário de início em data e hora no horário de Brasília, para
+ * preencher os formulários.
+ *
+ * @param {string} kickoffAt Horário no formato ISO 8601
+ * @param {boolean} [timeTbd] A hora ainda não foi definida (`kickoff_tbd`)
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }, vazios se a
+ *   data ou a hora ainda não foram definidas
+ */
+function toLocal(kickoffAt, timeTbd = false) {
+  if (!isDefined(kickoffAt)) return { date: '', time: '' };
+  const p = zoneParts(Date.parse(kickoffAt));
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: timeTbd ? '' : `${pad(p.hour)}:${pad(p.minute)}`
+  };
+}
+
+/**
+ * Monta o horário de início a partir da data e da hora digitadas nos
+ * formulários, aceitando a hora em branco.
+ *
+ * @param {string} date Data no formato YYYY-MM-DD, ou vazia
+ * @param {string} time Hora no formato HH:MM, ou vazia
+ * @returns {Object|null} { kickoff_at, kickoff_tbd } (as duas em branco: sem
+ *   data; só a data: hora a definir), ou null se forem inválidas
+ */
+function fromForm(date, time) {
+  if (date === '' && time === '') return { kickoff_at: '', kickoff_tbd: 0 };
+  const kickoffAt = fromLocal(date, time === '' ? '00:00' : time);
+  if (kickoffAt === null) return null;
+  return { kickoff_at: kickoffAt, kickoff_tbd: time === '' ? 1 : 0 };
+}
+
+/**
+ * Formata um horário no horário de Brasília para exibição, como
+ * "25/10/2025 18:30" (ou "25/10/2025 18:30:05", com os segundos).
+ *
+ * @param {string} value Horário no formato ISO 8601
+ * @param {boolean} [withSeconds] Inclui os segundos
+ * @returns {string} "A definir" se o horário ainda não foi definido
+ */
+function format(value, withSeconds = false) {
+  if (!isDefined(value)) return 'A definir';
+  const p = zoneParts(Date.parse(value));
+  const seconds = withSeconds ? `:${pad(p.second)}` : '';
+  return `${pad(p.day)}/${pad(p.month)}/${p.year} ${pad(p.hour)}:${pad(p.minute)}${seconds}`;
+}
+
+/**
+ * Formata o horário de início de uma partida para exibição: "A definir"
+ * sem data e "25/10/2025 (horário a definir)" sem hora.
+ *
+ * @param {Object} match Partida { kickoff_at, kickoff_tbd }
+ * @returns {string}
+ */
+function formatMatch(match) {
+  if (!isDefined(match.kickoff_at) || !match.kickoff_tbd) return format(match.kickoff_at);
+  const local = toLocal(match.kickoff_at, true);
+  return `${local.date.split('-').reverse().join('/')} (horário a definir)`;
+}
+
+/**
+ * Compara duas partidas pelo horário de início, para ordenar listas.
+ */
+function compare(a, b) {
+  const ta = toMillis(a.kickoff_at);
+  const tb = toMillis(b.kickoff_at);
+  return ta === tb ? 0 : ta < tb ? -1 : 1;
+}
+
+/**
+ * Indica se a partida já começou pelo relógio, mesmo que a situação ainda
+ * não tenha sido atualizada no Admin. Sem data ou sem hora a partida não
+ * começa pelo relógio: só a mudança de situação trava os palpites.
+ *
+ * @param {Object} match Partida { kickoff_at, kickoff_tbd }
+ * @param {number} [now] Instante de referência, em milissegundos
+ * @returns {boolean}
+ */
+function hasStarted(match, now = Date.now()) {
+  return hasTime(match) && Date.parse(match.kickoff_at) <= now;
+}
+
+/**
+ * Indica se os palpites da partida estão travados: ela não está mais
+ * agendada ou o horário de início já passou.
+ *
+ * @param {Object} match Partida { status, kickoff_at, kickoff_tbd }
+ * @param {number} [now] Instante de referência, em milissegundos
+ * @returns {boolean}
+ */
+function isLocked(match, now = Date.now()) {
+  return !matchStatus.isOpen(match) || hasStarted(match, now);
+}
+
+module.exports = {
+  TIME_ZONE,
+  isValid,
+  isDefined,
+  hasTime,
+  toMillis,
+  fromLocal,
+  fromForm,
+  toLocal,
+  format,
+  formatMatch,
+  compare,
+  hasStarted,
+  isLocked
+};
@@ -0,0 +1,120 @@
+/*
+ * Situação (status) das partidas.
+ *
+ * Cada partida tem uma situação explícita, gravada na coluna
+ * `matches.status` (veja migrations/008_status_partidas.sql):
+ *
+ * - agendada (`scheduled`): ainda não começou e aceita palpites;
+ * - em andamento (`live`): começou; não aceita mais palpites e o placar
+ *   pode ser parcial;
+ * - encerrada (`finished`): placar final, que pontua no ranking e conta na
+ *   classificação;
+ * - adiada (`postponed`): sem data definida; não segura a rodada nem aceita
+ *   palpites até ser remarcada;
+ * - anulada (`annulled`): fica fora do bolão (palpites e ranking), com o
+ *   motivo em `annulled_reason`. Se tinha placar, continua contando na
+ *   classificação, já que a anulação vale apenas para o bolão.
+ *
+ * As páginas não deduzem mais a situação a partir de placares nulos: todas
+ * consultam as funções deste módulo.
+ */
+
+const STATUS_LABELS = {
+  scheduled: 'Agendada',
+  live: 'Em andamento',
+  finished: 'Encerrada',
+  postponed: 'Adiada',
+  annulled: 'Anulada'
+};
+
+// Mudanças de situação permitidas a partir de cada situação
+const TRANSITIONS = {
+  scheduled: ['live', 'finished', 'postponed', 'annulled'],
+  live: ['finished', 'postponed', 'annulled'],
+  // Uma partida encerrada pode ser reaberta para corrigir o placar
+  finished: ['live', 'annulled'],
+  postponed: ['scheduled', 'annulled'],
+  // Desfazer a anulação devolve a partida à situação compatível com o placar
+  annulled: ['scheduled', 'finished']
+};
+
+function hasScore(match) {
+  return match.home_score !== null && match.away_score !== null;
+}
+
+/**
+ * Indica se a partida pode passar da situação `from` para `to` (manter a
+ * mesma situação é sempre permitido).
+ *
+ * @param {string} from Situação atual
+ * @param {string} to Nova situação
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Confere se a situação é compatível com os demais dados da partida.
+ *
+ * @param {Object} match Partida { status, home_score, away_score, annulled_reason }
+ * @returns {string|null} Mensagem de erro, ou null se estiver tudo certo
+ */
+function validate(match) {
+  if (!STATUS_LABELS[match.status]) return 'Situação de partida desconhecida.';
+  if (match.status === 'finished' && !hasScore(match)) {
+    return 'Uma partida encerrada precisa ter o placar completo.';
+  }
+  if ((match.status === 'scheduled' || match.status === 'postponed') &&
+      (match.home_score !== null || match.away_score !== null)) {
+    return `Uma partida ${STATUS_LABELS[match.status].toLowerCase()} não pode ter placar.`;
+  }
+  if ((match.status === 'annulled') !== (match.annulled_reason !== null)) {
+    return 'Informe o motivo apenas para partidas anuladas.';
+  }
+  return null;
+}
+
+// Aceita palpites
+function isOpen(match) {
+  return match.status === 'scheduled';
+}
+
+// Ainda vai ser disputada na sua rodada (agendada ou em andamento): segura
+// a rodada em andamento
+function isPending(match) {
+  return match.status === 'scheduled' || match.status === 'live';
+}
+
+// Ainda não tem resultado final (inclui as adiadas), como na simulação
+function isUnplayed(match) {
+  return isPending(match) || match.status === 'postponed';
+}
+
+// Tem resultado final que pontua no ranking
+function isFinished(match) {
+  return match.status === 'finished';
+}
+
+function isAnnulled(match) {
+  return match.status === 'annulled';
+}
+
+// Conta na classificação, na forma recente dos times e nos confrontos
+// diretos: partidas encerradas e anuladas com placar
+function countsForTable(match) {
+  return (match.status === 'finished' || match.status === 'annulled') && hasScore(match);
+}
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  canTransition,
+  validate,
+  isOpen,
+  isPending,
+  isUnplayed,
+  isFinished,
+  isAnnulled,
+  countsForTable
+};
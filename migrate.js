@@ -0,0 +1,192 @@
+/*
+ * Sistema de migrações versionadas do banco SQLite.
+ *
+ * Cada arquivo em `migrations/` segue o padrão `NNN_descricao.sql`, onde
+ * NNN é o número da versão. As migrações são aplicadas em ordem crescente
+ * e cada versão aplicada é registrada na tabela `schema_migrations`, de
+ * modo que um banco existente (inclusive o de produção) possa ser
+ * atualizado no local sem edição manual. Cada migração roda dentro de uma
+ * transação; por isso os arquivos não devem conter BEGIN/COMMIT.
+ *
+ * Migrações que precisam de código (por exemplo, calcular o hash das
+ * senhas) podem ser escritas como `NNN_descricao.js`. O módulo exporta
+ * `up({ exec, run, all })`, que recebe as funções de acesso ao banco e
+ * retorna uma Promise; ele roda na mesma transação que as migrações SQL.
+ *
+ * Durante as migrações a verificação de chaves estrangeiras fica desligada,
+ * pois recriar uma tabela (a forma de alterar restrições no SQLite) exige
+ * removê-la enquanto outras ainda a referenciam. Antes de confirmar cada
+ * migração, `PRAGMA foreign_key_check` garante que nenhuma referência
+ * ficou quebrada.
+ *
+ * Uso pela linha de comando:
+ *   node migrate.js up      aplica todas as migrações pendentes
+ *   node migrate.js status  lista as migrações e indica quais já foram aplicadas
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, 'migrations');
+const migrationFilePattern = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Lista os arquivos de migração disponíveis, ordenados pela versão.
+ *
+ * @returns {Array} Lista de { version, name, file }
+ */
+function listMigrations() {
+  const migrations = fs.readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(migrationFilePattern);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  // Duas migrações com o mesmo número tornariam a ordem ambígua
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Versão de migração duplicada: ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// Executa o conteúdo de uma migração, SQL ou JavaScript
+function applyMigration(db, m) {
+  const file = path.join(migrationsDir, m.file);
+  if (path.extname(m.file) === '.js') {
+    return require(file).up({
+      exec: sql => exec(db, sql),
+      run: (sql, params) => run(db, sql, params),
+      all: (sql, params) => all(db, sql, params)
+    });
+  }
+  return exec(db, fs.readFileSync(file, 'utf8'));
+}
+
+function ensureMigrationsTable(db) {
+  return exec(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+/**
+ * Retorna a situação de todas as migrações conhecidas.
+ *
+ * @param {sqlite3.Database} db Conexão aberta com o banco
+ * @returns {Promise<Array>} Lista de { version, name, file, applied_at } onde
+ *                           `applied_at` é null para migrações pendentes
+ */
+async function status(db) {
+  await ensureMigrationsTable(db);
+  const rows = await all(db, 'SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+  return listMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    file: m.file,
+    applied_at: applied.get(m.version) || null
+  }));
+}
+
+/**
+ * Aplica, em ordem, todas as migrações ainda não registradas em
+ * `schema_migrations`. Se uma migração falhar, sua transação é desfeita e
+ * as seguintes não são executadas.
+ *
+ * @param {sqlite3.Database} db Conexão aberta com o banco
+ * @returns {Promise<Array>} Migrações aplicadas nesta execução
+ */
+async function up(db) {
+  const pending = (await status(db)).filter(m => !m.applied_at);
+  const applied = [];
+  if (pending.length === 0) return applied;
+  // O PRAGMA não tem efeito dentro de uma transação, por isso é alterado
+  // antes do BEGIN e restaurado ao final.
+  const [{ foreign_keys: foreignKeysBefore }] = await all(db, 'PRAGMA foreign_keys');
+  await exec(db, 'PRAGMA foreign_keys = OFF');
+  try {
+    for (const m of pending) {
+      await exec(db, 'BEGIN');
+      try {
+        await applyMigration(db, m);
+        const violations = await all(db, 'PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+          const first = violations[0];
+          throw new Error(`${violations.length} referência(s) inválida(s); por exemplo, ` +
+            `linha ${first.rowid} de ${first.table} aponta para ${first.parent} inexistente`);
+        }
+        await run(db, 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [m.version, m.name, new Date().toISOString()]);
+        await exec(db, 'COMMIT');
+      } catch (err) {
+        await exec(db, 'ROLLBACK');
+        err.message = `Falha na migração ${m.file}: ${err.message}`;
+        throw err;
+      }
+      applied.push(m);
+    }
+  } finally {
+    await exec(db, `PRAGMA foreign_keys = ${foreignKeysBefore ? 'ON' : 'OFF'}`);
+  }
+  return applied;
+}
+
+module.exports = { up, status, listMigrations };
+
+// Execução pela linha de comando
+if (require.main === module) {
+  const sqlite3 = require('sqlite3').verbose();
+  const dbFile = process.env.DB_FILE || path.join(__dirname, 'database.db');
+  const command = process.argv[2] || 'status';
+  const db = new sqlite3.Database(dbFile);
+  let task;
+  if (command === 'up') {
+    task = up(db).then(applied => {
+      if (applied.length === 0) {
+        console.log('Nenhuma migração pendente.');
+      } else {
+        applied.forEach(m => console.log(`Aplicada: ${m.file}`));
+      }
+    });
+  } else if (command === 'status') {
+    task = status(db).then(list => {
+      list.forEach(m => {
+        const state = m.applied_at ? `aplicada em ${m.applied_at}` : 'pendente';
+        console.log(`${m.file} - ${state}`);
+      });
+    });
+  } else {
+    console.error(`Comando desconhecido: ${command}. Use "up" ou "status".`);
+    process.exitCode = 1;
+    task = Promise.resolve();
+  }
+  task
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
@@ -1,4 +1,7 @@
--- Definição das tabelas para o banco SQLite do Debate Taquara Raiz
+-- Migração 001: definição inicial das tabelas para o banco SQLite do
+-- Debate Taquara Raiz (antigo schema.sql). As instruções usam IF NOT EXISTS
+-- para que bancos criados antes do sistema de migrações sejam aceitos sem
+-- alteração.
 
 -- Usuários: somente o administrador precisa efetuar login. Os apresentadores não
 -- possuem email e senha para login, mas permanecem na tabela para cálculos de ranking.
@@ -0,0 +1,74 @@
+-- Migração 002: integridade referencial e unicidade dos palpites.
+--
+-- O SQLite não permite adicionar chaves estrangeiras a tabelas existentes,
+-- então cada tabela é recriada com as restrições e os dados são copiados.
+-- O executor de migrações desliga a verificação de chaves estrangeiras
+-- durante a troca das tabelas e roda PRAGMA foreign_key_check antes de
+-- confirmar a transação.
+
+-- Partidas: mandante e visitante precisam existir em teams
+CREATE TABLE matches_new (
+  id INTEGER PRIMARY KEY,
+  round INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  home_team_id INTEGER NOT NULL REFERENCES teams(id),
+  away_team_id INTEGER NOT NULL REFERENCES teams(id),
+  home_score INTEGER,
+  away_score INTEGER
+);
+INSERT INTO matches_new (id, round, date, home_team_id, away_team_id, home_score, away_score)
+  SELECT id, round, date, home_team_id, away_team_id, home_score, away_score FROM matches;
+DROP TABLE matches;
+ALTER TABLE matches_new RENAME TO matches;
+
+-- Palpites: referenciam partida e apresentador, com no máximo um palpite
+-- por apresentador em cada partida. Registros duplicados são reduzidos ao
+-- mais recente (maior id) e palpites de partidas inexistentes são descartados.
+CREATE TABLE predictions_new (
+  id INTEGER PRIMARY KEY,
+  match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  home_score INTEGER NOT NULL,
+  away_score INTEGER NOT NULL,
+  UNIQUE (match_id, user_id)
+);
+INSERT INTO predictions_new (id, match_id, user_id, home_score, away_score)
+  SELECT p.id, p.match_id, p.user_id, p.home_score, p.away_score
+  FROM predictions p
+  WHERE p.id IN (SELECT MAX(id) FROM predictions GROUP BY match_id, user_id)
+    AND EXISTS (SELECT 1 FROM matches m WHERE m.id = p.match_id);
+DROP TABLE predictions;
+ALTER TABLE predictions_new RENAME TO predictions;
+
+-- Classificação: uma linha por time cadastrado
+CREATE TABLE classification_new (
+  team_id INTEGER PRIMARY KEY REFERENCES teams(id),
+  points INTEGER,
+  games INTEGER,
+  wins INTEGER,
+  draws INTEGER,
+  losses INTEGER,
+  goals_for INTEGER,
+  goals_against INTEGER,
+  goal_diff INTEGER
+);
+INSERT INTO classification_new (team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff)
+  SELECT team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff FROM classification;
+DROP TABLE classification;
+ALTER TABLE classification_new RENAME TO classification;
+
+-- Artilharia: o time do jogador precisa existir em teams
+CREATE TABLE scorers_new (
+  id INTEGER PRIMARY KEY,
+  player TEXT NOT NULL,
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  goals INTEGER,
+  rank INTEGER
+);
+INSERT INTO scorers_new (id, player, team_id, goals, rank)
+  SELECT id, player, team_id, goals, rank FROM scorers;
+DROP TABLE scorers;
+ALTER TABLE scorers_new RENAME TO scorers;
+
+CREATE INDEX IF NOT EXISTS idx_matches_round ON matches (round);
+CREATE INDEX IF NOT EXISTS idx_predictions_user ON predictions (user_id);
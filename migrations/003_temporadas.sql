@@ -0,0 +1,148 @@
+-- Migração 003: temporadas.
+--
+-- Até aqui o banco guardava uma única competição (Série B 2025). A tabela
+-- seasons passa a agrupar times, partidas, classificação e artilharia de
+-- cada ano; os palpites pertencem à temporada da partida. Todos os dados
+-- existentes são atribuídos à temporada 2025. Uma temporada arquivada
+-- continua visível no portal, mas não aceita mais gravações.
+CREATE TABLE seasons (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  year INTEGER NOT NULL UNIQUE,
+  archived INTEGER NOT NULL DEFAULT 0
+);
+INSERT INTO seasons (id, name, year, archived) VALUES (1, 'Série B 2025', 2025, 0);
+
+-- Times participantes de cada temporada
+CREATE TABLE season_teams (
+  season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  PRIMARY KEY (season_id, team_id)
+);
+INSERT INTO season_teams (season_id, team_id) SELECT 1, id FROM teams;
+
+-- Partidas
+CREATE TABLE matches_new (
+  id INTEGER PRIMARY KEY,
+  season_id INTEGER NOT NULL REFERENCES seasons(id),
+  round INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  home_team_id INTEGER NOT NULL REFERENCES teams(id),
+  away_team_id INTEGER NOT NULL REFERENCES teams(id),
+  home_score INTEGER,
+  away_score INTEGER
+);
+INSERT INTO matches_new (id, season_id, round, date, home_team_id, away_team_id, home_score, away_score)
+  SELECT id, 1, round, date, home_team_id, away_team_id, home_score, away_score FROM matches;
+DROP TABLE matches;
+ALTER TABLE matches_new RENAME TO matches;
+CREATE INDEX idx_matches_season_round ON matches (season_id, round);
+
+-- Classificação: uma linha por time em cada temporada
+CREATE TABLE classification_new (
+  season_id INTEGER NOT NULL REFERENCES seasons(id),
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  points INTEGER,
+  games INTEGER,
+  wins INTEGER,
+  draws INTEGER,
+  losses INTEGER,
+  goals_for INTEGER,
+  goals_against INTEGER,
+  goal_diff INTEGER,
+  PRIMARY KEY (season_id, team_id)
+);
+INSERT INTO classification_new (season_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff)
+  SELECT 1, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff FROM classification;
+DROP TABLE classification;
+ALTER TABLE classification_new RENAME TO classification;
+
+-- Artilharia
+CREATE TABLE scorers_new (
+  id INTEGER PRIMARY KEY,
+  season_id INTEGER NOT NULL REFERENCES seasons(id),
+  player TEXT NOT NULL,
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  goals INTEGER,
+  rank INTEGER
+);
+INSERT INTO scorers_new (id, season_id, player, team_id, goals, rank)
+  SELECT id, 1, player, team_id, goals, rank FROM scorers;
+DROP TABLE scorers;
+ALTER TABLE scorers_new RENAME TO scorers;
+
+-- Rodadas 34 a 38 da Série B 2025. Antes ficavam fixas no código do
+-- servidor e eram inseridas automaticamente ao fim de cada rodada; agora
+-- fazem parte dos dados da temporada. As datas seguem a regra antiga (uma
+-- semana após a última data da rodada 33). Bancos ainda sem times (recém
+-- criados, antes do import_data.js) e confrontos já cadastrados são
+-- ignorados: nesses casos as partidas vêm de data/matches.json.
+INSERT INTO matches (season_id, round, date, home_team_id, away_team_id)
+  SELECT 1, f.column1,
+         COALESCE(date((SELECT MAX(date) FROM matches WHERE season_id = 1 AND round = 33),
+                       '+' || ((f.column1 - 33) * 7) || ' days'), ''),
+         f.column2, f.column3
+  FROM (VALUES
+  -- Rodada 34
+  (34, 3, 19),     -- Novorizontino x Botafogo-SP
+  (34, 5, 7),      -- Cuiabá x Remo
+  (34, 11, 15),    -- Athletic Club x América-MG
+  (34, 18, 2),     -- Volta Redonda x Coritiba
+  (34, 16, 8),     -- Paysandu x Avaí
+  (34, 10, 1),     -- Criciúma x Goiás
+  (34, 13, 14),    -- CRB x Atlético-GO
+  (34, 6, 17),     -- Vila Nova x Ferroviária
+  (34, 4, 12),     -- Chapecoense x Operário
+  (34, 9, 20),     -- Athletico-PR x Amazonas
+  -- Rodada 35
+  (35, 14, 16),    -- Atlético-GO x Paysandu
+  (35, 2, 13),     -- Coritiba x CRB
+  (35, 17, 10),    -- Ferroviária x Criciúma
+  (35, 1, 9),      -- Goiás x Athletico-PR
+  (35, 8, 11),     -- Avaí x Athletic Club
+  (35, 20, 5),     -- Amazonas x Cuiabá
+  (35, 7, 4),      -- Remo x Chapecoense
+  (35, 12, 6),     -- Operário x Vila Nova
+  (35, 15, 3),     -- América-MG x Novorizontino
+  (35, 18, 19),    -- Volta Redonda x Botafogo-SP
+  -- Rodada 36
+  (36, 11, 17),    -- Athletic Club x Ferroviária
+  (36, 5, 1),      -- Cuiabá x Goiás
+  (36, 3, 7),      -- Novorizontino x Remo
+  (36, 9, 18),     -- Athletico-PR x Volta Redonda
+  (36, 6, 8),      -- Vila Nova x Avaí
+  (36, 10, 14),    -- Criciúma x Atlético-GO
+  (36, 13, 12),    -- CRB x Operário
+  (36, 16, 2),     -- Paysandu x Coritiba
+  (36, 4, 15),     -- Chapecoense x América-MG
+  (36, 19, 20),    -- Botafogo-SP x Amazonas
+  -- Rodada 37
+  (37, 15, 5),     -- América-MG x Cuiabá
+  (37, 14, 12),    -- Atlético-GO x Operário
+  (37, 8, 7),      -- Avaí x Remo
+  (37, 2, 11),     -- Coritiba x Athletic Club
+  (37, 13, 6),     -- CRB x Vila Nova
+  (37, 10, 19),    -- Criciúma x Botafogo-SP
+  (37, 17, 9),     -- Ferroviária x Athletico-PR
+  (37, 1, 3),      -- Goiás x Novorizontino
+  (37, 16, 20),    -- Paysandu x Amazonas
+  (37, 18, 4),     -- Volta Redonda x Chapecoense
+  -- Rodada 38
+  (38, 20, 2),     -- Amazonas x Coritiba
+  (38, 11, 16),    -- Athletic Club x Paysandu
+  (38, 9, 15),     -- Athletico-PR x América-MG
+  (38, 19, 8),     -- Botafogo-SP x Avaí
+  (38, 4, 14),     -- Chapecoense x Atlético-GO
+  (38, 5, 10),     -- Cuiabá x Criciúma
+  (38, 3, 13),     -- Novorizontino x CRB
+  (38, 12, 17),    -- Operário x Ferroviária
+  (38, 7, 1),      -- Remo x Goiás
+  (38, 6, 18)      -- Vila Nova x Volta Redonda
+  ) AS f
+  WHERE EXISTS (SELECT 1 FROM teams WHERE id = f.column2)
+    AND EXISTS (SELECT 1 FROM teams WHERE id = f.column3)
+    AND NOT EXISTS (
+      SELECT 1 FROM matches m
+      WHERE m.season_id = 1 AND m.round = f.column1
+        AND m.home_team_id = f.column2 AND m.away_team_id = f.column3
+    );
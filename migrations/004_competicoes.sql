@@ -0,0 +1,90 @@
+-- Migração 004: competições dentro de cada temporada.
+--
+-- Uma temporada passa a reunir várias competições (Série B, Copa do Brasil,
+-- Catarinense...). Cada competição tem um formato: pontos corridos
+-- ('league'), com tabela de classificação, ou mata-mata ('knockout'), com
+-- confrontos de ida e volta decididos no placar agregado e, se preciso, nos
+-- pênaltis. Partidas, times participantes, classificação e artilharia deixam
+-- de apontar para a temporada e passam a apontar para a competição.
+--
+-- Cada temporada existente ganha uma competição de pontos corridos com o
+-- mesmo ID, que herda os times e as partidas já cadastrados. As temporadas
+-- que tinham o nome da Série B passam a se chamar "Temporada <ano>".
+CREATE TABLE competitions (
+  id INTEGER PRIMARY KEY,
+  season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  abbr TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('league', 'knockout')),
+  UNIQUE (season_id, name)
+);
+INSERT INTO competitions (id, season_id, name, abbr, format)
+  SELECT id, id, 'Série B', 'SB', 'league' FROM seasons;
+UPDATE seasons SET name = 'Temporada ' || year WHERE name = 'Série B ' || year;
+
+-- Times participantes de cada competição (substitui season_teams)
+CREATE TABLE competition_teams (
+  competition_id INTEGER NOT NULL REFERENCES competitions(id) ON DELETE CASCADE,
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  PRIMARY KEY (competition_id, team_id)
+);
+INSERT INTO competition_teams (competition_id, team_id)
+  SELECT season_id, team_id FROM season_teams;
+DROP TABLE season_teams;
+
+-- Partidas. Nos mata-matas, `round` ordena as fases, `stage` guarda o nome
+-- da fase (por exemplo, "Oitavas de final") e `leg` indica o jogo de ida (1)
+-- ou de volta (2). Os pênaltis só são preenchidos no último jogo de um
+-- confronto empatado no agregado.
+CREATE TABLE matches_new (
+  id INTEGER PRIMARY KEY,
+  competition_id INTEGER NOT NULL REFERENCES competitions(id),
+  round INTEGER NOT NULL,
+  stage TEXT,
+  leg INTEGER,
+  date TEXT NOT NULL,
+  home_team_id INTEGER NOT NULL REFERENCES teams(id),
+  away_team_id INTEGER NOT NULL REFERENCES teams(id),
+  home_score INTEGER,
+  away_score INTEGER,
+  home_penalties INTEGER,
+  away_penalties INTEGER
+);
+INSERT INTO matches_new (id, competition_id, round, date, home_team_id, away_team_id, home_score, away_score)
+  SELECT id, season_id, round, date, home_team_id, away_team_id, home_score, away_score FROM matches;
+DROP TABLE matches;
+ALTER TABLE matches_new RENAME TO matches;
+CREATE INDEX idx_matches_competition_round ON matches (competition_id, round);
+
+-- Classificação: uma linha por time em cada competição de pontos corridos
+CREATE TABLE classification_new (
+  competition_id INTEGER NOT NULL REFERENCES competitions(id),
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  points INTEGER,
+  games INTEGER,
+  wins INTEGER,
+  draws INTEGER,
+  losses INTEGER,
+  goals_for INTEGER,
+  goals_against INTEGER,
+  goal_diff INTEGER,
+  PRIMARY KEY (competition_id, team_id)
+);
+INSERT INTO classification_new (competition_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff)
+  SELECT season_id, team_id, points, games, wins, draws, losses, goals_for, goals_against, goal_diff FROM classification;
+DROP TABLE classification;
+ALTER TABLE classification_new RENAME TO classification;
+
+-- Artilharia por competição
+CREATE TABLE scorers_new (
+  id INTEGER PRIMARY KEY,
+  competition_id INTEGER NOT NULL REFERENCES competitions(id),
+  player TEXT NOT NULL,
+  team_id INTEGER NOT NULL REFERENCES teams(id),
+  goals INTEGER,
+  rank INTEGER
+);
+INSERT INTO scorers_new (id, competition_id, player, team_id, goals, rank)
+  SELECT id, season_id, player, team_id, goals, rank FROM scorers;
+DROP TABLE scorers;
+ALTER TABLE scorers_new RENAME TO scorers;
@@ -0,0 +1,17 @@
+-- Migração 005: regras de pontuação dos palpites.
+--
+-- Cada linha ativa ou desativa uma regra e define quantos pontos ela vale.
+-- Os critérios de cada regra estão em scoring.js; as regras novas começam
+-- desativadas, mantendo a pontuação original (3 pontos para placar exato e
+-- 1 ponto para resultado correto).
+CREATE TABLE scoring_rules (
+  key TEXT PRIMARY KEY,
+  points INTEGER NOT NULL CHECK (points >= 0),
+  enabled INTEGER NOT NULL DEFAULT 0 CHECK (enabled IN (0, 1))
+);
+INSERT INTO scoring_rules (key, points, enabled) VALUES
+  ('exact', 3, 1),
+  ('goal_diff', 2, 0),
+  ('result', 1, 1),
+  ('one_score', 1, 0),
+  ('draw_bonus', 1, 0);
@@ -0,0 +1,17 @@
+-- Migração 006: critérios de desempate por competição.
+--
+-- Cada competição guarda a sequência de critérios usada para ordenar os
+-- times empatados em pontos (chaves separadas por vírgula, definidas em
+-- static/tiebreakers.js). A sequência padrão é a do regulamento da Série B:
+-- vitórias, saldo de gols, gols marcados, confronto direto, menos cartões
+-- vermelhos, menos cartões amarelos e sorteio.
+--
+-- Os participantes de cada competição ganham os dados disciplinares usados
+-- nos critérios de cartões e a posição no sorteio (vazia enquanto o sorteio
+-- não tiver sido realizado).
+ALTER TABLE competitions ADD COLUMN tiebreakers TEXT NOT NULL
+  DEFAULT 'wins,goal_diff,goals_for,head_to_head,red_cards,yellow_cards,draw';
+
+ALTER TABLE competition_teams ADD COLUMN yellow_cards INTEGER NOT NULL DEFAULT 0 CHECK (yellow_cards >= 0);
+ALTER TABLE competition_teams ADD COLUMN red_cards INTEGER NOT NULL DEFAULT 0 CHECK (red_cards >= 0);
+ALTER TABLE competition_teams ADD COLUMN draw_order INTEGER CHECK (draw_order > 0);
@@ -0,0 +1,14 @@
+-- Migração 007: partidas anuladas.
+--
+-- Uma partida anulada continua no histórico de resultados (e na
+-- classificação), mas deixa de aceitar palpites e não conta pontos no
+-- ranking. O motivo da anulação é obrigatório; partidas válidas têm a coluna
+-- vazia.
+--
+-- Até aqui as partidas anuladas ficavam em uma lista fixa no código do
+-- servidor (IDs 5 a 8, da rodada 18 da Série B 2025); elas são marcadas
+-- abaixo para manter o ranking inalterado.
+ALTER TABLE matches ADD COLUMN annulled_reason TEXT CHECK (annulled_reason IS NULL OR trim(annulled_reason) <> '');
+
+UPDATE matches SET annulled_reason = 'Anulada por decisão do administrador'
+  WHERE id IN (5, 6, 7, 8) AND competition_id = 1;
@@ -0,0 +1,14 @@
+-- Migração 008: situação explícita das partidas.
+--
+-- Até aqui a situação de uma partida era deduzida dos placares nulos, o que
+-- não distingue um jogo adiado de um jogo ainda por disputar. A coluna
+-- `status` passa a guardar a situação (veja match_status.js): agendada,
+-- em andamento, encerrada, adiada ou anulada.
+--
+-- As partidas existentes ficam encerradas quando têm placar e agendadas
+-- caso contrário; as que têm motivo de anulação ficam anuladas.
+ALTER TABLE matches ADD COLUMN status TEXT NOT NULL DEFAULT 'scheduled'
+  CHECK (status IN ('scheduled', 'live', 'finished', 'postponed', 'annulled'));
+
+UPDATE matches SET status = 'finished' WHERE home_score IS NOT NULL AND away_score IS NOT NULL;
+UPDATE matches SET status = 'annulled' WHERE annulled_reason IS NOT NULL;
@@ -0,0 +1,16 @@
+-- Migração 009: horário de início das partidas.
+--
+-- A coluna `date` guardava a data (YYYY-MM-DD), às vezes seguida da hora,
+-- sem fuso, o que não permite travar os palpites no começo do jogo. Ela passa a se chamar `kickoff_at`
+-- e a guardar data e hora no formato ISO 8601 com o deslocamento do fuso
+-- de Brasília (veja kickoff.js), por exemplo "2025-10-25T18:30:00-03:00".
+--
+-- As partidas importadas com hora ("YYYY-MM-DD HH:MM") são convertidas
+-- diretamente. As que têm apenas a data ficam com meia-noite do dia do
+-- jogo: os palpites travam no início do dia até que o horário real seja
+-- informado no Admin. As que ainda não têm data (texto vazio) continuam
+-- assim: o horário fica "a definir".
+ALTER TABLE matches RENAME COLUMN date TO kickoff_at;
+
+UPDATE matches SET kickoff_at = replace(kickoff_at, ' ', 'T') || ':00-03:00' WHERE length(kickoff_at) = 16;
+UPDATE matches SET kickoff_at = kickoff_at || 'T00:00:00-03:00' WHERE length(kickoff_at) = 10;
@@ -0,0 +1,11 @@
+-- Migração 010: autor de cada palpite.
+--
+-- Os apresentadores passam a entrar no portal e lançar os próprios palpites;
+-- o administrador continua podendo lançar os de qualquer um. A coluna
+-- `entered_by` registra quem gravou o palpite por último.
+--
+-- Até aqui somente o administrador entrava no portal, então os palpites
+-- existentes ficam registrados em nome dele.
+ALTER TABLE predictions ADD COLUMN entered_by INTEGER REFERENCES users(id);
+
+UPDATE predictions SET entered_by = (SELECT id FROM users WHERE isAdmin = 1 ORDER BY id LIMIT 1);
@@ -0,0 +1,33 @@
+-- Migração 011: histórico de alterações dos palpites.
+--
+-- Cada gravação que cria ou altera um palpite acrescenta uma linha em
+-- `prediction_history`, com o momento da gravação (UTC), quem a fez e os
+-- placares antes e depois (nulos antes quando o palpite é novo). A tabela é
+-- somente de acréscimo: os gatilhos abaixo recusam alterações e exclusões,
+-- para que o histórico sirva de prova em caso de contestação.
+--
+-- Os palpites gravados antes desta migração não têm histórico.
+CREATE TABLE prediction_history (
+  id INTEGER PRIMARY KEY,
+  match_id INTEGER NOT NULL REFERENCES matches(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  changed_by INTEGER REFERENCES users(id),
+  changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+  old_home_score INTEGER,
+  old_away_score INTEGER,
+  new_home_score INTEGER NOT NULL,
+  new_away_score INTEGER NOT NULL
+);
+
+CREATE INDEX idx_prediction_history_match ON prediction_history (match_id);
+CREATE INDEX idx_prediction_history_user ON prediction_history (user_id);
+
+CREATE TRIGGER prediction_history_no_update BEFORE UPDATE ON prediction_history
+BEGIN
+  SELECT RAISE(ABORT, 'O histórico de palpites não pode ser alterado');
+END;
+
+CREATE TRIGGER prediction_history_no_delete BEFORE DELETE ON prediction_history
+BEGIN
+  SELECT RAISE(ABORT, 'O histórico de palpites não pode ser excluído');
+END;
@@ -0,0 +1,32 @@
+-- Migração 012: auditoria das alterações feitas no Admin.
+--
+-- Cada gravação do Admin em partidas, artilharia e classificação acrescenta
+-- uma linha em `audit_log` (veja audit.js): autor, momento (UTC), entidade
+-- alterada, operação e os valores antes e depois em JSON. Reverter uma
+-- alteração grava a operação inversa como uma nova linha, que aponta para a
+-- original em `reverts_id`.
+--
+-- Como o histórico de palpites, a tabela é somente de acréscimo.
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(id),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+  entity TEXT NOT NULL,
+  entity_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  before_values TEXT,
+  after_values TEXT,
+  reverts_id INTEGER REFERENCES audit_log(id)
+);
+
+CREATE INDEX idx_audit_log_entity ON audit_log (entity, entity_id);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'A auditoria não pode ser alterada');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'A auditoria não pode ser excluída');
+END;
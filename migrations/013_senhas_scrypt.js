@@ -0,0 +1,23 @@
+/*
+ * Migração 013: hash das senhas dos usuários.
+ *
+ * A coluna `users.password` guardava as senhas como foram digitadas, e a
+ * entrada as comparava diretamente no SQL. Ela passa a se chamar
+ * `password_hash` e a guardar o hash scrypt com sal de cada senha (veja
+ * passwords.js). As senhas existentes continuam valendo: cada uma é
+ * convertida aqui, uma única vez. Valores que já são hashes são mantidos.
+ */
+
+const passwords = require('../passwords');
+
+async function up({ exec, run, all }) {
+  await exec('ALTER TABLE users RENAME COLUMN password TO password_hash');
+  const users = await all('SELECT id, password_hash FROM users ORDER BY id');
+  for (const u of users) {
+    if (passwords.isHash(u.password_hash)) continue;
+    const hash = await passwords.hash(u.password_hash);
+    await run('UPDATE users SET password_hash = ? WHERE id = ?', [hash, u.id]);
+  }
+}
+
+module.exports = { up };
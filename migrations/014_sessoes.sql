@@ -0,0 +1,23 @@
+-- Migração 014: sessões de login persistentes.
+--
+-- As sessões ficavam num objeto em memória do servidor: cada reinicialização
+-- encerrava todas, e elas nunca expiravam. Cada sessão passa a ser uma linha
+-- desta tabela (regras em sessions.js), com o hash SHA-256 do token do
+-- cookie, o usuário, a opção "Lembrar de mim" e os instantes de criação, do
+-- último acesso e de expiração (ISO 8601, UTC). O navegador e o endereço IP
+-- aparecem na lista de sessões do Admin. Excluir o usuário encerra as
+-- sessões dele.
+CREATE TABLE sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  remember INTEGER NOT NULL DEFAULT 0 CHECK (remember IN (0, 1)),
+  created_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  user_agent TEXT,
+  ip TEXT
+);
+
+CREATE INDEX idx_sessions_user ON sessions (user_id);
+CREATE INDEX idx_sessions_expires ON sessions (expires_at);
@@ -0,0 +1,10 @@
+-- Migração 015: token CSRF das sessões.
+--
+-- Cada sessão passa a ter um token aleatório próprio, incluído como campo
+-- oculto (`csrf_token`) em todos os formulários do portal e conferido em
+-- cada envio (veja sessions.js). Um formulário enviado a partir de outro
+-- site leva o cookie da sessão, mas não o token, e é recusado. As sessões
+-- já abertas recebem um token aqui.
+ALTER TABLE sessions ADD COLUMN csrf_token TEXT NOT NULL DEFAULT '';
+
+UPDATE sessions SET csrf_token = lower(hex(randomblob(32)));
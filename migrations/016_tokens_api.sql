@@ -0,0 +1,21 @@
+-- Migração 016: tokens da API de gravação.
+--
+-- Bots e integrações gravam placares, partidas, artilharia e palpites pela
+-- API JSON (/api/v1), autenticados por um token enviado no cabeçalho
+-- `Authorization: Bearer`. Os tokens são emitidos no Admin (regras em
+-- api_tokens.js); como nas sessões, o banco guarda apenas o hash SHA-256 do
+-- token. Cada token tem um nome, as permissões concedidas (`scopes`, lista
+-- separada por vírgulas), o administrador que o emitiu, em nome de quem as
+-- gravações são feitas, e os instantes de criação, do último uso e da
+-- revogação (ISO 8601, UTC). Tokens revogados continuam na tabela para
+-- consulta. Excluir o administrador apaga os tokens dele.
+CREATE TABLE api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  created_by INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
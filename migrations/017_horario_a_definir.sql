@@ -0,0 +1,21 @@
+-- Migração 017: partidas com data mas sem hora de início.
+--
+-- A migração 009 deu meia-noite como horário às partidas importadas apenas
+-- com a data, o que trava os palpites no começo do dia do jogo, horas antes
+-- da partida. A coluna `kickoff_tbd` passa a indicar que a hora ainda não
+-- foi definida: `kickoff_at` continua com a data (à meia-noite, só para
+-- exibir e ordenar) e os palpites só travam quando a partida sai da
+-- situação agendada (veja kickoff.js).
+--
+-- São marcadas as partidas à meia-noite cujo horário não foi gravado no
+-- Admin ou pela API: um horário de meia-noite informado ali aparece na
+-- auditoria e é mantido.
+ALTER TABLE matches ADD COLUMN kickoff_tbd INTEGER NOT NULL DEFAULT 0 CHECK (kickoff_tbd IN (0, 1));
+
+UPDATE matches SET kickoff_tbd = 1
+WHERE kickoff_at LIKE '____-__-__T00:00:00-03:00'
+  AND NOT EXISTS (
+    SELECT 1 FROM audit_log a
+    WHERE a.entity = 'match' AND a.entity_id = matches.id
+      AND json_extract(a.after_values, '$.kickoff_at') = matches.kickoff_at
+  );
@@ -0,0 +1,110 @@
+/*
+ * Senhas dos usuários.
+ *
+ * As senhas nunca são gravadas como foram digitadas: a coluna
+ * `users.password_hash` guarda o resultado do scrypt com um sal aleatório
+ * por usuário, no formato "scrypt$N$r$p$sal$hash" (sal e hash em base64).
+ * Os parâmetros ficam junto do hash para que possam ser aumentados no
+ * futuro sem invalidar as senhas já gravadas. A comparação na entrada é
+ * feita em tempo constante.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+
+// Tamanho mínimo das senhas definidas no Admin
+const MIN_LENGTH = 8;
+
+// Hash usado quando o e-mail informado não existe, para que a resposta
+// demore o mesmo que a de uma senha errada
+const DUMMY_HASH = `${PREFIX}$${COST}$${BLOCK_SIZE}$${PARALLELIZATION}$` +
+  `${Buffer.alloc(SALT_BYTES).toString('base64')}$${Buffer.alloc(KEY_LENGTH).toString('base64')}`;
+
+function scrypt(password, salt, keyLength, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Indica se o valor gravado já é um hash no formato deste módulo.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHash(value) {
+  return typeof value === 'string' && value.split('$').length === 6 && value.startsWith(`${PREFIX}$`);
+}
+
+/**
+ * Calcula o hash de uma senha, com um sal novo.
+ *
+ * @param {string} password Senha digitada
+ * @returns {Promise<string>} Hash no formato "scrypt$N$r$p$sal$hash"
+ */
+function hash(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const options = { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION };
+  return scrypt(String(password), salt, KEY_LENGTH, options)
+    .then(key => [PREFIX, COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$'));
+}
+
+/**
+ * Confere uma senha com o hash gravado. Hashes em outro formato nunca
+ * conferem.
+ *
+ * @param {string} password Senha digitada
+ * @param {string|null} stored Hash gravado (null quando o usuário não
+ *   existe; a conferência é feita mesmo assim, com um hash fictício)
+ * @returns {Promise<boolean>}
+ */
+function verify(password, stored) {
+  const valid = isHash(stored);
+  const [, N, r, p, salt, key] = (valid ? stored : DUMMY_HASH).split('$');
+  const expected = Buffer.from(key, 'base64');
+  const options = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+  return scrypt(String(password || ''), Buffer.from(salt, 'base64'), expected.length, options)
+    .then(actual => crypto.timingSafeEqual(actual, expected) && valid);
+}
+
+/**
+ * Valida uma nova senha definida no Admin.
+ *
+ * @param {string} password Nova senha
+ * @param {string} confirmation Confirmação digitada
+ * @returns {string|null} Mensagem de erro, ou null se a senha for aceita
+ */
+function validate(password, confirmation) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `A senha deve ter pelo menos ${MIN_LENGTH} caracteres.`;
+  }
+  if (password !== confirmation) {
+    return 'A confirmação não confere com a nova senha.';
+  }
+  return null;
+}
+
+/**
+ * Gera uma senha aleatória, usada como senha inicial dos usuários
+ * importados de data/users.json.
+ *
+ * @returns {string}
+ */
+function generate() {
+  return crypto.randomBytes(9).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+module.exports = {
+  MIN_LENGTH,
+  isHash,
+  hash,
+  verify,
+  validate,
+  generate
+};
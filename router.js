@@ -0,0 +1,162 @@
+/*
+ * Roteador HTTP do portal.
+ *
+ * Cada rota associa um método e um caminho a uma lista de funções
+ * (middlewares) executadas em ordem. O caminho aceita parâmetros:
+ * `/ranking/:id` captura o trecho em `ctx.params.id`, e uma expressão entre
+ * parênteses restringe os valores aceitos (`/ranking/:id(\\d+)`). Um `*`
+ * no fim (`/static/*`) aceita qualquer continuação, em `ctx.params['*']`.
+ *
+ * Todas as funções recebem `(ctx, next)`: `ctx` traz `req`, `res`,
+ * `pathname`, `query`, `method` e `params`, e os middlewares podem
+ * acrescentar outros campos (o usuário logado, o formulário enviado).
+ * Chamar `next()` passa para a função seguinte; quem responde sem chamá-lo
+ * encerra a cadeia. Os middlewares registrados com `use` rodam antes das
+ * rotas, em todas as requisições.
+ *
+ * Um caminho sem rota resulta em `notFound(ctx)`; um caminho conhecido com
+ * outro método recebe o cabeçalho Allow e segue para
+ * `methodNotAllowed(ctx)`, que responde com 405. Exceções e promessas
+ * rejeitadas em qualquer ponto da cadeia chegam a `onError(err, ctx)`.
+ */
+
+const url = require('url');
+
+/**
+ * Converte um caminho com parâmetros numa expressão regular.
+ *
+ * @param {string} pattern Caminho da rota, como '/ranking/:id(\\d+)'
+ * @returns {Object} { regex, names }
+ */
+function compilePath(pattern) {
+  const names = [];
+  let source = '';
+  const parts = pattern.split('/').slice(1);
+  parts.forEach((part, index) => {
+    if (part === '*' && index === parts.length - 1) {
+      names.push('*');
+      source += '/(.*)';
+      return;
+    }
+    const param = part.match(/^:(\w+)(?:\((.+)\))?$/);
+    if (param) {
+      names.push(param[1]);
+      source += `/(${param[2] || '[^/]+'})`;
+    } else {
+      source += `/${part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    }
+  });
+  return { regex: new RegExp(`^${source || '/'}$`), names };
+}
+
+function decodeParams(names, found) {
+  const params = {};
+  try {
+    names.forEach((name, i) => { params[name] = decodeURIComponent(found[i + 1]); });
+  } catch (err) {
+    return null;
+  }
+  return params;
+}
+
+// Executa as funções em sequência; cada uma recebe o `next` da seguinte
+function runChain(handlers, ctx) {
+  const step = index => {
+    if (index >= handlers.length) return Promise.resolve();
+    return Promise.resolve().then(() => handlers[index](ctx, () => step(index + 1)));
+  };
+  return step(0);
+}
+
+/**
+ * Cria um roteador.
+ *
+ * @param {Object} options { notFound(ctx), methodNotAllowed(ctx),
+ *   onError(err, ctx) }
+ * @returns {Object} { use, get, post, handle }
+ */
+function createRouter({ notFound, methodNotAllowed, onError }) {
+  const middleware = [];
+  const routes = [];
+
+  function add(method, pattern, handlers) {
+    const { regex, names } = compilePath(pattern);
+    // Listas de middlewares podem ser passadas como um único argumento
+    routes.push({ method, regex, names, handlers: handlers.flat() });
+  }
+
+  // Procura a rota do caminho e do método; `allowed` lista os métodos
+  // aceitos quando o caminho existe com outro método
+  function match(method, pathname) {
+    const allowed = new Set();
+    for (const route of routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+      // HEAD é atendido pelas rotas GET (o Node omite o corpo da resposta)
+      if (route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+        const params = decodeParams(route.names, found);
+        // Parâmetros com codificação inválida (%zz) não casam com a rota
+        if (params) return { route, params };
+        continue;
+      }
+      allowed.add(route.method);
+      if (route.method === 'GET') allowed.add('HEAD');
+    }
+    return { route: null, allowed };
+  }
+
+  function dispatch(ctx) {
+    const { route, params, allowed } = match(ctx.method, ctx.pathname);
+    if (route) {
+      ctx.params = params;
+      return runChain(route.handlers, ctx);
+    }
+    if (allowed.size > 0) {
+      ctx.res.setHeader('Allow', Array.from(allowed).join(', '));
+      return methodNotAllowed(ctx);
+    }
+    return notFound(ctx);
+  }
+
+  return {
+    /**
+     * Registra um middleware executado em todas as requisições, antes das
+     * rotas.
+     */
+    use(fn) {
+      middleware.push(fn);
+    },
+
+    get(pattern, ...handlers) {
+      add('GET', pattern, handlers);
+    },
+
+    post(pattern, ...handlers) {
+      add('POST', pattern, handlers);
+    },
+
+    /**
+     * Atende uma requisição (callback de http.createServer).
+     *
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    handle(req, res) {
+      const parsedUrl = url.parse(req.url, true);
+      const ctx = {
+        req,
+        res,
+        method: req.method,
+        pathname: parsedUrl.pathname,
+        query: parsedUrl.query,
+        params: {}
+      };
+      runChain(middleware.concat(() => dispatch(ctx)), ctx)
+        .catch(err => onError(err, ctx));
+    }
+  };
+}
+
+module.exports = {
+  createRouter
+};
@@ -0,0 +1,173 @@
+/*
+ * Pontuação dos palpites dos apresentadores.
+ *
+ * Todas as páginas que mostram pontos (ranking, gráfico de evolução, resumo
+ * da rodada e resultados) calculam a pontuação por este módulo, de modo que
+ * uma mudança nas regras vale para todas elas ao mesmo tempo.
+ *
+ * As regras ficam na tabela `scoring_rules` (veja
+ * migrations/005_regras_pontuacao.sql), que guarda apenas a pontuação e se
+ * a regra está ativa. Os critérios de cada regra são definidos aqui e são
+ * de dois tipos:
+ *
+ * - faixas (`tier`): o palpite recebe os pontos da faixa ativa de maior
+ *   pontuação que ele atende (as faixas não se somam);
+ * - bônus (`bonus`): pontos somados aos da faixa quando o critério é
+ *   atendido.
+ */
+
+const matchStatus = require('./match_status');
+
+// Sinal do resultado de um placar: 'home', 'draw' ou 'away'
+function resultSign(home, away) {
+  if (home > away) return 'home';
+  if (home < away) return 'away';
+  return 'draw';
+}
+
+function isExact(pred, match) {
+  return pred.home_score === match.home_score && pred.away_score === match.away_score;
+}
+
+function isRightResult(pred, match) {
+  return resultSign(pred.home_score, pred.away_score) === resultSign(match.home_score, match.away_score);
+}
+
+/**
+ * Regras conhecidas, na ordem em que são exibidas. `points` e `enabled`
+ * são os valores usados quando a regra não está cadastrada no banco.
+ */
+const RULES = [
+  {
+    key: 'exact',
+    kind: 'tier',
+    label: 'Placar exato',
+    description: 'placar exato',
+    points: 3,
+    enabled: true,
+    test: isExact
+  },
+  {
+    key: 'goal_diff',
+    kind: 'tier',
+    label: 'Saldo de gols',
+    description: 'resultado e saldo de gols corretos',
+    points: 2,
+    enabled: false,
+    test: (pred, match) => isRightResult(pred, match) &&
+      pred.home_score - pred.away_score === match.home_score - match.away_score
+  },
+  {
+    key: 'result',
+    kind: 'tier',
+    label: 'Resultado',
+    description: 'resultado correto',
+    points: 1,
+    enabled: true,
+    test: isRightResult
+  },
+  {
+    key: 'one_score',
+    kind: 'tier',
+    label: 'Gols de um time',
+    description: 'gols de um dos times corretos',
+    points: 1,
+    enabled: false,
+    test: (pred, match) => pred.home_score === match.home_score || pred.away_score === match.away_score
+  },
+  {
+    key: 'draw_bonus',
+    kind: 'bonus',
+    label: 'Bônus de empate',
+    description: 'empate acertado',
+    points: 1,
+    enabled: false,
+    test: (pred, match) => match.home_score === match.away_score && isRightResult(pred, match)
+  }
+];
+
+/**
+ * Combina as linhas da tabela `scoring_rules` com as definições de RULES.
+ * Linhas de regras desconhecidas são ignoradas.
+ *
+ * @param {Array} rows Linhas { key, points, enabled } lidas do banco
+ * @returns {Array} Regras { key, kind, label, description, points, enabled }
+ */
+function resolveRules(rows) {
+  const byKey = new Map((rows || []).map(r => [r.key, r]));
+  return RULES.map(rule => {
+    const row = byKey.get(rule.key);
+    return {
+      key: rule.key,
+      kind: rule.kind,
+      label: rule.label,
+      description: rule.description,
+      points: row ? row.points : rule.points,
+      enabled: row ? Boolean(row.enabled) : rule.enabled
+    };
+  });
+}
+
+/**
+ * Calcula a pontuação de um palpite. `outcome` descreve o acerto do palpite
+ * independentemente das regras ativas: 'exact' (placar exato), 'result'
+ * (resultado certo) ou 'miss' (erro).
+ *
+ * @param {Object} pred Palpite { home_score, away_score }
+ * @param {Object} match Partida { status, home_score, away_score }
+ * @param {Array} rules Regras (veja resolveRules)
+ * @returns {Object|null} { points, outcome, rule, bonus } ou null se a
+ *   partida não está encerrada (veja match_status.js)
+ */
+function scorePrediction(pred, match, rules) {
+  if (!matchStatus.isFinished(match)) return null;
+  let tier = null;
+  let bonus = 0;
+  rules.forEach(rule => {
+    if (!rule.enabled) return;
+    const definition = RULES.find(r => r.key === rule.key);
+    if (!definition.test(pred, match)) return;
+    if (rule.kind === 'bonus') bonus += rule.points;
+    else if (!tier || rule.points > tier.points) tier = rule;
+  });
+  let outcome = 'miss';
+  if (isExact(pred, match)) outcome = 'exact';
+  else if (isRightResult(pred, match)) outcome = 'result';
+  return {
+    points: (tier ? tier.points : 0) + bonus,
+    outcome,
+    rule: tier ? tier.key : null,
+    bonus
+  };
+}
+
+// "1 ponto", "3 pontos"
+function formatPoints(points) {
+  return `${points} ${points === 1 ? 'ponto' : 'pontos'}`;
+}
+
+/**
+ * Descreve as regras ativas em uma frase, por exemplo: "3 pontos para
+ * placar exato, 1 ponto para resultado correto e 0 ponto para erro."
+ *
+ * @param {Array} rules Regras (veja resolveRules)
+ * @returns {string} Descrição das regras ativas
+ */
+function describeRules(rules) {
+  const active = rules.filter(r => r.enabled);
+  const parts = active
+    .filter(r => r.kind === 'tier')
+    .sort((a, b) => b.points - a.points)
+    .map(r => `${formatPoints(r.points)} para ${r.description}`);
+  parts.push('0 ponto para erro');
+  let text = `${parts.slice(0, -1).join(', ')} e ${parts[parts.length - 1]}.`;
+  if (parts.length === 1) text = `${parts[0]}.`;
+  active
+    .filter(r => r.kind === 'bonus')
+    .forEach(r => {
+      text += ` Bônus de ${formatPoints(r.points)} por ${r.description}.`;
+    });
+  return text;
+}
+
+module.exports = { RULES, resultSign, resolveRules, scorePrediction, describeRules };
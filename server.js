@@ -1,20 +1,39 @@
 const http = require('http');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const url = require('url');
 const querystring = require('querystring');
-const crypto = require('crypto');
-// Importa camada de acesso ao banco de dados. Esta camada fornece funçõess
-// assíncronas para consultar e manipular registros no SQLite. Atualmente
-// apenas algumas rotas utilizam essas funções diretamente; a refatoração
-// completa para o banco pode ser feita posteriormente.
+// Importa camada de acesso ao banco de dados. Esta camada fornece funções
+// assíncronas para consultar e manipular registros no SQLite e é o único
+// caminho de leitura e escrita dos dados do portal.
 const dbAccess = require('./database');
+const migrations = require('./migrate');
+// Cache em memória dos dados, com índices por id, invalidado a cada gravação
+const store = require('./data_store');
+// Regras de pontuação dos palpites
+const scoring = require('./scoring');
+const tiebreakers = require('./static/tiebreakers');
+const matchStatus = require('./match_status');
+// Horário de início das partidas (fuso de Brasília) e trava dos palpites
+const kickoff = require('./kickoff');
+// Auditoria das alterações feitas no Admin
+const audit = require('./audit');
+// Hash e validação das senhas
+const passwords = require('./passwords');
+// Sessões de login (tokens, expiração e cookie)
+const sessions = require('./sessions');
+// Tokens da API de gravação (Authorization: Bearer)
+const apiTokens = require('./api_tokens');
+// Rotas com parâmetros e middlewares
+const { createRouter } = require('./router');
+// Arquivos de static/ (tipos, cache e compressão)
+const staticFiles = require('./static_files');
+// Templates das páginas, com escape automático, layout e parciais
+const templates = require('./template_engine');
 
-// IDs de partidas que não devem ser considerados em palpites e ranking. Estes
-// jogos permanecem no histórico de resultados, mas não devem aparecer na
-// página de palpites nem contar pontos no ranking. A lista é definida
-// conforme decisão do administrador (por exemplo, jogos anulados na rodada 18).
-const excludedMatchIds = new Set([5, 6, 7, 8]);
+// Página de simulação: quantidade de rodadas finais exibidas e de times do
+// topo da classificação cujos jogos podem ser simulados.
+const SIMULATION_ROUNDS = 2;
+const SIMULATION_CONTENDERS = 7;
 
 // Commit atualizado 28/07/2025
 // Mapeamento de cores para cada equipe. Cada sigla recebe uma cor distinta
@@ -45,64 +64,20 @@ const teamColors = {
 };
 
 /**
- * Retorna um span HTML contendo um pequeno círculo colorido (dot) para
- * representar uma equipe. O tamanho do dot é definido pelo parâmetro
- * `small`. Caso a sigla da equipe não esteja no mapeamento, utiliza a
- * cor amarela padrão.
+ * Dados do escudo de um time para a parcial templates/partials/team_logo.html.
+ * Não fazemos verificação de existência do arquivo em tempo de execução;
+ * assumimos que os logotipos estão disponíveis para todas as equipes
+ * cadastradas.
  *
- * @param {Object} team - Objeto da equipe, contendo ao menos a propriedade
- *                        `abbr`.
- * @param {boolean} small - Se verdadeiro, usa a classe `.small-dot` ao
- *                          invés de `.team-dot`.
- * @returns {string} HTML com a marcação do dot colorido.
+ * @param {Object} team Time { name, abbr }
+ * @param {boolean} [small] Usa a versão compacta do escudo
+ * @returns {Object} { src, name, small }
  */
-// Retorna a marca visual para uma equipe. Em vez de apenas um ponto colorido,
-// utilizamos o escudo (logo) da equipe sempre que possível. O tamanho da
-// imagem varia de acordo com o parâmetro `small` para que se ajuste
-// corretamente em listas compactas (como nas tabelas de artilheiros e
-// resultados). Caso a sigla da equipe não esteja definida ou não exista um
-// arquivo de logotipo correspondente, o código volta a utilizar um ponto
-// colorido como reserva. O nome da equipe é incluído no atributo `alt` para
-// acessibilidade.
-function getTeamDot(team, small = false) {
+function teamLogo(team, small = false) {
   const abbr = (team.abbr || '').toLowerCase();
-  const className = small ? 'team-logo-small' : 'team-logo';
-  // Verifica se há um logotipo correspondente no diretório de logos.
-  // Se não houver, usa o ponto colorido como fallback.
-  const logoPath = `/static/team_logos/${abbr}.png`;
-  // Construir o elemento <img> para o logotipo. Não fazemos verificação de
-  // existência em tempo de execução; assumimos que os arquivos estão
-  // disponíveis para todas as equipes cadastradas. Se algum arquivo
-  // estiver ausente, o navegador exibirá o ícone de erro padrão.
-  return `<img src="${logoPath}" class="${className}" alt="${team.name} logo">`;
-}
-
-// Helper functions to load and persist JSON data
-const dataDir = path.join(__dirname, 'data');
-function readJSON(filename) {
-  const p = path.join(dataDir, filename);
-  return JSON.parse(fs.readFileSync(p, 'utf8'));
-}
-function writeJSON(filename, data) {
-  const p = path.join(dataDir, filename);
-  fs.writeFileSync(p, JSON.stringify(data, null, 2));
-}
-
-// Load all data into memory (will be re-read when needed)
-function loadData() {
-  return {
-    users: readJSON('users.json'),
-    matches: readJSON('matches.json'),
-    teams: readJSON('teams.json'),
-    classification: readJSON('classification.json'),
-    predictions: readJSON('predictions.json'),
-    scorers: readJSON('scorers.json')
-  };
+  return { src: `/static/team_logos/${abbr}.png`, name: team.name, small };
 }
 
-// Session store: token -> userId
-const sessions = {};
-
 function parseCookies(cookieHeader) {
   const list = {};
   if (!cookieHeader) return list;
@@ -115,23 +90,53 @@ function parseCookies(cookieHeader) {
   return list;
 }
 
-function getUserFromRequest(req) {
+// Indica se a requisição chegou por HTTPS (diretamente ou por um proxy),
+// caso em que o cookie da sessão é marcado como Secure
+function isSecureRequest(req) {
+  return !!req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+}
+
+// Resolve o usuário da sessão atual. Retorna uma Promise que resolve para o
+// usuário logado ou null quando não há sessão válida. A sessão encontrada
+// fica em `req.session` (usada para encerrá-la e para conferir o token
+// CSRF dos formulários) e é renovada a cada acesso; nas sessões com
+// "Lembrar de mim", o cookie é renovado junto. O usuário devolvido é uma
+// cópia do cache com o token CSRF da sessão em `csrfToken`, que as páginas
+// incluem nos formulários.
+function getUserFromRequest(req, res) {
   const cookies = parseCookies(req.headers.cookie);
   const token = cookies.session;
-  if (token && sessions[token]) {
-    const data = loadData();
-    return data.users.find(u => u.id === sessions[token]);
-  }
-  return null;
+  if (!token) return Promise.resolve(null);
+  const now = Date.now();
+  return dbAccess.getSessionByTokenHash(sessions.hashToken(token))
+    .then(session => {
+      if (!session) return null;
+      if (sessions.isExpired(session, now)) {
+        return dbAccess.deleteSession(session.id).then(() => null);
+      }
+      req.session = session;
+      if (!sessions.needsTouch(session, now)) return session;
+      return dbAccess.touchSession(session.id, new Date(now).toISOString(), sessions.expiresAt(session.remember, now))
+        .then(() => {
+          if (session.remember) {
+            res.setHeader('Set-Cookie', sessions.cookie(token, { remember: true, secure: isSecureRequest(req) }));
+          }
+          return session;
+        });
+    })
+    .then(session => {
+      if (!session) return null;
+      return store.get().then(data => {
+        const user = data.usersById.get(session.user_id);
+        return user ? { ...user, csrfToken: session.csrf_token } : null;
+      });
+    });
 }
 
-// Render template with simple variable substitution
+// Renderiza um template de templates/ (sintaxe em template_engine.js). As
+// variáveis são escapadas, exceto as marcadas com {{{ }}} no template.
 function renderTemplate(templateName, vars) {
-  const templatePath = path.join(__dirname, 'templates', templateName);
-  let template = fs.readFileSync(templatePath, 'utf8');
-  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, p1) => {
-    return vars[p1] !== undefined ? vars[p1] : '';
-  });
+  return templates.render(templateName, vars);
 }
 
 function sendRedirect(res, location) {
@@ -140,40 +145,162 @@ function sendRedirect(res, location) {
   res.end();
 }
 
-function handleStatic(req, res, pathname) {
-  const filePath = path.join(__dirname, pathname);
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      res.statusCode = 404;
-      res.end('Not found');
-      return;
-    }
-    // Set content type based on extension
-    const ext = path.extname(filePath);
-    let type = 'text/plain';
-    if (ext === '.css') type = 'text/css';
-    else if (ext === '.js') type = 'application/javascript';
-    else if (['.png', '.jpg', '.jpeg', '.gif'].includes(ext)) type = 'image/' + ext.substring(1);
-    else if (ext === '.svg') type = 'image/svg+xml';
-    res.statusCode = 200;
-    res.setHeader('Content-Type', type);
-    res.end(content);
+// Registra um erro no console com o identificador da requisição, que
+// aparece também na página de erro exibida ao visitante
+function logError(req, message, err) {
+  console.error(`[${req.id || '-'}] ${req.method} ${req.url} - ${message}:`, err);
+}
+
+/**
+ * Responde com uma das páginas de erro (403, 404 ou 500). O menu mostra o
+ * usuário logado, se ele já tiver sido identificado. Se a própria página
+ * falhar, a resposta é um texto simples; se a resposta já tiver começado,
+ * ela é apenas encerrada.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status Código HTTP
+ * @param {string} templateName Template da página
+ * @param {Object} vars Variáveis do template
+ */
+function sendErrorPage(res, status, templateName, vars) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  let html;
+  try {
+    html = renderTemplate(templateName, { ...vars, nav: buildNav(res.req.user || null, null) });
+  } catch (err) {
+    logError(res.req, 'Erro ao montar a página de erro', err);
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(status === 500 ? 'Erro interno do servidor' : 'Erro');
+    return;
+  }
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(html);
+}
+
+// Responde com erro 500 e registra a causa no console. Usado quando uma
+// consulta ou gravação no banco falha, ou quando um handler lança uma
+// exceção, durante o atendimento da requisição. O visitante vê apenas o
+// identificador da requisição, nunca a mensagem ou a pilha do erro.
+function sendServerError(res, err) {
+  logError(res.req, 'Erro interno', err);
+  sendErrorPage(res, 500, 'erro_interno.html', { request_id: res.req.id });
+}
+
+// Responde com erro 404, para caminhos sem rota e registros inexistentes
+function sendNotFound(res, message = 'O endereço acessado não existe ou foi removido.') {
+  sendErrorPage(res, 404, 'nao_encontrado.html', { message });
+}
+
+// Responde com erro 405 a um caminho conhecido acessado com outro método.
+// Os métodos aceitos já vão no cabeçalho Allow (veja router.js).
+function sendMethodNotAllowed(res) {
+  res.statusCode = 405;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end('Método não permitido');
+}
+
+// Responde com erro 403 quando o envio de um formulário não traz o token
+// CSRF da sessão (formulário antigo, sessão encerrada ou envio a partir de
+// outro site). O formulário não é processado.
+function sendForbidden(res) {
+  sendErrorPage(res, 403, 'proibido.html', {
+    message: 'O formulário não pôde ser aceito: ele expirou ou foi enviado de fora do portal. Volte, recarregue a página e tente de novo.',
+    back_url: '/'
+  });
+}
+
+// Middlewares das rotas (veja router.js). Cada um recebe o contexto da
+// requisição e chama `next()` para seguir adiante, ou responde e encerra.
+
+// Identifica o usuário logado pelo cookie de sessão (null para visitantes).
+// Ele fica também em `req.user`, para o menu das páginas de erro.
+function loadUser(ctx, next) {
+  return getUserFromRequest(ctx.req, ctx.res).then(user => {
+    ctx.user = user;
+    ctx.req.user = user;
+    return next();
+  });
+}
+
+// Páginas que exigem login: visitantes vão para a tela de entrada
+function requireUser(ctx, next) {
+  if (!ctx.user) {
+    sendRedirect(ctx.res, '/login');
+    return undefined;
+  }
+  return next();
+}
+
+// Páginas do Admin: quem não é administrador volta para a página inicial
+function requireAdmin(ctx, next) {
+  if (!ctx.user || !ctx.user.isAdmin) {
+    sendRedirect(ctx.res, '/');
+    return undefined;
+  }
+  return next();
+}
+
+// Lê o corpo de um formulário enviado por POST para `ctx.form`
+function parseBody(ctx, next) {
+  return readBody(ctx.req).then(body => {
+    ctx.form = querystring.parse(body);
+    return next();
   });
 }
 
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk.toString(); });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// O campo `csrf_token` do formulário precisa conferir com o token da
+// sessão (veja sessions.js); caso contrário, ou sem sessão, a resposta é
+// 403 e o formulário não é processado
+function checkCsrf(ctx, next) {
+  if (!sessions.checkCsrfToken(ctx.req.session, ctx.form.csrf_token)) {
+    sendForbidden(ctx.res);
+    return undefined;
+  }
+  return next();
+}
+
+// Todos os formulários que gravam dados passam por aqui; só a entrada
+// (/login), que ainda não tem sessão, dispensa o token CSRF
+const readForm = [parseBody, checkCsrf];
+
+// Arquivos de static/ (regras de caminho, cache e compressão em
+// static_files.js). Só GET e HEAD são aceitos.
+function handleStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    res.end();
+    return Promise.resolve();
+  }
+  return staticFiles.serve(req, res, pathname.slice('/static/'.length))
+    .then(found => {
+      if (!found) sendNotFound(res);
+    });
+}
+
 // Compute the last 5 results (V, E, D) for a team based on finished matches
 function computeTeamForm(teamId, matches) {
   // Filter only finished matches where this team played
   const finished = matches.filter(m => {
-    return m.home_score !== null && m.away_score !== null &&
+    return matchStatus.countsForTable(m) &&
       (m.home_team_id === teamId || m.away_team_id === teamId);
   });
-  // Order by date descending
-  finished.sort((a, b) => {
-    const da = new Date(a.date);
-    const db = new Date(b.date);
-    return db - da;
-  });
+  // Order by kickoff descending
+  finished.sort((a, b) => kickoff.compare(b, a));
   const form = [];
   // Determine result from the perspective of the team
   finished.slice(0, 5).forEach(m => {
@@ -223,11 +350,12 @@ function applyMatchStats(entry, goalsFor, goalsAgainst, add = true) {
 
 /**
  * Atualiza a classificação existente a partir das diferenças entre duas
- * listas de partidas (antes e depois). Para cada partida cujo placar
- * tenha sido alterado (de null para um número, de um valor para outro
- * ou vice-versa), remove os efeitos do placar antigo e adiciona os
- * efeitos do placar novo. As partidas sem alteração de placar são
- * ignoradas.
+ * listas de partidas (antes e depois). Só contam na tabela as partidas
+ * encerradas (e as anuladas com placar; veja match_status.js). Para cada
+ * partida cujo placar contado tenha mudado (porque o placar foi alterado
+ * ou porque a partida passou a contar ou deixou de contar), remove os
+ * efeitos do placar antigo e adiciona os efeitos do placar novo. As
+ * demais partidas são ignoradas.
  *
  * @param {Array} classification Lista de classificações atuais
  * @param {Array} oldMatches Lista de partidas antes da atualização
@@ -250,17 +378,19 @@ function updateClassificationFromMatchChanges(classification, oldMatches, newMat
     const oldAS = oldMatch.away_score;
     const newHS = newMatch.home_score;
     const newAS = newMatch.away_score;
-    // Se o placar não mudou, nada a fazer
-    if (oldHS === newHS && oldAS === newAS) {
+    const oldCounts = matchStatus.countsForTable(oldMatch);
+    const newCounts = matchStatus.countsForTable(newMatch);
+    // Se o placar contado não mudou, nada a fazer
+    if (oldCounts === newCounts && (!oldCounts || (oldHS === newHS && oldAS === newAS))) {
       return;
     }
-    // Remove estatísticas do placar antigo (se existia)
-    if (oldHS !== null && oldAS !== null) {
+    // Remove estatísticas do placar antigo (se contava)
+    if (oldCounts) {
       applyMatchStats(map[oldMatch.home_team_id], oldHS, oldAS, false);
       applyMatchStats(map[oldMatch.away_team_id], oldAS, oldHS, false);
     }
-    // Adiciona estatísticas do novo placar (se existe)
-    if (newHS !== null && newAS !== null) {
+    // Adiciona estatísticas do novo placar (se conta)
+    if (newCounts) {
       applyMatchStats(map[newMatch.home_team_id], newHS, newAS, true);
       applyMatchStats(map[newMatch.away_team_id], newAS, newHS, true);
     }
@@ -277,15 +407,12 @@ function updateClassificationFromMatchChanges(classification, oldMatches, newMat
  * resultados das partidas finalizadas. A função considera todas
  * as equipes cadastradas e percorre a lista de confrontos para
  * acumular partidas, vitórias, empates, derrotas, gols pró e
- * contra. Empates valem 1 ponto e vitórias 3 pontos. Partidas
- * sem placares (home_score ou away_score nulos) são ignoradas.
+ * contra. Empates valem 1 ponto e vitórias 3 pontos. Só contam as
+ * partidas encerradas e as anuladas com placar (veja match_status.js).
  *
- * O array resultante é ordenado de forma decrescente pelos
- * critérios usuais: pontos, vitórias, saldo de gols, gols pró e
- * ordem alfabética do nome do time para desempate final. Esta
- * ordenação garante que a tabela exibida na página inicial
- * reflita a situação real do campeonato sem depender de edição
- * manual.
+ * A ordem das linhas não importa: as páginas ordenam a tabela no
+ * momento da exibição com os critérios de desempate da competição
+ * (veja rankClassification).
  *
  * @param {Array} teams Lista de equipes cadastradas
  * @param {Array} matches Lista de partidas, contendo placares
@@ -311,8 +438,8 @@ function computeClassification(teams, matches) {
   matches.forEach(match => {
     const hs = match.home_score;
     const as = match.away_score;
-    // Ignora partidas que ainda não têm ambos os placares definidos
-    if (hs === null || as === null) return;
+    // Ignora partidas sem resultado final
+    if (!matchStatus.countsForTable(match)) return;
     const homeStats = map[match.home_team_id];
     const awayStats = map[match.away_team_id];
     // Atualiza jogos e gols
@@ -343,356 +470,578 @@ function computeClassification(teams, matches) {
     const stats = map[team.id];
     stats.goal_diff = stats.goals_for - stats.goals_against;
   });
-  // Converte o mapa em lista e ordena pelos critérios de desempate
-  const classification = Object.values(map);
-  classification.sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.wins !== a.wins) return b.wins - a.wins;
-    if (b.goal_diff !== a.goal_diff) return b.goal_diff - a.goal_diff;
-    if (b.goals_for !== a.goals_for) return b.goals_for - a.goals_for;
-    // desempate por ordem alfabética do nome do time
-    const teamA = teams.find(t => t.id === a.team_id);
-    const teamB = teams.find(t => t.id === b.team_id);
-    return teamA.name.localeCompare(teamB.name);
+  return Object.values(map);
+}
+
+/**
+ * Ordena a classificação de uma competição pelos pontos e pelos critérios
+ * de desempate configurados para ela (veja static/tiebreakers.js), sem
+ * alterar a lista original. Toda tabela exibida pelo portal passa por aqui.
+ *
+ * @param {Array} classification Linhas da classificação
+ * @param {Object} data Visão da competição (data_store.js)
+ * @returns {Object} { sorted, decisions }: lista ordenada e, para cada par
+ *   de times vizinhos empatados em pontos, o critério que os separou
+ */
+function rankClassification(classification, data) {
+  const teamNames = {};
+  data.teamsById.forEach((team, id) => { teamNames[id] = team.name; });
+  return tiebreakers.rankClassification(classification, {
+    chain: data.tiebreakers,
+    matches: data.matches.filter(matchStatus.countsForTable),
+    teamStats: data.teamStats,
+    teamNames
   });
-  return classification;
 }
 
 // ======================================================================
-// Agendamento das rodadas futuras e inserção automática de partidas
+// Temporadas
 // ======================================================================
-// A aplicação possui uma aba de "Simulação" com os confrontos das últimas
-// cinco rodadas do campeonato (rodadas 34 a 38). Para tornar o fluxo de
-// administração mais fluido, adicionamos uma lógica que observa quando
-// uma rodada inteira é concluída (todos os placares definidos) e, nesse
-// momento, carrega automaticamente a próxima rodada em `matches.json`.
-// Isso elimina a necessidade de cadastro manual das rodadas finais e
-// permite que os apresentadores façam seus palpites assim que a rodada
-// anterior for encerrada.
-//
-// A lista abaixo descreve os confrontos das rodadas 34 a 38. Cada objeto
-// possui a propriedade `round` indicando a rodada e as propriedades
-// `home` e `away` com os IDs das equipes conforme cadastradas em
-// `teams.json`. Caso queira ajustar a ordem ou incluir rodadas extras,
-// basta editar este array.
-const upcomingRoundsSchedule = [
-  // Rodada 34
-  { round: 34, home: 3,  away: 19 }, // Novorizontino x Botafogo-SP
-  { round: 34, home: 5,  away: 7  }, // Cuiabá x Remo
-  { round: 34, home: 11, away: 15 }, // Athletic Club x América-MG
-  { round: 34, home: 18, away: 2  }, // Volta Redonda x Coritiba
-  { round: 34, home: 16, away: 8  }, // Paysandu x Avaí
-  { round: 34, home: 10, away: 1  }, // Criciúma x Goiás
-  { round: 34, home: 13, away: 14 }, // CRB x Atlético-GO
-  { round: 34, home: 6,  away: 17 }, // Vila Nova x Ferroviária
-  { round: 34, home: 4,  away: 12 }, // Chapecoense x Operário
-  { round: 34, home: 9,  away: 20 }, // Athletico-PR x Amazonas
-  // Rodada 35
-  { round: 35, home: 14, away: 16 }, // Atlético-GO x Paysandu
-  { round: 35, home: 2,  away: 13 }, // Coritiba x CRB
-  { round: 35, home: 17, away: 10 }, // Ferroviária x Criciúma
-  { round: 35, home: 1,  away: 9  }, // Goiás x Athletico-PR
-  { round: 35, home: 8,  away: 11 }, // Avaí x Athletic Club
-  { round: 35, home: 20, away: 5  }, // Amazonas x Cuiabá
-  { round: 35, home: 7,  away: 4  }, // Remo x Chapecoense
-  { round: 35, home: 12, away: 6  }, // Operário x Vila Nova
-  { round: 35, home: 15, away: 3  }, // América-MG x Novorizontino
-  { round: 35, home: 18, away: 19 }, // Volta Redonda x Botafogo-SP
-  // Rodada 36
-  { round: 36, home: 11, away: 17 }, // Athletic Club x Ferroviária
-  { round: 36, home: 5,  away: 1  }, // Cuiabá x Goiás
-  { round: 36, home: 3,  away: 7  }, // Novorizontino x Remo
-  { round: 36, home: 9,  away: 18 }, // Athletico-PR x Volta Redonda
-  { round: 36, home: 6,  away: 8  }, // Vila Nova x Avaí
-  { round: 36, home: 10, away: 14 }, // Criciúma x Atlético-GO
-  { round: 36, home: 13, away: 12 }, // CRB x Operário
-  { round: 36, home: 16, away: 2  }, // Paysandu x Coritiba
-  { round: 36, home: 4,  away: 15 }, // Chapecoense x América-MG
-  { round: 36, home: 19, away: 20 }, // Botafogo-SP x Amazonas
-  // Rodada 37
-  { round: 37, home: 15, away: 5  }, // América-MG x Cuiabá
-  { round: 37, home: 14, away: 12 }, // Atlético-GO x Operário
-  { round: 37, home: 8,  away: 7  }, // Avaí x Remo
-  { round: 37, home: 2,  away: 11 }, // Coritiba x Athletic Club
-  { round: 37, home: 13, away: 6  }, // CRB x Vila Nova
-  { round: 37, home: 10, away: 19 }, // Criciúma x Botafogo-SP
-  { round: 37, home: 17, away: 9  }, // Ferroviária x Athletico-PR
-  { round: 37, home: 1,  away: 3  }, // Goiás x Novorizontino
-  { round: 37, home: 16, away: 20 }, // Paysandu x Amazonas
-  { round: 37, home: 18, away: 4  }, // Volta Redonda x Chapecoense
-  // Rodada 38
-  { round: 38, home: 20, away: 2  }, // Amazonas x Coritiba
-  { round: 38, home: 11, away: 16 }, // Athletic Club x Paysandu
-  { round: 38, home: 9,  away: 15 }, // Athletico-PR x América-MG
-  { round: 38, home: 19, away: 8  }, // Botafogo-SP x Avaí
-  { round: 38, home: 4,  away: 14 }, // Chapecoense x Atlético-GO
-  { round: 38, home: 5,  away: 10 }, // Cuiabá x Criciúma
-  { round: 38, home: 3,  away: 13 }, // Novorizontino x CRB
-  { round: 38, home: 12, away: 17 }, // Operário x Ferroviária
-  { round: 38, home: 7,  away: 1  }, // Remo x Goiás
-  { round: 38, home: 6,  away: 18 }  // Vila Nova x Volta Redonda
-];
+// Times, partidas, classificação, artilharia e palpites pertencem a uma
+// temporada (veja migrations/003_temporadas.sql). As páginas públicas
+// aceitam o parâmetro ?temporada=<id> para consultar temporadas anteriores;
+// sem ele, exibem a temporada em andamento. As gravações (palpites e área
+// administrativa) valem apenas para a temporada em andamento, de modo que
+// temporadas arquivadas ficam somente para consulta.
 
 /**
- * Insere automaticamente a próxima rodada nas partidas caso a rodada atual
- * esteja finalizada. A rodada atual é considerada finalizada quando
- * todos os confrontos daquela rodada têm placares definidos (diferentes
- * de null). A função usa o array `upcomingRoundsSchedule` para buscar
- * os confrontos do próximo número de rodada. Se não houver confrontos
- * programados ou se a próxima rodada já existir em `matches.json`, nada
- * é feito. Ao inserir novas partidas, elas recebem um ID sequencial
- * contínuo e uma data opcional derivada da maior data da rodada atual
- * incrementada em sete dias. Caso a data não possa ser calculada, é
- * deixada como string vazia.
+ * Determina a temporada exibida a partir do parâmetro `temporada` da query
+ * string. Um valor ausente ou desconhecido resulta na temporada em
+ * andamento ou, se todas estiverem arquivadas, na mais recente.
  *
- * @param {Object} dataStore - Objeto contendo os dados carregados (inclui matches)
- * @returns {boolean} true se uma nova rodada foi adicionada, false caso contrário
+ * @param {Object} data Dados retornados por store.get()
+ * @param {string|undefined} param Valor de ?temporada=
+ * @returns {Object} Temporada selecionada
  */
-function maybeInsertNextRound(dataStore) {
-  const rounds = dataStore.matches.map(m => m.round);
-  if (rounds.length === 0) return false;
-  const maxRound = Math.max(...rounds);
-  const nextRound = maxRound + 1;
-  // Se já existem partidas para a próxima rodada, não adiciona
-  if (dataStore.matches.some(m => m.round === nextRound)) {
-    return false;
-  }
-  // Garante que todas as partidas da rodada atual estejam finalizadas
-  const currentRoundMatches = dataStore.matches.filter(m => m.round === maxRound);
-  if (currentRoundMatches.length === 0) return false;
-  const finished = currentRoundMatches.every(m => m.home_score !== null && m.away_score !== null);
-  if (!finished) return false;
-  // Confrontos programados para a próxima rodada
-  const toInsert = upcomingRoundsSchedule.filter(item => item.round === nextRound);
-  if (toInsert.length === 0) return false;
-  // Calcula data padrão baseada na última data da rodada atual
-  let nextDate = '';
-  try {
-    const dates = currentRoundMatches.map(m => m.date).filter(Boolean);
-    if (dates.length > 0) {
-      const latest = new Date(Math.max(...dates.map(d => new Date(d).getTime())));
-      const scheduled = new Date(latest.getTime() + 7 * 24 * 60 * 60 * 1000);
-      nextDate = scheduled.toISOString().slice(0, 10);
+function resolveSeason(data, param) {
+  const requested = param ? data.seasonsById.get(parseInt(param, 10)) : null;
+  return requested || data.activeSeason || data.seasons[0];
+}
+
+/**
+ * Dados do formulário de seleção de temporada das páginas públicas
+ * (templates/partials/season_selector.html).
+ *
+ * @param {Object} data Dados retornados por store.get()
+ * @param {Object} season Temporada selecionada
+ * @param {string} action Caminho da página que receberá o formulário
+ * @returns {Object} { action, options, archived }
+ */
+function buildSeasonSelector(data, season, action) {
+  return {
+    action,
+    options: data.seasons.map(s => ({
+      value: s.id,
+      label: s.archived ? `${s.name} (arquivada)` : s.name,
+      selected: s.id === season.id
+    })),
+    archived: season.archived
+  };
+}
+
+/**
+ * Determina a competição exibida a partir do parâmetro `competicao` da
+ * query string. Um valor ausente ou desconhecido resulta na primeira
+ * competição cadastrada na temporada.
+ *
+ * @param {Object} seasonData Visão da temporada (veja data_store.js)
+ * @param {string|undefined} param Valor de ?competicao=
+ * @returns {Object|null} Competição selecionada
+ */
+function resolveCompetition(seasonData, param) {
+  const requested = param ? seasonData.competitionsById.get(parseInt(param, 10)) : null;
+  return requested || seasonData.competitions[0] || null;
+}
+
+/**
+ * Dados do formulário de seleção de competição
+ * (templates/partials/competition_selector.html). O formulário só aparece
+ * quando a temporada tem mais de uma competição; `allLabel`, quando
+ * informado, acrescenta uma opção que reúne todas as competições.
+ *
+ * @param {Object} seasonData Visão da temporada
+ * @param {Object|null} competition Competição selecionada (null = todas)
+ * @param {string} action Caminho da página que receberá o formulário
+ * @param {string} [allLabel] Rótulo da opção "todas as competições"
+ * @returns {Object|null} { action, season_id, options }, ou null com uma
+ *   única competição
+ */
+function buildCompetitionSelector(seasonData, competition, action, allLabel) {
+  if (seasonData.competitions.length < 2) return null;
+  const options = seasonData.competitions.map(c => ({
+    value: c.id,
+    label: c.name,
+    selected: Boolean(competition) && c.id === competition.id
+  }));
+  if (allLabel) options.unshift({ value: '', label: allLabel, selected: !competition });
+  return { action, season_id: seasonData.season.id, options };
+}
+
+/**
+ * Carrega, sem passar pelo cache, a visão da temporada em andamento para
+ * uma transação de gravação. Sem temporada em andamento a gravação é
+ * recusada com IntegrityError.
+ *
+ * @returns {Promise<Object>} Visão da temporada (veja data_store.js)
+ */
+function loadActiveSeasonForWrite() {
+  return store.loadFresh().then(all => {
+    if (!all.activeSeason) {
+      throw new dbAccess.IntegrityError('Não há temporada em andamento. Temporadas arquivadas são somente para consulta.');
     }
-  } catch (e) {
-    nextDate = '';
-  }
-  // Define o próximo id sequencial
-  let nextId = dataStore.matches.reduce((max, m) => m.id > max ? m.id : max, 0);
-  toInsert.forEach(item => {
-    nextId += 1;
-    dataStore.matches.push({
-      id: nextId,
-      round: item.round,
-      date: nextDate,
-      home_team_id: item.home,
-      away_team_id: item.away,
-      home_score: null,
-      away_score: null
-    });
+    return all.forSeason(all.activeSeason.id);
   });
-  writeJSON('matches.json', dataStore.matches);
-  return true;
 }
-// Determine result sign: returns 'home', 'draw', 'away'
-function resultSign(home, away) {
-  if (home > away) return 'home';
-  if (home < away) return 'away';
-  return 'draw';
+
+// ======================================================================
+// Rodadas liberadas
+// ======================================================================
+// A tabela de cada competição fica cadastrada inteira em `matches`, mas as
+// páginas de palpites, ranking e resultados só mostram as rodadas até a
+// rodada em andamento (a primeira que ainda tem jogo sem placar). Assim a
+// rodada seguinte só aparece quando a atual termina.
+
+/**
+ * Retorna o número da rodada em andamento: a menor rodada com alguma
+ * partida agendada ou em andamento ou, se não houver nenhuma, a última
+ * rodada. Partidas adiadas e anuladas não seguram a rodada.
+ *
+ * @param {Array} matches Partidas de uma competição
+ * @returns {number|null} Número da rodada (null se não houver partidas)
+ */
+function getCurrentRound(matches) {
+  if (matches.length === 0) return null;
+  const pending = matches.filter(matchStatus.isPending);
+  const rounds = (pending.length > 0 ? pending : matches).map(m => m.round);
+  return pending.length > 0 ? Math.min(...rounds) : Math.max(...rounds);
 }
 
-function buildNavLinks(user) {
-  let adminLink = '';
-  let authLink = '';
-  if (user && user.isAdmin) {
-    adminLink = '<li><a href="/admin">Admin</a></li>';
-  }
-  if (user) {
-    authLink = `<li><a href="/logout">Sair (${user.name})</a></li>`;
-  } else {
-    authLink = '<li><a href="/login">Entrar</a></li>';
-  }
-  return { adminLink, authLink };
+/**
+ * Filtra as partidas das rodadas já liberadas (até a rodada em andamento).
+ * Cada competição tem sua própria rodada em andamento.
+ *
+ * @param {Array} matches Partidas de uma ou mais competições
+ * @returns {Array} Partidas liberadas
+ */
+function getReleasedMatches(matches) {
+  const byCompetition = new Map();
+  matches.forEach(m => {
+    if (!byCompetition.has(m.competition_id)) byCompetition.set(m.competition_id, []);
+    byCompetition.get(m.competition_id).push(m);
+  });
+  const currentRounds = new Map();
+  byCompetition.forEach((list, competitionId) => {
+    currentRounds.set(competitionId, getCurrentRound(list));
+  });
+  return matches.filter(m => m.round <= currentRounds.get(m.competition_id));
 }
 
-function handleHome(req, res, user) {
-  const data = loadData();
-  // Ordena a classificação utilizando as estatísticas já armazenadas no arquivo
-  // `classification.json`. Isso preserva as quantidades de jogos, vitórias,
-  // empates e derrotas informadas externamente, mas exibe os clubes
-  // na ordem correta (pontos, vitórias, saldo de gols, gols pró e nome).
-  const sorted = data.classification.slice();
-  sorted.sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points;
-    if (b.wins !== a.wins) return b.wins - a.wins;
-    if (b.goal_diff !== a.goal_diff) return b.goal_diff - a.goal_diff;
-    if (b.goals_for !== a.goals_for) return b.goals_for - a.goals_for;
-    const teamA = data.teams.find(t => t.id === a.team_id);
-    const teamB = data.teams.find(t => t.id === b.team_id);
-    return teamA.name.localeCompare(teamB.name);
+/**
+ * Agrupa partidas por rodada para as páginas de ranking e resultados.
+ * Quando todas as partidas são da mesma competição, a chave do grupo é o
+ * número da rodada e os grupos seguem a ordem das rodadas. Com várias
+ * competições, a chave combina competição e rodada (por exemplo, "2-5"),
+ * os rótulos levam o nome da competição e os grupos seguem a ordem
+ * cronológica do primeiro jogo de cada um.
+ *
+ * @param {Array} matches Partidas a agrupar
+ * @param {Map} competitionsById Índice de competições por ID
+ * @returns {Array} Grupos { key, round, competition, label, shortLabel, matches }
+ */
+function groupMatchesByRound(matches, competitionsById) {
+  const multi = new Set(matches.map(m => m.competition_id)).size > 1;
+  const groups = new Map();
+  matches.forEach(m => {
+    const key = multi ? `${m.competition_id}-${m.round}` : String(m.round);
+    if (!groups.has(key)) {
+      const competition = competitionsById.get(m.competition_id);
+      const roundLabel = competition.format === 'knockout'
+        ? (m.stage || `Fase ${m.round}`)
+        : `Rodada ${m.round}`;
+      groups.set(key, {
+        key,
+        round: m.round,
+        competition,
+        label: multi ? `${competition.name} - ${roundLabel}` : roundLabel,
+        // Rótulo curto para seletores e para o eixo do gráfico
+        shortLabel: multi ? `${competition.abbr} ${m.round}` : m.round,
+        firstKickoff: kickoff.toMillis(m.kickoff_at),
+        matches: []
+      });
+    }
+    const group = groups.get(key);
+    group.matches.push(m);
+    group.firstKickoff = Math.min(group.firstKickoff, kickoff.toMillis(m.kickoff_at));
+  });
+  const list = Array.from(groups.values());
+  list.sort((a, b) => {
+    if (multi && a.firstKickoff !== b.firstKickoff) return a.firstKickoff - b.firstKickoff;
+    if (a.competition.id !== b.competition.id) return a.competition.id - b.competition.id;
+    return a.round - b.round;
+  });
+  return list;
+}
+
+// ======================================================================
+// Mata-mata
+// ======================================================================
+
+/**
+ * Monta os confrontos de uma competição de mata-mata. Os jogos de uma mesma
+ * fase (`round`) entre os mesmos dois times formam um confronto, decidido
+ * pelo placar agregado e, em caso de empate, pelos pênaltis registrados no
+ * último jogo. O time A de cada confronto é o mandante do primeiro jogo.
+ *
+ * @param {Array} matches Partidas da competição
+ * @returns {Array} Confrontos { round, stage, teamA, teamB, legs, goalsA,
+ *   goalsB, penaltiesA, penaltiesB, finished, winnerId }, ordenados por fase
+ */
+function computeKnockoutTies(matches) {
+  const ties = new Map();
+  matches.forEach(m => {
+    const pair = [m.home_team_id, m.away_team_id].sort((a, b) => a - b).join('-');
+    const key = `${m.round}:${pair}`;
+    if (!ties.has(key)) ties.set(key, []);
+    ties.get(key).push(m);
   });
-  // Build table rows
-  let rows = '';
-  sorted.forEach((entry, index) => {
-    const team = data.teams.find(t => t.id === entry.team_id);
-    const pos = index + 1;
-    let zoneClass = '';
-    if (pos <= 4) zoneClass = 'zone-promotion';
-    else if (pos >= sorted.length - 3) zoneClass = 'zone-relegation';
-    else zoneClass = 'zone-middle';
-    const highlight = team.highlight ? 'highlight-team' : '';
-    // Compute real form (last 5 results) for this team
-    const form = computeTeamForm(entry.team_id, data.matches);
-    const formHtml = form.map(result => {
-      let cls = 'result-draw';
-      if (result === 'V') cls = 'result-win';
-      else if (result === 'D') cls = 'result-loss';
-      else if (result === '-') cls = 'result-none';
-      return `<span class="${cls}"></span>`;
-    }).join('');
-    // Monta representação do time com um ponto colorido ao invés de logotipo.
-    // Isso garante visual consistente mesmo sem arquivos de escudo.
-    const dot = getTeamDot(team);
-    const teamLabel = `<div class="team-label">${dot}<span>${team.name}</span></div>`;
-    rows += `<tr class="${zoneClass} ${highlight}"><td>${pos}</td>`+
-            `<td>${teamLabel}</td>`+
-            `<td>${entry.points}</td>`+
-            `<td>${entry.games}</td>`+
-            `<td>${entry.wins}</td>`+
-            `<td>${entry.draws}</td>`+
-            `<td>${entry.losses}</td>`+
-            `<td>${entry.goals_for}</td>`+
-            `<td>${entry.goals_against}</td>`+
-            `<td>${entry.goal_diff >= 0 ? '+' + entry.goal_diff : entry.goal_diff}</td>`+
-            `<td><div class="form-indicator">${formHtml}</div></td>`+
-            `</tr>`;
+  const result = [];
+  ties.forEach(legs => {
+    legs.sort((a, b) => (a.leg || 0) - (b.leg || 0) || kickoff.compare(a, b) || a.id - b.id);
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+    const teamA = first.home_team_id;
+    const teamB = first.away_team_id;
+    let goalsA = 0;
+    let goalsB = 0;
+    legs.forEach(m => {
+      if (!matchStatus.countsForTable(m)) return;
+      goalsA += m.home_team_id === teamA ? m.home_score : m.away_score;
+      goalsB += m.home_team_id === teamA ? m.away_score : m.home_score;
+    });
+    const finished = legs.every(matchStatus.countsForTable);
+    let penaltiesA = null;
+    let penaltiesB = null;
+    if (last.home_penalties !== null && last.away_penalties !== null) {
+      penaltiesA = last.home_team_id === teamA ? last.home_penalties : last.away_penalties;
+      penaltiesB = last.home_team_id === teamA ? last.away_penalties : last.home_penalties;
+    }
+    let winnerId = null;
+    if (finished) {
+      if (goalsA !== goalsB) winnerId = goalsA > goalsB ? teamA : teamB;
+      else if (penaltiesA !== null && penaltiesA !== penaltiesB) winnerId = penaltiesA > penaltiesB ? teamA : teamB;
+    }
+    result.push({
+      round: first.round,
+      stage: first.stage || `Fase ${first.round}`,
+      teamA,
+      teamB,
+      legs,
+      goalsA,
+      goalsB,
+      penaltiesA,
+      penaltiesB,
+      finished,
+      winnerId
+    });
   });
-  const now = new Date().toISOString().split('T')[0];
-  const nav = buildNavLinks(user);
-  // Compute additional stats for hero cards
-  // Determine the position of Criciúma (team marked with highlight flag)
-  let criPosition = '--';
-  for (let i = 0; i < sorted.length; i++) {
-    const team = data.teams.find(t => t.id === sorted[i].team_id);
-    if (team && team.highlight) {
-      criPosition = (i + 1).toString();
-      break;
+  result.sort((a, b) => a.round - b.round || a.legs[0].id - b.legs[0].id);
+  return result;
+}
+
+// Classes CSS da forma recente de um time (veja computeTeamForm)
+const formClasses = {
+  V: 'result-win',
+  E: 'result-draw',
+  D: 'result-loss',
+  '-': 'result-none'
+};
+
+// Classes CSS usadas para destacar o acerto de cada palpite (veja scoring.js)
+const outcomeClasses = {
+  exact: 'points-exact',
+  result: 'points-result',
+  miss: 'points-wrong'
+};
+
+// Rótulos do acerto de cada palpite
+const outcomeLabels = {
+  exact: 'EXATO',
+  result: 'RESULTADO',
+  miss: 'ERRO'
+};
+
+// Itens do menu principal, na ordem de exibição
+const NAV_ITEMS = [
+  { href: '/', label: 'Classificação' },
+  { href: '/palpites', label: 'Palpites' },
+  { href: '/ranking', label: 'Ranking' },
+  { href: '/resultados', label: 'Resultados' },
+  { href: '/artilharia', label: 'Artilharia' },
+  { href: '/simulacao', label: 'Simulação' }
+];
+
+/**
+ * Dados do menu principal (templates/partials/nav.html). O item do Admin
+ * só aparece para administradores.
+ *
+ * @param {Object|null} user Usuário logado
+ * @param {string|null} active Caminho do item destacado
+ * @returns {Object} { items, user_name, csrf_token }
+ */
+function buildNav(user, active) {
+  const items = NAV_ITEMS.slice();
+  if (user && user.isAdmin) items.push({ href: '/admin', label: 'Admin' });
+  return {
+    items: items.map(item => ({ ...item, active: item.href === active })),
+    user_name: user ? user.name : null,
+    csrf_token: user ? user.csrfToken : null
+  };
+}
+
+/**
+ * Página de uma competição de mata-mata: os confrontos de cada fase, com os
+ * placares de ida e volta, o agregado e o time classificado.
+ */
+function renderKnockoutPage(res, user, all, season, seasonData, data) {
+  const stages = [];
+  computeKnockoutTies(getReleasedMatches(data.matches)).forEach(tie => {
+    let stage = stages[stages.length - 1];
+    if (!stage || stage.round !== tie.round) {
+      stage = { round: tie.round, name: tie.stage, ties: [] };
+      stages.push(stage);
     }
-  }
-  // Total number of matches stored (including finalizados e futuros)
-  const totalMatches = data.matches.length.toString();
-  const html = renderTemplate('home.html', {
-    table_rows: rows,
-    last_update: now,
-    admin_link: nav.adminLink,
-    auth_link: nav.authLink,
-    criciuma_position: criPosition,
-    total_matches: totalMatches
+    stage.ties.push(tie);
+  });
+  const teamLabel = team => ({ name: team.name, logo: teamLogo(team) });
+  const sections = stages.map(stage => ({
+    name: stage.name,
+    ties: stage.ties.map(tie => {
+      const teamA = data.teamsById.get(tie.teamA);
+      const teamB = data.teamsById.get(tie.teamB);
+      const legs = tie.legs.map(m => {
+        const home = data.teamsById.get(m.home_team_id);
+        const away = data.teamsById.get(m.away_team_id);
+        const score = m.home_score !== null && m.away_score !== null
+          ? `${m.home_score}-${m.away_score}`
+          : 'x';
+        return `${home.abbr} ${score} ${away.abbr}`;
+      });
+      let aggregate = tie.legs.some(matchStatus.countsForTable)
+        ? `${tie.goalsA}-${tie.goalsB}`
+        : '-';
+      if (tie.penaltiesA !== null) aggregate += ` (${tie.penaltiesA}-${tie.penaltiesB} pên.)`;
+      const winner = tie.winnerId ? data.teamsById.get(tie.winnerId) : null;
+      return {
+        highlight: teamA.highlight || teamB.highlight,
+        team_a: teamLabel(teamA),
+        team_b: teamLabel(teamB),
+        legs,
+        aggregate,
+        winner: winner ? teamLabel(winner) : null
+      };
+    })
+  }));
+  const html = renderTemplate('mata_mata.html', {
+    competition_title: `${data.competition.name} ${season.year}`,
+    season_selector: buildSeasonSelector(all, season, '/'),
+    competition_selector: buildCompetitionSelector(seasonData, data.competition, '/'),
+    stages: sections,
+    last_update: new Date().toISOString().split('T')[0],
+    nav: buildNav(user, '/')
   });
   res.statusCode = 200;
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   res.end(html);
 }
 
+function handleHome(req, res, user) {
+  const parsedUrl = url.parse(req.url, true);
+  store.get()
+    .then(all => {
+      const season = resolveSeason(all, parsedUrl.query.temporada);
+      const seasonData = all.forSeason(season.id);
+      const competition = resolveCompetition(seasonData, parsedUrl.query.competicao);
+      if (!competition) {
+        sendNotFound(res, 'Nenhuma competição cadastrada nesta temporada.');
+        return;
+      }
+      const data = seasonData.forCompetition(competition.id);
+      // Competições de mata-mata não têm tabela: exibem os confrontos
+      if (competition.format === 'knockout') {
+        renderKnockoutPage(res, user, all, season, seasonData, data);
+        return;
+      }
+      // Ordena a classificação utilizando as estatísticas já armazenadas na tabela
+      // `classification`. Isso preserva as quantidades de jogos, vitórias,
+      // empates e derrotas informadas externamente, mas exibe os clubes
+      // na ordem dada pelos critérios de desempate da competição.
+      const { sorted, decisions } = rankClassification(data.classification, data);
+      // Linhas da tabela: a faixa de cada posição, o escudo e a forma
+      // (últimos 5 resultados) de cada time
+      const rows = sorted.map((entry, index) => {
+        const team = data.teamsById.get(entry.team_id);
+        const pos = index + 1;
+        let zone = 'zone-middle';
+        if (pos <= 4) zone = 'zone-promotion';
+        else if (pos >= sorted.length - 3) zone = 'zone-relegation';
+        return {
+          ...entry,
+          position: pos,
+          zone,
+          highlight: team.highlight,
+          team_name: team.name,
+          logo: teamLogo(team),
+          goal_diff: entry.goal_diff >= 0 ? `+${entry.goal_diff}` : entry.goal_diff,
+          form: computeTeamForm(entry.team_id, data.matches).map(result => formClasses[result])
+        };
+      });
+      const now = new Date().toISOString().split('T')[0];
+      // Compute additional stats for hero cards
+      // Determine the position of Criciúma (team marked with highlight flag)
+      let criPosition = '--';
+      for (let i = 0; i < sorted.length; i++) {
+        const team = data.teamsById.get(sorted[i].team_id);
+        if (team && team.highlight) {
+          criPosition = (i + 1).toString();
+          break;
+        }
+      }
+      // Total number of matches stored (including finalizados e futuros)
+      const totalMatches = data.matches.length.toString();
+      const html = renderTemplate('home.html', {
+        competition_title: `${competition.name} ${season.year}`,
+        tiebreak_chain: buildTiebreakChain(data.tiebreakers),
+        tiebreak_decisions: buildTiebreakDecisions(sorted, decisions, data.teamsById),
+        season_selector: buildSeasonSelector(all, season, '/'),
+        competition_selector: buildCompetitionSelector(seasonData, competition, '/'),
+        rows,
+        last_update: now,
+        nav: buildNav(user, '/'),
+        criciuma_position: criPosition,
+        total_matches: totalMatches
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Rótulos dos critérios de desempate de uma competição, na ordem
+function buildTiebreakChain(chain) {
+  return chain.concat('name').map(key => tiebreakers.criterionLabel(key));
+}
+
+/**
+ * Explica, para cada par de times vizinhos empatados em pontos, qual
+ * critério definiu quem ficou à frente.
+ *
+ * @param {Array} sorted Classificação já ordenada
+ * @param {Array} decisions Desempates retornados por rankClassification
+ * @param {Map} teamsById Índice de times por ID
+ * @returns {Array} Itens { above, below, criterion } da lista de desempates,
+ *   com a posição e o nome de cada time
+ */
+function buildTiebreakDecisions(sorted, decisions, teamsById) {
+  const positions = new Map(sorted.map((entry, index) => [entry.team_id, index + 1]));
+  return decisions
+    .slice()
+    .sort((a, b) => positions.get(a.above) - positions.get(b.above))
+    .map(d => ({
+      above: `${positions.get(d.above)}º ${teamsById.get(d.above).name}`,
+      below: `${positions.get(d.below)}º ${teamsById.get(d.below).name}`,
+      criterion: tiebreakers.criterionLabel(d.criterion)
+    }));
+}
+
 function handleLoginGet(req, res) {
-  const html = renderTemplate('login.html', { message: '' });
+  const html = renderTemplate('login.html', { message: '', nav: buildNav(null, null) });
   res.statusCode = 200;
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   res.end(html);
 }
 
-function handleLoginPost(req, res) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const parsed = querystring.parse(body);
-    const email = parsed.email;
-    const password = parsed.password;
-    // Busca o usuário no banco de dados. O banco armazena somente
-    // credenciais do administrador (demais perfis não fazem login).
-    dbAccess.getUserByCredentials(email, password)
-      .then((user) => {
-        if (user && user.isAdmin) {
-          const token = crypto.randomBytes(16).toString('hex');
-          sessions[token] = user.id;
-          res.setHeader('Set-Cookie', `session=${token}; HttpOnly`);
+function handleLoginPost(req, res, form) {
+  const email = form.email;
+  const password = form.password;
+  const remember = form.lembrar === '1';
+  // Busca o usuário no banco de dados. Entram o administrador e os
+  // apresentadores, que lançam os próprios palpites.
+  dbAccess.getUserByCredentials(email, password)
+    .then((user) => {
+      if (user) {
+        const token = sessions.newToken();
+        const now = new Date().toISOString();
+        return dbAccess.insertSession({
+          token_hash: sessions.hashToken(token),
+          user_id: user.id,
+          remember,
+          csrf_token: sessions.newToken(),
+          created_at: now,
+          last_seen_at: now,
+          expires_at: sessions.expiresAt(remember),
+          user_agent: sessions.describeUserAgent(req.headers['user-agent']),
+          ip: req.socket.remoteAddress || null
+        }).then(() => {
+          res.setHeader('Set-Cookie', sessions.cookie(token, { remember, secure: isSecureRequest(req) }));
           sendRedirect(res, '/');
-        } else {
-          const html = renderTemplate('login.html', { message: 'Credenciais incorretas ou acesso não autorizado' });
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'text/html; charset=utf-8');
-          res.end(html);
-        }
-      })
-      .catch((err) => {
-        console.error('Erro ao autenticar:', err.message);
-        const html = renderTemplate('login.html', { message: 'Erro ao autenticar' });
-        res.statusCode = 500;
+        });
+      } else {
+        const html = renderTemplate('login.html', { message: 'Credenciais incorretas', nav: buildNav(null, null) });
+        res.statusCode = 200;
         res.setHeader('Content-Type', 'text/html; charset=utf-8');
         res.end(html);
-      });
-  });
+      }
+    })
+    .catch((err) => {
+      logError(req, 'Erro ao autenticar', err);
+      const html = renderTemplate('login.html', { message: 'Erro ao autenticar', nav: buildNav(null, null) });
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    });
 }
 
+// Sair: encerra a sessão atual. Só é aceito por POST, com o token CSRF
 function handleLogout(req, res) {
-  const cookies = parseCookies(req.headers.cookie);
-  if (cookies.session) {
-    delete sessions[cookies.session];
-    res.setHeader('Set-Cookie', 'session=; expires=Thu, 01 Jan 1970 00:00:00 GMT');
-  }
-  sendRedirect(res, '/');
+  dbAccess.deleteSession(req.session.id)
+    .then(() => {
+      res.setHeader('Set-Cookie', sessions.clearCookie({ secure: isSecureRequest(req) }));
+      sendRedirect(res, '/');
+    })
+    .catch(err => sendServerError(res, err));
 }
 
-function getNextRoundForUser(data, userId) {
-  // Determine rounds with matches that have at least one undefined score
-  const roundsWithOpen = new Set();
-  data.matches.forEach(m => {
-    if (m.home_score === null || m.away_score === null) {
-      roundsWithOpen.add(m.round);
-    }
-  });
-  const openRounds = Array.from(roundsWithOpen).sort((a, b) => a - b);
-  if (openRounds.length === 0) return null;
-  // For the smallest open round, check if user has predictions for all matches; if yes, skip to next open round
-  for (const r of openRounds) {
-    const roundMatches = data.matches.filter(m => m.round === r);
-    let allPredicted = true;
-    for (const match of roundMatches) {
-      const pred = data.predictions.find(p => p.match_id === match.id && p.user_id === userId);
-      if (!pred) {
-        allPredicted = false;
-        break;
-      }
-    }
-    if (!allPredicted) {
-      return r;
-    }
-  }
-  return openRounds[0];
+// Sair de todos os dispositivos: encerra todas as sessões do usuário,
+// inclusive a atual
+function handleLogoutAll(req, res, user) {
+  dbAccess.deleteUserSessions(user.id)
+    .then(() => {
+      res.setHeader('Set-Cookie', sessions.clearCookie({ secure: isSecureRequest(req) }));
+      sendRedirect(res, '/');
+    })
+    .catch(err => sendServerError(res, err));
 }
 
 // Determine next round needing predictions across all presenters (non-admin users)
-function getNextRoundForAll(data) {
-  // Identify rounds with matches that have at least one undefined score (open rounds)
+function getNextRoundForAll(data, now) {
+  // Rodadas com partidas agendadas ou em andamento (partidas encerradas,
+  // adiadas ou anuladas não abrem a rodada)
   const roundsWithOpen = new Set();
-  data.matches.forEach(m => {
-    // Ignora partidas excluídas de palpites
-    if (excludedMatchIds.has(m.id)) return;
-    if (m.home_score === null || m.away_score === null) {
-      roundsWithOpen.add(m.round);
-    }
+  getReleasedMatches(data.matches).forEach(m => {
+    if (matchStatus.isPending(m)) roundsWithOpen.add(m.round);
   });
   const openRounds = Array.from(roundsWithOpen).sort((a, b) => a - b);
   if (openRounds.length === 0) return null;
   const presenters = data.users.filter(u => !u.isAdmin);
   // For each open round, check if all presenters predicted all matches; if not, return this round
   for (const r of openRounds) {
-    // Seleciona apenas partidas que não estão na lista de exclusão
-    const roundMatches = data.matches.filter(m => m.round === r && !excludedMatchIds.has(m.id));
+    // Seleciona apenas partidas que ainda aceitam palpites (não travadas)
+    const roundMatches = data.matches.filter(m => m.round === r && !kickoff.isLocked(m, now));
     let allPredicted = true;
     for (const match of roundMatches) {
       for (const p of presenters) {
-        const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
+        const pred = data.predictionFor(match.id, p.id);
         if (!pred) {
           allPredicted = false;
           break;
@@ -706,457 +1055,424 @@ function getNextRoundForAll(data) {
   return openRounds[0];
 }
 
-function handlePalpitesGet(req, res, user) {
-  const data = loadData();
-  const nextRound = getNextRoundForAll(data);
+/**
+ * Reúne as partidas da página de palpites: para cada competição, os jogos
+ * agendados ou em andamento da próxima rodada que ainda precisa de palpites
+ * (veja getNextRoundForAll). As rodadas de cada competição são
+ * independentes. Os jogos que já começaram vêm junto, mas estão travados
+ * (veja kickoff.isLocked).
+ *
+ * @param {Object} seasonData Visão da temporada (veja data_store.js)
+ * @param {number} now Instante de referência, em milissegundos
+ * @returns {Array} Partidas da rodada de palpites, de todas as competições
+ */
+function getPredictionMatches(seasonData, now) {
+  const matches = [];
+  seasonData.competitions.forEach(c => {
+    const data = seasonData.forCompetition(c.id);
+    const round = getNextRoundForAll(data, now);
+    if (!round) return;
+    data.matches
+      .filter(m => m.round === round && matchStatus.isPending(m))
+      .forEach(m => matches.push(m));
+  });
+  return matches;
+}
+
+// Tempo restante até o início de uma partida, como "2d 5h", "3h 10min" ou
+// "15min". O relógio da página de palpites (palpites.html) usa o mesmo
+// formato.
+function formatCountdown(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}min`;
+  return `${minutes}min`;
+}
+
+// Horário de início de uma partida na página de palpites, com a contagem
+// regressiva até a trava ou o aviso de palpites travados. Sem hora definida
+// não há contagem regressiva.
+function buildKickoffInfo(match, now) {
+  const when = kickoff.isDefined(match.kickoff_at) ? kickoff.formatMatch(match) : 'Horário a definir';
+  const info = { when, kickoff_at: match.kickoff_at, locked: false, countdown: null };
+  if (kickoff.isLocked(match, now)) {
+    info.locked = true;
+  } else if (kickoff.hasTime(match)) {
+    info.countdown = formatCountdown(Date.parse(match.kickoff_at) - now);
+  }
+  return info;
+}
+
+// Página de palpites. Quando um envio é recusado (veja handlePalpitesPost),
+// volta com status 409, a explicação em `rejectedMessage` e os valores
+// digitados em `form`.
+function handlePalpitesGet(req, res, user, rejectedMessage, form) {
   // Verifica se existe um parâmetro saved=1 na query string para exibir mensagem de sucesso
   const parsedUrl = url.parse(req.url, true);
-  const message = parsedUrl.query.saved ? 'Palpites salvos com sucesso!' : '';
-  // Constrói HTML de mensagem de sucesso somente se houver mensagem
-  let messageHtml = '';
-  if (message) {
-    messageHtml = `<div class="success-message"><span class="success-icon">✅</span><span>${message}</span></div>`;
-  }
-  if (!nextRound) {
-    // Não há rodadas futuras para palpite
-    const html = renderTemplate('palpites.html', {
-      table_head: '<tr><th>Confronto</th></tr>',
-      match_rows: '<tr><td colspan="10">Nenhum jogo pendente para palpite.</td></tr>',
-      round_number: '-',
-      message_html: '',
-      admin_link: '',
-      user_name: user.name
-    });
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.end(html);
-    return;
-  }
-  // Filtra apenas jogos da rodada que não estão excluídos de palpites
-  const matches = data.matches.filter(m => m.round === nextRound && !excludedMatchIds.has(m.id));
-  const presenters = data.users.filter(u => !u.isAdmin);
-  // Cabeçalho da tabela (duas linhas)
-  let headRow1 = '<tr><th rowspan="2">Confronto</th>';
-  presenters.forEach(p => {
-    headRow1 += `<th colspan="3">${p.name}</th>`;
-  });
-  headRow1 += '</tr>';
-  let headRow2 = '<tr>';
-  presenters.forEach(() => {
-    headRow2 += '<th>P.Casa</th><th>P.Fora</th><th>Res</th>';
-  });
-  headRow2 += '</tr>';
-  const tableHead = headRow1 + headRow2;
-  // Busca palpites salvos para a rodada a partir do banco de dados
-  dbAccess.getPredictionsByRound(nextRound)
-    .then(predsFromDB => {
-      // Monta as linhas de cada jogo
-      let rows = '';
-      matches.forEach(match => {
-        const home = data.teams.find(t => t.id === match.home_team_id);
-        const away = data.teams.find(t => t.id === match.away_team_id);
-        // Utiliza pontos coloridos para representar as equipes ao invés de logotipos
-        const homeDot = getTeamDot(home, true);
-        const awayDot = getTeamDot(away, true);
-        let row = `<tr><td>${homeDot} ${home.name} x ${awayDot} ${away.name}</td>`;
-        presenters.forEach(p => {
-          // Busca o palpite deste apresentador para esta partida na lista obtida do banco
-          const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          const homeVal = pred ? pred.home_score : '';
-          const awayVal = pred ? pred.away_score : '';
-          const savedClass = pred ? 'saved-cell' : '';
-          let resultText = '-';
-          if (pred && pred.home_score !== null && pred.away_score !== null) {
-            const h = parseInt(pred.home_score);
-            const a = parseInt(pred.away_score);
-            if (h > a) resultText = 'Casa';
-            else if (h < a) resultText = 'Fora';
-            else resultText = 'Empate';
-          }
-          row += `<td class="${savedClass}"><input type="number" name="home_${p.id}_${match.id}" id="home_${p.id}_${match.id}" value="${homeVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><input type="number" name="away_${p.id}_${match.id}" id="away_${p.id}_${match.id}" value="${awayVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><span id="result_${p.id}_${match.id}">${resultText}</span></td>`;
+  const successMessage = parsedUrl.query.saved ? 'Palpites salvos com sucesso!' : null;
+  const status = rejectedMessage ? 409 : 200;
+  const now = Date.now();
+  store.get()
+    .then(all => {
+      // Palpites valem apenas para a temporada em andamento
+      const data = all.activeSeason ? all.forSeason(all.activeSeason.id) : null;
+      // Partidas que travaram antes da gravação (veja handlePalpitesPost)
+      let errorMessage = rejectedMessage || null;
+      if (data && parsedUrl.query.travadas) {
+        const names = String(parsedUrl.query.travadas).split(',')
+          .map(id => data.matchesById.get(parseInt(id, 10)))
+          .filter(Boolean)
+          .map(m => `${data.teamsById.get(m.home_team_id).name} x ${data.teamsById.get(m.away_team_id).name}`);
+        if (names.length > 0) {
+          errorMessage = `Palpites não salvos, pois a partida já começou: ${names.join(', ')}.`;
+        }
+      }
+      // Rodadas abertas, uma por competição
+      const groups = data ? groupMatchesByRound(getPredictionMatches(data, now), all.competitionsById) : [];
+      if (groups.length === 0) {
+        // Não há rodadas futuras para palpite
+        const html = renderTemplate('palpites.html', {
+          groups: [],
+          page_title: 'Palpites da Rodada -',
+          error_message: errorMessage,
+          csrf_token: user.csrfToken,
+          nav: buildNav(user, '/palpites')
         });
-        row += '</tr>';
-        rows += row;
-      });
-      const nav = buildNavLinks(user);
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(html);
+        return;
+      }
+      const presenters = data.users.filter(u => !u.isAdmin);
+      // Cada apresentador edita apenas a própria coluna; o administrador
+      // edita todas (modo administrador)
+      const canEdit = p => user.isAdmin || p.id === user.id;
+      // Linhas de cada jogo. Com mais de uma competição, cada rodada ganha
+      // uma linha de título.
+      const rounds = groups.map(group => ({
+        label: group.label,
+        show_label: groups.length > 1,
+        colspan: 1 + presenters.length * 3,
+        matches: group.matches.map(match => {
+          const home = data.teamsById.get(match.home_team_id);
+          const away = data.teamsById.get(match.away_team_id);
+          // Partidas que já começaram ficam só para leitura
+          const locked = kickoff.isLocked(match, now);
+          const cells = presenters.map(p => {
+            // Busca o palpite deste apresentador para esta partida pelo índice
+            const pred = data.predictionFor(match.id, p.id);
+            // Palpites lançados por outra pessoa (em geral, o administrador)
+            const enteredBy = pred && pred.entered_by && pred.entered_by !== p.id
+              ? data.usersById.get(pred.entered_by)
+              : null;
+            let resultText = '-';
+            if (pred && pred.home_score !== null && pred.away_score !== null) {
+              const h = parseInt(pred.home_score);
+              const a = parseInt(pred.away_score);
+              if (h > a) resultText = 'Casa';
+              else if (h < a) resultText = 'Fora';
+              else resultText = 'Empate';
+            }
+            // Depois de um envio recusado, os campos mostram o que foi digitado
+            const typed = side => form ? form[`${side}_${p.id}_${match.id}`] : undefined;
+            return {
+              presenter_id: p.id,
+              match_id: match.id,
+              home: typed('home') !== undefined ? typed('home') : (pred ? pred.home_score : ''),
+              away: typed('away') !== undefined ? typed('away') : (pred ? pred.away_score : ''),
+              saved: Boolean(pred),
+              disabled: locked || !canEdit(p),
+              result: resultText,
+              entered_by: enteredBy ? enteredBy.name : null
+            };
+          });
+          return {
+            home_name: home.name,
+            home_logo: teamLogo(home, true),
+            away_name: away.name,
+            away_logo: teamLogo(away, true),
+            kickoff: buildKickoffInfo(match, now),
+            cells
+          };
+        })
+      }));
+      // Título: "Palpites da Rodada N" para uma rodada de pontos corridos;
+      // nos demais casos, os rótulos das rodadas abertas
+      const pageTitle = groups.length === 1 && groups[0].competition.format === 'league'
+        ? `Palpites da ${groups[0].label}`
+        : `Palpites: ${groups.map(g => g.label).join(' | ')}`;
       const html = renderTemplate('palpites.html', {
-        table_head: tableHead,
-        match_rows: rows,
-        round_number: nextRound,
-        message_html: messageHtml,
-        admin_link: nav.adminLink,
-        user_name: user.name
+        presenters: presenters.map(p => p.name),
+        groups: rounds,
+        page_title: pageTitle,
+        admin_mode: user.isAdmin,
+        error_message: errorMessage,
+        success_message: successMessage,
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/palpites')
       });
-      res.statusCode = 200;
+      res.statusCode = status;
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.end(html);
     })
-    .catch(err => {
-      console.error('Erro ao obter palpites do banco:', err.message);
-      // Em caso de erro, renderiza a página usando apenas as informações do JSON
-      // Essa lógica é semelhante à versão original acima, mas sem destaque de palpites salvos
-      let rows = '';
-      matches.forEach(match => {
-        const home = data.teams.find(t => t.id === match.home_team_id);
-        const away = data.teams.find(t => t.id === match.away_team_id);
-        // Representa as equipes por pontos coloridos em caso de fallback do banco
-        const homeDot = getTeamDot(home, true);
-        const awayDot = getTeamDot(away, true);
-        let row = `<tr><td>${homeDot} ${home.name} x ${awayDot} ${away.name}</td>`;
-        presenters.forEach(p => {
-          const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          const homeVal = pred ? pred.home_score : '';
-          const awayVal = pred ? pred.away_score : '';
-          const savedClass = pred ? 'saved-cell' : '';
-          let resultText = '-';
-          if (pred && pred.home_score !== null && pred.away_score !== null) {
-            const h = parseInt(pred.home_score);
-            const a = parseInt(pred.away_score);
-            if (h > a) resultText = 'Casa';
-            else if (h < a) resultText = 'Fora';
-            else resultText = 'Empate';
-          }
-          row += `<td class="${savedClass}"><input type="number" name="home_${p.id}_${match.id}" id="home_${p.id}_${match.id}" value="${homeVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><input type="number" name="away_${p.id}_${match.id}" id="away_${p.id}_${match.id}" value="${awayVal}" min="0" oninput="updateResult(${p.id}, ${match.id})"></td>`;
-          row += `<td class="${savedClass}"><span id="result_${p.id}_${match.id}">${resultText}</span></td>`;
-        });
-        row += '</tr>';
-        rows += row;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('palpites.html', {
-        table_head: tableHead,
-        match_rows: rows,
-        round_number: nextRound,
-        message_html: messageHtml,
-        admin_link: nav.adminLink,
-        user_name: user.name
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    });
+    .catch(err => sendServerError(res, err));
 }
 
-function handlePalpitesPost(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    // Determine current round across all presenters
-    const round = getNextRoundForAll(dataStore);
-    if (!round) {
-      sendRedirect(res, '/palpites');
-      return;
-    }
-    // Apenas partidas que não estão excluídas de palpites
-    const matches = dataStore.matches.filter(m => m.round === round && !excludedMatchIds.has(m.id));
-    const presenters = dataStore.users.filter(u => !u.isAdmin);
-    // Compute max id once for new predictions
-    let maxId = 0;
-    dataStore.predictions.forEach(p => { if (p.id > maxId) maxId = p.id; });
-    // Iterate through matches and presenters
-    // Armazena palpites em memória e agrupa por apresentador para posterior
-    // persistência no banco SQLite
-    const predsByUser = {};
-    matches.forEach(match => {
-      presenters.forEach(p => {
-        const homeKey = `home_${p.id}_${match.id}`;
-        const awayKey = `away_${p.id}_${match.id}`;
-        const hVal = form[homeKey];
-        const aVal = form[awayKey];
-        if (hVal !== undefined && aVal !== undefined && hVal !== '' && aVal !== '') {
-          const h = parseInt(hVal);
-          const a = parseInt(aVal);
-          // Atualiza ou insere no JSON local
-          let pred = dataStore.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          if (pred) {
-            pred.home_score = h;
-            pred.away_score = a;
-          } else {
-            maxId += 1;
-            dataStore.predictions.push({ id: maxId, match_id: match.id, user_id: p.id, home_score: h, away_score: a });
-          }
-          // Agrupa para salvar no banco depois
-          if (!predsByUser[p.id]) predsByUser[p.id] = [];
-          predsByUser[p.id].push({ match_id: match.id, home_score: h, away_score: a });
-        }
-      });
-    });
-    // Atualiza arquivo JSON
-    writeJSON('predictions.json', dataStore.predictions);
-    // Persiste no banco de dados para cada apresentador
-    const roundPromises = [];
-    const roundNumber = round;
-    Object.keys(predsByUser).forEach(uid => {
-      const list = predsByUser[uid];
-      roundPromises.push(dbAccess.savePredictionsForRound(roundNumber, parseInt(uid), list));
-    });
-    Promise.all(roundPromises)
-      .then(() => {
-        sendRedirect(res, '/palpites?saved=1');
-      })
-      .catch(err => {
-        console.error('Erro ao salvar palpites no banco:', err.message);
-        sendRedirect(res, '/palpites?saved=1');
-      });
-  });
+// Gols e pênaltis: inteiro não negativo (ou null, onde o campo aceita vazio).
+// Regra comum dos formulários e da API.
+function isGoalCount(value, allowNull) {
+  return (allowNull && value === null) || (Number.isInteger(value) && value >= 0);
 }
 
+// Converte um campo de gols de formulário: vazio vira null e o que não for
+// um número inteiro vira NaN, recusado por isGoalCount
+function parseGoalField(text) {
+  const value = (text || '').trim();
+  if (value === '') return null;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
 
-function handleRanking(req, res, user) {
-  const data = loadData();
-  const parsedUrl = url.parse(req.url, true);
-  const selectedRound = parsedUrl.query.round ? parseInt(parsedUrl.query.round, 10) : null;
-  
-  // Buscar palpites do banco
-  dbAccess.getPredictions()
-    .then(predsFromDB => {
-      // Encontrar a última rodada com pontuação
-      const lastRound = getLastRoundWithPoints(data.matches, predsFromDB);
-      
-      if (!lastRound) {
-        res.statusCode = 404;
-        res.end('Nenhuma rodada com resultados encontrada');
-        return;
-      }
-      
-      // Filtrar partidas da última rodada
-      const lastRoundMatches = data.matches
-        .filter(m => m.round === lastRound && !excludedMatchIds.has(m.id))
-        .sort((a, b) => a.id - b.id);
-      
-      // Buscar palpites do apresentador para a última rodada
-      const presenterPredictions = predsFromDB.filter(p => 
-        p.user_id === presenterId && 
-        lastRoundMatches.some(m => m.id === p.match_id)
-      );
-      
-      // Gerar HTML dos jogos individuais
-      let matchesHtml = '';
-      let totalPoints = 0;
-      
-      lastRoundMatches.forEach((match, index) => {
-        const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-        const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-        const prediction = presenterPredictions.find(p => p.match_id === match.id);
-        
-        if (prediction) {
-          const pointsData = calculatePredictionPoints(prediction, match);
-          totalPoints += pointsData.points;
-          
-          const statusClass = pointsData.status === 'exact' ? 'points-exact' : 
-                             pointsData.status === 'result' ? 'points-result' : 'points-wrong';
-          
-          const statusText = pointsData.status === 'exact' ? 'EXATO' : 
-                            pointsData.status === 'result' ? 'RESULTADO' : 'ERRO';
-          
-          matchesHtml += `
-            <div class="match-card">
-              <div class="match-header">
-                <div class="match-teams">
-                  <span class="match-number">${index + 1}</span>
-                  ${homeTeam.name} x ${awayTeam.name}
-                </div>
-                <div class="match-result">${match.home_score} x ${match.away_score}</div>
-              </div>
-              <div class="match-details">
-                <div class="detail-item prediction">
-                  <div class="detail-label">Palpite</div>
-                  <div class="detail-value">${prediction.home_score} x ${prediction.away_score}</div>
-                </div>
-                <div class="detail-item points">
-                  <div class="detail-label">Pontos</div>
-                  <div class="detail-value ${statusClass}">${pointsData.points}</div>
-                </div>
-                <div class="detail-item status">
-                  <div class="detail-label">Status</div>
-                  <div class="detail-value ${statusClass}">${statusText}</div>
-                </div>
-              </div>
-            </div>
-          `;
-        }
-      });
-      
-      // Gerar tabela resumo comparativa
-      const allPresenters = data.users.filter(u => !u.isAdmin);
-      let presentersHeaders = '';
-      allPresenters.forEach(p => {
-        const isCurrentPresenter = p.id === presenterId;
-        const headerClass = isCurrentPresenter ? 'presenter-column' : '';
-        presentersHeaders += `<th class="${headerClass}">${p.name}</th>`;
-      });
-      
-      let summaryRows = '';
-      let presenterTotals = {};
-      allPresenters.forEach(p => { presenterTotals[p.id] = 0; });
-      
-      lastRoundMatches.forEach((match, index) => {
-        const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-        const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-        
-        let row = `
-          <tr>
-            <td><strong>Jogo ${index + 1}</strong><br><span class="team-names">${homeTeam.name} x ${awayTeam.name}</span></td>
-            <td><strong>${match.home_score} x ${match.away_score}</strong></td>
-        `;
-        
-        allPresenters.forEach(p => {
-          const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-          const isCurrentPresenter = p.id === presenterId;
-          const cellClass = isCurrentPresenter ? 'presenter-column' : '';
-          
-          if (pred) {
-            const pointsData = calculatePredictionPoints(pred, match);
-            presenterTotals[p.id] += pointsData.points;
-            
-            const statusClass = pointsData.status === 'exact' ? 'points-exact' : 
-                               pointsData.status === 'result' ? 'points-result' : 'points-wrong';
-            
-            row += `<td class="${cellClass}"><strong>${pred.home_score}x${pred.away_score}</strong><br><span class="${statusClass}">${pointsData.points} pts</span></td>`;
-          } else {
-            row += `<td class="${cellClass}">-</td>`;
-          }
+// Palpites do formulário da página de palpites, por `${presenterId}_${matchId}`.
+// Partidas com os dois campos em branco ficam sem palpite; gols inválidos ou
+// um só lado preenchido recusam o envio inteiro, antes da gravação.
+function parsePredictionForm(form) {
+  const scores = new Map();
+  for (const name of Object.keys(form)) {
+    const field = /^(home|away)_(\d+_\d+)$/.exec(name);
+    if (!field) continue;
+    const goals = parseGoalField(form[name]);
+    if (goals === null) continue;
+    if (!isGoalCount(goals, false)) {
+      return { error: 'Os palpites devem ser números inteiros de gols, a partir de 0.' };
+    }
+    const score = scores.get(field[2]) || { home_score: null, away_score: null };
+    score[`${field[1]}_score`] = goals;
+    scores.set(field[2], score);
+  }
+  if (Array.from(scores.values()).some(s => s.home_score === null || s.away_score === null)) {
+    return { error: 'Preencha os gols dos dois times em cada palpite ou deixe os dois em branco.' };
+  }
+  return { scores };
+}
+
+/**
+ * Grava palpites de partidas da rodada aberta. Caminho comum da página de
+ * palpites e da API; deve ser chamada dentro de uma transação.
+ *
+ * A gravação usa upsert: a chave única (match_id, user_id) do banco garante
+ * um único palpite por apresentador em cada partida. Palpites sem alteração
+ * não são regravados, para não trocar o registro de quem os lançou. Os
+ * palpites alterados de partidas já iniciadas (por exemplo, numa página
+ * aberta antes do início) são recusados e os demais, gravados.
+ *
+ * @param {Object} dataStore Visão da temporada em andamento
+ * @param {Object} user Autor dos palpites (`entered_by`)
+ * @param {Array} entries Palpites { match, presenterId, home_score, away_score }
+ * @param {number} now Instante usado para a trava das partidas
+ * @returns {Promise<Array>} IDs das partidas já iniciadas com palpites recusados
+ */
+function savePredictions(dataStore, user, entries, now) {
+  const preds = [];
+  const locked = new Set();
+  entries.forEach(({ match, presenterId, home_score: h, away_score: a }) => {
+    const saved = dataStore.predictionFor(match.id, presenterId);
+    if (saved && saved.home_score === h && saved.away_score === a) return;
+    if (kickoff.isLocked(match, now)) {
+      locked.add(match.id);
+      return;
+    }
+    preds.push({ match_id: match.id, user_id: presenterId, home_score: h, away_score: a, entered_by: user.id });
+  });
+  return preds
+    .reduce((chain, pred) => chain.then(() => dbAccess.upsertPrediction(pred)), Promise.resolve())
+    .then(() => Array.from(locked));
+}
+
+function handlePalpitesPost(req, res, user, form) {
+  const parsed = parsePredictionForm(form);
+  if (parsed.error) {
+    handlePalpitesGet(req, res, user, parsed.error, form);
+    return;
+  }
+  // A trava vale para o instante em que o formulário chegou
+  const now = Date.now();
+  // Todos os palpites do formulário são gravados em uma única transação
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(dataStore => {
+      // Rodadas abertas de todas as competições da temporada
+      const matches = getPredictionMatches(dataStore, now);
+      if (matches.length === 0) return { saved: false, locked: [] };
+      // Apresentadores gravam apenas os próprios palpites; o administrador
+      // grava os de todos. Campos de outras colunas são ignorados.
+      const presenters = dataStore.users.filter(u => !u.isAdmin && (user.isAdmin || u.id === user.id));
+      // Reúne os palpites preenchidos
+      const entries = [];
+      matches.forEach(match => {
+        presenters.forEach(p => {
+          const score = parsed.scores.get(`${p.id}_${match.id}`);
+          if (score) entries.push({ match, presenterId: p.id, ...score });
         });
-        
-        row += '</tr>';
-        summaryRows += row;
-      });
-      
-      // Linha de totais
-      let totalPointsRow = '';
-      allPresenters.forEach(p => {
-        const isCurrentPresenter = p.id === presenterId;
-        const cellClass = isCurrentPresenter ? 'presenter-column' : '';
-        totalPointsRow += `<td class="${cellClass}"><strong>${presenterTotals[p.id]} pontos</strong></td>`;
-      });
-      
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('presenter_detail.html', {
-        presenter_name: presenter.name,
-        round_name: `Rodada ${lastRound}`,
-        total_points: totalPoints,
-        matches_html: matchesHtml,
-        presenters_headers: presentersHeaders,
-        summary_rows: summaryRows,
-        total_points_row: totalPointsRow,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
       });
-      
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
+      return savePredictions(dataStore, user, entries, now)
+        .then(locked => ({ saved: true, locked }));
+    });
+  })
+    .then(result => {
+      let location = result.saved ? '/palpites?saved=1' : '/palpites';
+      if (result.locked.length > 0) location += `&travadas=${result.locked.join(',')}`;
+      sendRedirect(res, location);
     })
     .catch(err => {
-      console.error('Erro ao buscar palpites:', err);
-      res.statusCode = 500;
-      res.end('Erro interno do servidor');
+      // Violações de integridade (por exemplo, sem temporada em andamento)
+      // voltam para a página com a explicação
+      if (err instanceof dbAccess.IntegrityError) {
+        handlePalpitesGet(req, res, user, err.message, form);
+        return;
+      }
+      sendServerError(res, err);
     });
 }
 
-function handleRanking(req, res, user) {
-  const data = loadData();
-  // Analisa a rodada selecionada (por exemplo, /ranking?round=17)
-  const parsedUrl = url.parse(req.url, true);
-  const selectedRound = parsedUrl.query.round ? parseInt(parsedUrl.query.round, 10) : null;
-  const presenters = data.users.filter(u => !u.isAdmin);
-  // Busca todos os palpites do banco
-  dbAccess.getPredictions()
-    .then(predsFromDB => {
-      const ranking = [];
-      presenters.forEach(u => {
-        let total = 0;
-        let exactCount = 0;
-        let resultCount = 0;
-        let errorCount = 0;
-        const details = [];
-        // Filtra palpites deste usuário
-        predsFromDB
-          .filter(p => p.user_id === u.id)
-          .forEach(pred => {
-            const match = data.matches.find(m => m.id === pred.match_id);
-            // Se a partida não existe ou está excluída, ignora
-            if (!match || excludedMatchIds.has(match.id)) return;
-            // Se uma rodada específica foi selecionada, ignore partidas de outras rodadas
-            if (selectedRound && match.round !== selectedRound) return;
-            if (match.home_score !== null && match.away_score !== null) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-                exactCount += 1;
-              } else if (predSign === realSign) {
-                points = 1;
-                resultCount += 1;
-              } else {
-                errorCount += 1;
-              }
-              total += points;
-              const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-              const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-              details.push({
-                round: match.round,
-                confrontation: `${homeTeam.name} x ${awayTeam.name}`,
-                prediction: `${pred.home_score}-${pred.away_score}`,
-                result: `${match.home_score}-${match.away_score}`,
-                points
-              });
-            }
+/**
+ * Determina o recorte usado pelo ranking e pela página de cada apresentador:
+ * a temporada (?temporada=), a competição (?competicao=, ou todas juntas
+ * quando ausente) e as rodadas liberadas que têm partidas valendo pontos.
+ *
+ * @param {Object} all Dados retornados por store.get()
+ * @param {Object} query Query string já interpretada
+ * @returns {Object} { season, seasonData, competition, data, roundGroups }
+ */
+function resolveRankingScope(all, query) {
+  const season = resolveSeason(all, query.temporada);
+  const seasonData = all.forSeason(season.id);
+  const competition = query.competicao
+    ? seasonData.competitionsById.get(parseInt(query.competicao, 10)) || null
+    : null;
+  const data = competition ? seasonData.forCompetition(competition.id) : seasonData;
+  const roundGroups = groupMatchesByRound(getReleasedMatches(data.matches), all.competitionsById)
+    .filter(g => g.matches.some(m => !matchStatus.isAnnulled(m)));
+  return { season, seasonData, competition, data, roundGroups };
+}
+
+// Query string que preserva temporada e competição nos links do ranking
+function rankingScopeQuery(season, competition) {
+  return `?temporada=${season.id}${competition ? `&competicao=${competition.id}` : ''}`;
+}
+
+/**
+ * Pontuação de cada apresentador nas rodadas do ranking: total de pontos,
+ * número de acertos exatos, de resultados e de erros, e o detalhe de cada
+ * palpite pontuado. Partidas anuladas não contam. Usado pela página do
+ * ranking e pela API.
+ *
+ * @param {Object} data Visão da temporada ou da competição
+ * @param {Array} roundGroups Rodadas do ranking (veja resolveRankingScope)
+ * @param {number} [selectedOrder] Posição da rodada em `roundGroups` para
+ *   o ranking de uma só rodada; -1 para o ranking geral
+ * @returns {Array} { user, total, exactCount, resultCount, errorCount,
+ *   details }, do maior para o menor total
+ */
+function computeRanking(data, roundGroups, selectedOrder = -1) {
+  // Posição de cada partida na sequência de rodadas
+  const roundOrderByMatch = new Map();
+  roundGroups.forEach((g, order) => g.matches.forEach(m => roundOrderByMatch.set(m.id, order)));
+  const ranking = [];
+  data.users.filter(u => !u.isAdmin).forEach(u => {
+    let total = 0;
+    let exactCount = 0;
+    let resultCount = 0;
+    let errorCount = 0;
+    const details = [];
+    // Filtra palpites deste usuário
+    (data.predictionsByUser.get(u.id) || [])
+      .forEach(pred => {
+        const match = data.matchesById.get(pred.match_id);
+        // Se a partida não existe, está excluída ou ainda não foi liberada, ignora
+        if (!match || matchStatus.isAnnulled(match) || !roundOrderByMatch.has(match.id)) return;
+        const order = roundOrderByMatch.get(match.id);
+        // Se uma rodada específica foi selecionada, ignore partidas de outras rodadas
+        if (selectedOrder >= 0 && order !== selectedOrder) return;
+        const score = scoring.scorePrediction(pred, match, data.scoringRules);
+        if (score) {
+          const points = score.points;
+          if (score.outcome === 'exact') exactCount += 1;
+          else if (score.outcome === 'result') resultCount += 1;
+          else errorCount += 1;
+          total += points;
+          const homeTeam = data.teamsById.get(match.home_team_id);
+          const awayTeam = data.teamsById.get(match.away_team_id);
+          details.push({
+            order,
+            confrontation: `${homeTeam.name} x ${awayTeam.name}`,
+            prediction: `${pred.home_score}-${pred.away_score}`,
+            result: `${match.home_score}-${match.away_score}`,
+            points
           });
-        ranking.push({ user: u, total, exactCount, resultCount, errorCount, details });
-      });
-      // Ordena pelo total de pontos (descendente)
-      ranking.sort((a, b) => b.total - a.total);
-      // Monta a lista de opções de rodada (ranking geral ou por rodada)
-      const allRounds = Array.from(new Set(data.matches.map(m => m.round))).filter(r => {
-        return data.matches.some(m => m.round === r && !excludedMatchIds.has(m.id));
-      }).sort((a, b) => a - b);
-      let selectorHtml = '<form method="get" action="/ranking" class="ranking-select-form">';
-      selectorHtml += '<label for="round-select">Rodada:</label> ';
-      selectorHtml += '<select id="round-select" name="round" onchange="this.form.submit()">';
-      selectorHtml += `<option value=""${selectedRound ? '' : ' selected'}>Geral</option>`;
-      allRounds.forEach(r => {
-        selectorHtml += `<option value="${r}"${selectedRound === r ? ' selected' : ''}>${r}</option>`;
+        }
       });
-      selectorHtml += '</select></form>';
-      // Constrói os cards do ranking
-      let cardsHtml = '';
-      ranking.forEach((entry, idx) => {
+    ranking.push({ user: u, total, exactCount, resultCount, errorCount, details });
+  });
+  // Ordena pelo total de pontos (descendente)
+  ranking.sort((a, b) => b.total - a.total);
+  return ranking;
+}
+
+function handleRanking(req, res, user) {
+  // Analisa a rodada selecionada (por exemplo, /ranking?round=17). Com várias
+  // competições, o valor identifica competição e rodada (veja groupMatchesByRound).
+  const parsedUrl = url.parse(req.url, true);
+  // Busca partidas, apresentadores e todos os palpites da temporada
+  store.get()
+    .then(all => {
+      // Ranking de uma competição (?competicao=<id>) ou de todas juntas
+      const { season, seasonData, competition, data, roundGroups } = resolveRankingScope(all, parsedUrl.query);
+      const selectedOrder = roundGroups.findIndex(g => g.key === parsedUrl.query.round);
+      const selectedRound = selectedOrder >= 0 ? roundGroups[selectedOrder] : null;
+      const presenters = data.users.filter(u => !u.isAdmin);
+      const ranking = computeRanking(data, roundGroups, selectedOrder);
+      // Seletor de rodada (ranking geral ou por rodada)
+      const roundSelector = {
+        season_id: season.id,
+        competition_id: competition ? competition.id : null,
+        options: [{ value: '', label: 'Geral', selected: !selectedRound }].concat(roundGroups.map(g => ({
+          value: g.key,
+          label: g.shortLabel,
+          selected: selectedRound === g
+        })))
+      };
+      // Cards do ranking
+      const cards = ranking.map((entry, idx) => {
         const u = entry.user;
-        const place = idx + 1;
         // Mostrar apenas a última rodada com pontuação
-        const lastRound = entry.details.length > 0 ? Math.max(...entry.details.map(d => d.round)) : 0;
-        const lastRoundDetails = entry.details.filter(d => d.round === lastRound);
-        
-        let detailsRows = '';
-        lastRoundDetails.forEach(d => {
-          detailsRows += `<tr><td>${d.confrontation}</td><td>${d.prediction}</td><td>${d.result}</td><td>${d.points}</td></tr>`;
-        });
-        const detailsTable = `<table><thead><tr><th>Confronto</th><th>Palpite</th><th>Resultado</th><th>Pts</th></tr></thead><tbody>${detailsRows}</tbody></table>`;
-        
-        // Calcular pontuação da última rodada para ranking geral
-        let lastRoundPoints = '';
-        if (!selectedRound) { // Apenas no ranking geral
-          // Encontrar a última rodada com jogos finalizados
-          const lastRound = Math.max(...entry.details.map(d => d.round));
-          const lastRoundDetails = entry.details.filter(d => d.round === lastRound);
+        const lastRound = entry.details.length > 0 ? Math.max(...entry.details.map(d => d.order)) : -1;
+        const lastRoundDetails = entry.details.filter(d => d.order === lastRound);
+        // Pontuação da última rodada, apenas no ranking geral
+        let lastRoundPoints = null;
+        if (!selectedRound) {
           const lastRoundTotal = lastRoundDetails.reduce((sum, d) => sum + d.points, 0);
-          lastRoundPoints = ` <span class="last-round-points">(+${lastRoundTotal})</span>`;
+          lastRoundPoints = `(+${lastRoundTotal})`;
         }
-        
-        cardsHtml += `<div class="ranking-card"><div class="card-header" onclick="toggleCard(${u.id})"><span>${place}º ${u.name}${lastRoundPoints} - ${entry.total} pts</span><span>Exatos: ${entry.exactCount} | Resultados: ${entry.resultCount} | Erros: ${entry.errorCount}</span></div><div id="card-body-${u.id}" class="card-body">${detailsTable}</div></div>`;
+        return {
+          id: u.id,
+          place: idx + 1,
+          name: u.name,
+          // O nome leva à página com o histórico completo do apresentador
+          link: `/ranking/${u.id}${rankingScopeQuery(season, competition)}`,
+          last_round_points: lastRoundPoints,
+          total: entry.total,
+          exact_count: entry.exactCount,
+          result_count: entry.resultCount,
+          error_count: entry.errorCount,
+          details: lastRoundDetails
+        };
       });
       // ============================================
       // Construção dos dados para o gráfico de evolução
       // ============================================
-      // Lista de todas as rodadas, ordenadas
-      const allRoundsForChart = Array.from(new Set(data.matches.map(m => m.round))).sort((a, b) => a - b);
+      // Lista de todas as rodadas, ordenadas (veja groupMatchesByRound)
+      const allRoundsForChart = roundGroups.map(g => g.shortLabel);
       // Estruturas para pontos cumulativos por usuário
       const cumulativeTotals = {};
       const series = {};
@@ -1165,28 +1481,19 @@ function handleRanking(req, res, user) {
         series[p.name] = [];
       });
       // Calcula pontos acumulados por rodada
-      allRoundsForChart.forEach(r => {
+      roundGroups.forEach(g => {
         // Partidas desta rodada (não excluídas)
-        const matchesInRound = data.matches.filter(m => m.round === r && !excludedMatchIds.has(m.id));
+        const matchesInRound = g.matches.filter(m => !matchStatus.isAnnulled(m));
         // Pontos obtidos nesta rodada por usuário
         const roundPoints = {};
         presenters.forEach(p => { roundPoints[p.id] = 0; });
         matchesInRound.forEach(match => {
-          if (match.home_score !== null && match.away_score !== null) {
-            presenters.forEach(p => {
-              const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-              if (!pred) return;
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-              } else if (predSign === realSign) {
-                points = 1;
-              }
-              roundPoints[p.id] += points;
-            });
-          }
+          presenters.forEach(p => {
+            const pred = data.predictionFor(match.id, p.id);
+            if (!pred) return;
+            const score = scoring.scorePrediction(pred, match, data.scoringRules);
+            if (score) roundPoints[p.id] += score.points;
+          });
         });
         // Atualiza cumulativos e armazena na série
         presenters.forEach(p => {
@@ -1195,492 +1502,309 @@ function handleRanking(req, res, user) {
         });
       });
       const chartDataObj = { rounds: allRoundsForChart, series: series };
-      const chartDataStr = JSON.stringify(chartDataObj);
-      
-      // Gerar tabela resumo da última rodada apenas no ranking geral
-      let summaryTableHtml = '';
+
+      // Resumo da última rodada, apenas no ranking geral
+      let summary = null;
       if (!selectedRound) {
         // Encontrar a última rodada com resultados
         const lastRound = Math.max(...ranking.map(entry => 
-          entry.details.length > 0 ? Math.max(...entry.details.map(d => d.round)) : 0
+          entry.details.length > 0 ? Math.max(...entry.details.map(d => d.order)) : -1
         ));
+        const lastRoundGroup = roundGroups[lastRound];
         
         // Obter partidas da última rodada
-        const lastRoundMatches = data.matches
-          .filter(m => m.round === lastRound && !excludedMatchIds.has(m.id))
+        const lastRoundMatches = (lastRoundGroup ? lastRoundGroup.matches : [])
+          .filter(m => !matchStatus.isAnnulled(m))
           .sort((a, b) => a.id - b.id);
         
         if (lastRoundMatches.length > 0) {
-          // Cabeçalho da tabela
-          let tableHeader = '<tr><th>Jogo</th><th>Resultado</th>';
-          presenters.forEach(p => {
-            tableHeader += `<th>${p.name}</th>`;
-          });
-          tableHeader += '</tr>';
-          
-          // Linhas da tabela
-          let tableRows = '';
-          let presenterTotals = {};
-          presenters.forEach(p => { presenterTotals[p.id] = 0; });
-          
-          lastRoundMatches.forEach((match, index) => {
-            const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-            const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-            
-            let row = `<tr><td><strong>Jogo ${index + 1}</strong><br><span class="team-names">${homeTeam.name} x ${awayTeam.name}</span></td>`;
-            row += `<td><strong>${match.home_score} x ${match.away_score}</strong></td>`;
-            
-            presenters.forEach(p => {
-              const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-              if (pred) {
-                const predSign = resultSign(pred.home_score, pred.away_score);
-                const realSign = resultSign(match.home_score, match.away_score);
-                let points = 0;
-                if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                  points = 3;
-                } else if (predSign === realSign) {
-                  points = 1;
-                }
-                presenterTotals[p.id] += points;
-                
-                const statusClass = points === 3 ? 'points-exact' : points === 1 ? 'points-result' : 'points-wrong';
-                row += `<td><strong>${pred.home_score}x${pred.away_score}</strong><br><span class="${statusClass}">${points} pts</span></td>`;
-              } else {
-                row += '<td>-</td>';
-              }
+          const presenterTotals = presenters.map(() => 0);
+          const rows = lastRoundMatches.map((match, index) => {
+            const homeTeam = data.teamsById.get(match.home_team_id);
+            const awayTeam = data.teamsById.get(match.away_team_id);
+            const cells = presenters.map((p, i) => {
+              const pred = data.predictionFor(match.id, p.id);
+              const score = pred ? scoring.scorePrediction(pred, match, data.scoringRules) : null;
+              if (!score) return { scored: false };
+              presenterTotals[i] += score.points;
+              return {
+                scored: true,
+                prediction: `${pred.home_score}x${pred.away_score}`,
+                points: score.points,
+                outcome_class: outcomeClasses[score.outcome]
+              };
             });
-            
-            row += '</tr>';
-            tableRows += row;
-          });
-          
-          // Linha de totais
-          let totalRow = '<tr class="total-row"><td colspan="2"><strong>TOTAL DE PONTOS</strong></td>';
-          presenters.forEach(p => {
-            totalRow += `<td><strong>${presenterTotals[p.id]} pontos</strong></td>`;
+            return {
+              number: index + 1,
+              teams: `${homeTeam.name} x ${awayTeam.name}`,
+              score: `${match.home_score} x ${match.away_score}`,
+              cells
+            };
           });
-          totalRow += '</tr>';
-          
-          summaryTableHtml = `
-            <div class="summary-table-container">
-              <h3>📊 Resumo da Rodada ${lastRound}</h3>
-              <table class="summary-table">
-                <thead>${tableHeader}</thead>
-                <tbody>${tableRows}${totalRow}</tbody>
-              </table>
-            </div>
-          `;
+          // "Resumo da Rodada N" quando o rótulo é só a rodada; com várias
+          // competições ou em um mata-mata, o rótulo vem após dois-pontos
+          const title = lastRoundGroup.label.startsWith('Rodada ')
+            ? `Resumo da ${lastRoundGroup.label}`
+            : `Resumo: ${lastRoundGroup.label}`;
+          summary = { title, presenters: presenters.map(p => p.name), rows, totals: presenterTotals };
         }
       }
       
-      const nav = buildNavLinks(user);
       const html = renderTemplate('ranking.html', {
-        ranking_cards: cardsHtml,
-        round_selector: selectorHtml,
-        summary_table: summaryTableHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink,
-        chart_data: chartDataStr
+        season_selector: buildSeasonSelector(all, season, '/ranking'),
+        competition_selector: buildCompetitionSelector(seasonData, competition, '/ranking', 'Todas as competições'),
+        cards,
+        round_selector: roundSelector,
+        scoring_description: scoring.describeRules(data.scoringRules),
+        summary,
+        nav: buildNav(user, '/ranking'),
+        chart_data: templates.scriptJson(chartDataObj)
       });
       res.statusCode = 200;
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.end(html);
     })
-    .catch(err => {
-      console.error('Erro ao obter palpites do banco para ranking:', err.message);
-      // Fallback para a implementação anterior usando JSON caso o banco falhe
-      // (O código original foi mantido aqui como fallback)
-      const ranking = [];
-      presenters.forEach(u => {
-        let total = 0;
-        let exactCount = 0;
-        let resultCount = 0;
-        let errorCount = 0;
-        const details = [];
-        data.predictions
-          .filter(p => p.user_id === u.id)
-          .forEach(pred => {
-            const match = data.matches.find(m => m.id === pred.match_id);
-            if (!match || excludedMatchIds.has(match.id)) return;
-            if (selectedRound && match.round !== selectedRound) return;
-            if (match.home_score !== null && match.away_score !== null) {
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-                exactCount += 1;
-              } else if (predSign === realSign) {
-                points = 1;
-                resultCount += 1;
-              } else {
-                errorCount += 1;
-              }
-              total += points;
-              const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-              const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-              details.push({
-                round: match.round,
-                confrontation: `${homeTeam.name} x ${awayTeam.name}`,
-                prediction: `${pred.home_score}-${pred.away_score}`,
-                result: `${match.home_score}-${match.away_score}`,
-                points
-              });
-            }
-          });
-        ranking.push({ user: u, total, exactCount, resultCount, errorCount, details });
-      });
-      ranking.sort((a, b) => b.total - a.total);
-      const allRounds = Array.from(new Set(data.matches.map(m => m.round))).filter(r => {
-        return data.matches.some(m => m.round === r && !excludedMatchIds.has(m.id));
-      }).sort((a, b) => a - b);
-      let selectorHtml = '<form method="get" action="/ranking" class="ranking-select-form">';
-      selectorHtml += '<label for="round-select">Rodada:</label> ';
-      selectorHtml += '<select id="round-select" name="round" onchange="this.form.submit()">';
-      selectorHtml += `<option value=""${selectedRound ? '' : ' selected'}>Geral</option>`;
-      allRounds.forEach(r => {
-        selectorHtml += `<option value="${r}"${selectedRound === r ? ' selected' : ''}>${r}</option>`;
-      });
-      selectorHtml += '</select></form>';
-      let cardsHtml = '';
-      ranking.forEach((entry, idx) => {
-        const u = entry.user;
-        const place = idx + 1;
-        // Mostrar apenas a última rodada com pontuação
-        const lastRound = entry.details.length > 0 ? Math.max(...entry.details.map(d => d.round)) : 0;
-        const lastRoundDetails = entry.details.filter(d => d.round === lastRound);
-        
-        let detailsRows = '';
-        lastRoundDetails.forEach(d => {
-          detailsRows += `<tr><td>${d.confrontation}</td><td>${d.prediction}</td><td>${d.result}</td><td>${d.points}</td></tr>`;
+    .catch(err => sendServerError(res, err));
+}
+
+/**
+ * Página de um apresentador (/ranking/<id>): histórico completo de palpites
+ * por rodada, estatísticas de acerto, melhor e pior rodada e a comparação
+ * com os demais apresentadores em uma rodada (?round=, padrão: a última com
+ * pontos). Aceita os mesmos parâmetros de temporada e competição do ranking.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object|null} user
+ * @param {number} presenterId ID do apresentador
+ */
+function handlePresenterDetail(req, res, user, presenterId) {
+  const parsedUrl = url.parse(req.url, true);
+  store.get()
+    .then(all => {
+      const presenter = all.usersById.get(presenterId);
+      if (!presenter || presenter.isAdmin) {
+        sendNotFound(res, 'Apresentador não encontrado.');
+        return;
+      }
+      const { season, seasonData, competition, data, roundGroups } = resolveRankingScope(all, parsedUrl.query);
+      const presenters = data.users.filter(u => !u.isAdmin);
+      // Pontuação do apresentador em cada rodada com partidas finalizadas
+      const rounds = [];
+      let totalPoints = 0;
+      let exactCount = 0;
+      let resultCount = 0;
+      let errorCount = 0;
+      roundGroups.forEach(group => {
+        const finished = group.matches
+          .filter(matchStatus.isFinished)
+          .sort((a, b) => a.id - b.id);
+        if (finished.length === 0) return;
+        // Rodadas sem nenhum palpite registrado (de qualquer apresentador)
+        // ficam de fora, como no ranking
+        if (!finished.some(m => (data.predictionsByMatch.get(m.id) || []).length > 0)) return;
+        const entries = finished.map(match => {
+          const pred = data.predictionFor(match.id, presenter.id);
+          return { match, pred, score: pred ? scoring.scorePrediction(pred, match, data.scoringRules) : null };
         });
-        const detailsTable = `<table><thead><tr><th>Confronto</th><th>Palpite</th><th>Resultado</th><th>Pts</th></tr></thead><tbody>${detailsRows}</tbody></table>`;
-        
-        // Calcular pontuação da última rodada para ranking geral (fallback)
-        let lastRoundPoints = '';
-        if (!selectedRound) { // Apenas no ranking geral
-          // Encontrar a última rodada com jogos finalizados
-          const lastRound = Math.max(...entry.details.map(d => d.round));
-          const lastRoundDetails = entry.details.filter(d => d.round === lastRound);
-          const lastRoundTotal = lastRoundDetails.reduce((sum, d) => sum + d.points, 0);
-          lastRoundPoints = ` <span class="last-round-points">(+${lastRoundTotal})</span>`;
-        }
-        
-        cardsHtml += `<div class="ranking-card"><div class="card-header" onclick="toggleCard(${u.id})"><span>${idx + 1}º ${u.name}${lastRoundPoints} - ${entry.total} pts</span><span>Exatos: ${entry.exactCount} | Resultados: ${entry.resultCount} | Erros: ${entry.errorCount}</span></div><div id="card-body-${u.id}" class="card-body">${detailsTable}</div></div>`;
+        let points = 0;
+        entries.forEach(e => {
+          if (!e.score) return;
+          points += e.score.points;
+          if (e.score.outcome === 'exact') exactCount += 1;
+          else if (e.score.outcome === 'result') resultCount += 1;
+          else errorCount += 1;
+        });
+        totalPoints += points;
+        rounds.push({ group, entries, points });
       });
-      // ============================================
-      // Construção dos dados para o gráfico na via de fallback
-      // ============================================
-      const allRoundsForChart = Array.from(new Set(data.matches.map(m => m.round))).sort((a, b) => a - b);
-      const cumulativeTotals = {};
-      const series = {};
-      presenters.forEach(p => {
-        cumulativeTotals[p.id] = 0;
-        series[p.name] = [];
+      // Melhor e pior rodada (em caso de empate, a mais antiga)
+      let bestRound = null;
+      let worstRound = null;
+      rounds.forEach(r => {
+        if (!bestRound || r.points > bestRound.points) bestRound = r;
+        if (!worstRound || r.points < worstRound.points) worstRound = r;
       });
-      allRoundsForChart.forEach(r => {
-        const matchesInRound = data.matches.filter(m => m.round === r && !excludedMatchIds.has(m.id));
-        const roundPoints = {};
-        presenters.forEach(p => { roundPoints[p.id] = 0; });
-        matchesInRound.forEach(match => {
-          if (match.home_score !== null && match.away_score !== null) {
-            presenters.forEach(p => {
-              const pred = data.predictions.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-              if (!pred) return;
-              const predSign = resultSign(pred.home_score, pred.away_score);
-              const realSign = resultSign(match.home_score, match.away_score);
-              let points = 0;
-              if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                points = 3;
-              } else if (predSign === realSign) {
-                points = 1;
-              }
-              roundPoints[p.id] += points;
-            });
-          }
-        });
-        presenters.forEach(p => {
-          cumulativeTotals[p.id] += roundPoints[p.id];
-          series[p.name].push(cumulativeTotals[p.id]);
+      const scoredCount = exactCount + resultCount + errorCount;
+      const accuracy = scoredCount > 0
+        ? `${Math.round(((exactCount + resultCount) / scoredCount) * 100)}%`
+        : '-';
+      const average = rounds.length > 0 ? (totalPoints / rounds.length).toFixed(1).replace('.', ',') : '-';
+      const roundSummary = r => (r ? `${r.group.label} (${r.points} pts)` : '-');
+      // Histórico por rodada, da mais recente para a mais antiga
+      const history = rounds.slice().reverse().map((r, idx) => ({
+        key: r.group.key,
+        label: r.group.label,
+        points: r.points,
+        // Apenas a rodada mais recente começa aberta
+        open: idx === 0,
+        matches: r.entries.map((e, index) => {
+          const homeTeam = data.teamsById.get(e.match.home_team_id);
+          const awayTeam = data.teamsById.get(e.match.away_team_id);
+          return {
+            number: index + 1,
+            teams: `${homeTeam.name} x ${awayTeam.name}`,
+            result: `${e.match.home_score} x ${e.match.away_score}`,
+            prediction: e.pred ? `${e.pred.home_score} x ${e.pred.away_score}` : '-',
+            points: e.score ? e.score.points : 0,
+            status_class: e.score ? outcomeClasses[e.score.outcome] : 'points-wrong',
+            status_text: e.score ? outcomeLabels[e.score.outcome] : 'SEM PALPITE'
+          };
+        })
+      }));
+      // Tabela comparativa de uma rodada (?round=) ou da última com pontos.
+      // A coluna do apresentador da página fica destacada (`current`).
+      const comparedRound = rounds.find(r => r.group.key === parsedUrl.query.round) || rounds[rounds.length - 1] || null;
+      const presenterTotals = presenters.map(() => 0);
+      const comparisonRows = (comparedRound ? comparedRound.entries : []).map((e, index) => {
+        const match = e.match;
+        const homeTeam = data.teamsById.get(match.home_team_id);
+        const awayTeam = data.teamsById.get(match.away_team_id);
+        const cells = presenters.map((p, i) => {
+          const pred = data.predictionFor(match.id, p.id);
+          const score = pred ? scoring.scorePrediction(pred, match, data.scoringRules) : null;
+          const current = p.id === presenter.id;
+          if (!score) return { current, scored: false };
+          presenterTotals[i] += score.points;
+          return {
+            current,
+            scored: true,
+            prediction: `${pred.home_score}x${pred.away_score}`,
+            points: score.points,
+            outcome_class: outcomeClasses[score.outcome]
+          };
         });
+        return {
+          number: index + 1,
+          teams: `${homeTeam.name} x ${awayTeam.name}`,
+          score: `${match.home_score} x ${match.away_score}`,
+          cells
+        };
       });
-      const chartDataObj = { rounds: allRoundsForChart, series: series };
-      const chartDataStr = JSON.stringify(chartDataObj);
-      
-      // Gerar tabela resumo da última rodada apenas no ranking geral
-      let summaryTableHtml = '';
-      if (!selectedRound) {
-        // Encontrar a última rodada com resultados
-        const lastRound = Math.max(...ranking.map(entry => 
-          entry.details.length > 0 ? Math.max(...entry.details.map(d => d.round)) : 0
-        ));
-        
-        // Obter partidas da última rodada
-        const lastRoundMatches = data.matches
-          .filter(m => m.round === lastRound && !excludedMatchIds.has(m.id))
-          .sort((a, b) => a.id - b.id);
-        
-        if (lastRoundMatches.length > 0) {
-          // Cabeçalho da tabela
-          let tableHeader = '<tr><th>Jogo</th><th>Resultado</th>';
-          presenters.forEach(p => {
-            tableHeader += `<th>${p.name}</th>`;
-          });
-          tableHeader += '</tr>';
-          
-          // Linhas da tabela
-          let tableRows = '';
-          let presenterTotals = {};
-          presenters.forEach(p => { presenterTotals[p.id] = 0; });
-          
-          lastRoundMatches.forEach((match, index) => {
-            const homeTeam = data.teams.find(t => t.id === match.home_team_id);
-            const awayTeam = data.teams.find(t => t.id === match.away_team_id);
-            
-            let row = `<tr><td><strong>Jogo ${index + 1}</strong><br><span class="team-names">${homeTeam.name} x ${awayTeam.name}</span></td>`;
-            row += `<td><strong>${match.home_score} x ${match.away_score}</strong></td>`;
-            
-            presenters.forEach(p => {
-              const pred = predsFromDB.find(pr => pr.match_id === match.id && pr.user_id === p.id);
-              if (pred) {
-                const predSign = resultSign(pred.home_score, pred.away_score);
-                const realSign = resultSign(match.home_score, match.away_score);
-                let points = 0;
-                if (pred.home_score === match.home_score && pred.away_score === match.away_score) {
-                  points = 3;
-                } else if (predSign === realSign) {
-                  points = 1;
-                }
-                presenterTotals[p.id] += points;
-                
-                const statusClass = points === 3 ? 'points-exact' : points === 1 ? 'points-result' : 'points-wrong';
-                row += `<td><strong>${pred.home_score}x${pred.away_score}</strong><br><span class="${statusClass}">${points} pts</span></td>`;
-              } else {
-                row += '<td>-</td>';
-              }
-            });
-            
-            row += '</tr>';
-            tableRows += row;
-          });
-          
-          // Linha de totais
-          let totalRow = '<tr class="total-row"><td colspan="2"><strong>TOTAL DE PONTOS</strong></td>';
-          presenters.forEach(p => {
-            totalRow += `<td><strong>${presenterTotals[p.id]} pontos</strong></td>`;
-          });
-          totalRow += '</tr>';
-          
-          summaryTableHtml = `
-            <div class="summary-table-container">
-              <h3>📊 Resumo da Rodada ${lastRound}</h3>
-              <table class="summary-table">
-                <thead>${tableHeader}</thead>
-                <tbody>${tableRows}${totalRow}</tbody>
-              </table>
-            </div>
-          `;
-        }
-      }
-      
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('ranking.html', {
-        ranking_cards: cardsHtml,
-        round_selector: selectorHtml,
-        summary_table: summaryTableHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink,
-        chart_data: chartDataStr
+      // Seletor da rodada comparada
+      const scopeQuery = rankingScopeQuery(season, competition);
+      const roundSelector = rounds.length === 0 ? null : {
+        action: `/ranking/${presenter.id}`,
+        season_id: season.id,
+        competition_id: competition ? competition.id : null,
+        options: rounds.map(r => ({ value: r.group.key, label: r.group.label, selected: r === comparedRound }))
+      };
+      const html = renderTemplate('presenter_detail.html', {
+        presenter_name: presenter.name,
+        scope_name: competition ? `${competition.name} ${season.year}` : season.name,
+        back_link: `/ranking${scopeQuery}`,
+        season_selector: buildSeasonSelector(all, season, `/ranking/${presenter.id}`),
+        competition_selector: buildCompetitionSelector(seasonData, competition, `/ranking/${presenter.id}`, 'Todas as competições'),
+        total_points: totalPoints,
+        exact_count: exactCount,
+        result_count: resultCount,
+        error_count: errorCount,
+        accuracy,
+        average_points: average,
+        best_round: roundSummary(bestRound),
+        worst_round: roundSummary(worstRound),
+        history,
+        round_selector: roundSelector,
+        round_name: comparedRound ? comparedRound.group.label : '-',
+        presenters: presenters.map(p => ({ name: p.name, current: p.id === presenter.id })),
+        comparison_rows: comparisonRows,
+        totals: presenters.map((p, i) => ({ current: p.id === presenter.id, points: presenterTotals[i] })),
+        nav: buildNav(user, '/ranking')
       });
       res.statusCode = 200;
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.end(html);
-    });
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Etiqueta com a situação da partida, exceto para as agendadas e encerradas
+// (null). As anuladas trazem também o motivo.
+function statusNote(match) {
+  if (match.status === 'scheduled' || match.status === 'finished') return null;
+  return {
+    status: match.status,
+    label: matchStatus.STATUS_LABELS[match.status],
+    reason: matchStatus.isAnnulled(match) ? match.annulled_reason : null
+  };
 }
 
 function handleResultados(req, res, user) {
-  const data = loadData();
-  // Agrupa partidas por rodada, incluindo jogos sem placar definido. Isso
-  // garante que partidas pendentes de resultado também sejam exibidas.
-  const rounds = {};
-  data.matches.forEach(match => {
-    if (!rounds[match.round]) rounds[match.round] = [];
-    rounds[match.round].push(match);
-  });
-  const sortedRounds = Object.keys(rounds)
-    .map(r => parseInt(r))
-    .sort((a, b) => b - a);
-  // Busca todos os palpites do banco
-  dbAccess
-    .getPredictions()
-    .then(predsFromDB => {
-      let sectionsHtml = '';
-      sortedRounds.forEach(r => {
-        const matchesInRound = rounds[r];
-        const presenters = data.users.filter(u => !u.isAdmin);
-        let tableHead =
-          '<tr><th>Confronto</th><th>Placar</th>';
-        presenters.forEach(p => {
-          tableHead += `<th>${p.name}</th>`;
-        });
-        tableHead += '</tr>';
-        let tableRows = '';
-        matchesInRound.forEach(match => {
-          const homeTeam = data.teams.find(
-            t => t.id === match.home_team_id
-          );
-          const awayTeam = data.teams.find(
-            t => t.id === match.away_team_id
-          );
-          // Representa as equipes com pontos coloridos nas linhas de resultados
-          const homeDot = getTeamDot(homeTeam, true);
-          const awayDot = getTeamDot(awayTeam, true);
+  const parsedUrl = url.parse(req.url, true);
+  // Busca partidas, apresentadores e todos os palpites da temporada
+  store.get()
+    .then(all => {
+      const season = resolveSeason(all, parsedUrl.query.temporada);
+      const seasonData = all.forSeason(season.id);
+      // Resultados de uma competição (?competicao=<id>) ou de todas juntas
+      const competition = parsedUrl.query.competicao
+        ? seasonData.competitionsById.get(parseInt(parsedUrl.query.competicao, 10)) || null
+        : null;
+      const data = competition ? seasonData.forCompetition(competition.id) : seasonData;
+      // Agrupa partidas por rodada, incluindo jogos sem placar definido. Isso
+      // garante que partidas pendentes de resultado também sejam exibidas.
+      // As rodadas mais recentes aparecem primeiro.
+      const roundGroups = groupMatchesByRound(getReleasedMatches(data.matches), all.competitionsById).reverse();
+      const presenters = data.users.filter(u => !u.isAdmin);
+      const rounds = roundGroups.map(group => ({
+        key: group.key,
+        label: group.label,
+        matches: group.matches.map(match => {
+          const homeTeam = data.teamsById.get(match.home_team_id);
+          const awayTeam = data.teamsById.get(match.away_team_id);
           // Exibe o placar se houver resultado; caso contrário, mostra hífen
-          const scoreDisplay =
+          let score =
             match.home_score !== null && match.away_score !== null
               ? `${match.home_score}-${match.away_score}`
               : '-';
-          let row = `<tr><td>${homeDot} ${homeTeam.name} x ${awayDot} ${awayTeam.name}</td><td>${scoreDisplay}</td>`;
-          presenters.forEach(p => {
-            const pred = predsFromDB.find(
-              pr => pr.match_id === match.id && pr.user_id === p.id
-            );
-            if (pred) {
-              if (
-                match.home_score !== null &&
-                match.away_score !== null
-              ) {
-                // Partida finalizada: calcula pontos
-                const predSign = resultSign(
-                  pred.home_score,
-                  pred.away_score
-                );
-                const realSign = resultSign(
-                  match.home_score,
-                  match.away_score
-                );
-                let pts = 0;
-                if (
-                  pred.home_score === match.home_score &&
-                  pred.away_score === match.away_score
-                )
-                  pts = 3;
-                else if (predSign === realSign) pts = 1;
-                row += `<td>${pred.home_score}-${pred.away_score} (${pts})</td>`;
-              } else {
-                // Partida ainda sem placar: mostra apenas o palpite
-                row += `<td>${pred.home_score}-${pred.away_score}</td>`;
-              }
-            } else {
-              row += `<td>-</td>`;
-            }
+          if (match.home_penalties !== null && match.away_penalties !== null) {
+            score += ` (${match.home_penalties}-${match.away_penalties} pên.)`;
+          }
+          // Palpite de cada apresentador; nas partidas encerradas, com os
+          // pontos obtidos
+          const predictions = presenters.map(p => {
+            const pred = data.predictionFor(match.id, p.id);
+            if (!pred) return '-';
+            const points = scoring.scorePrediction(pred, match, data.scoringRules);
+            const guess = `${pred.home_score}-${pred.away_score}`;
+            return points ? `${guess} (${points.points})` : guess;
           });
-          row += '</tr>';
-          tableRows += row;
-        });
-        sectionsHtml += `<div class="round-section"><h3 onclick="toggleRound(${r})">Rodada ${r}</h3><div id="round-body-${r}" style="display:none"><table>${tableHead}${tableRows}</table></div></div>`;
-      });
-      const nav = buildNavLinks(user);
+          return {
+            home_name: homeTeam.name,
+            home_logo: teamLogo(homeTeam, true),
+            away_name: awayTeam.name,
+            away_logo: teamLogo(awayTeam, true),
+            // Nos mata-matas, indica se é o jogo de ida ou de volta
+            leg: match.leg ? (match.leg === 1 ? 'ida' : 'volta') : null,
+            // Partidas em andamento, adiadas e anuladas (que ficam no
+            // histórico, mas não pontuam) trazem a situação ao lado do confronto
+            status_note: statusNote(match),
+            score,
+            predictions
+          };
+        })
+      }));
       const html = renderTemplate('resultados.html', {
-        round_sections: sectionsHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
+        season_selector: buildSeasonSelector(all, season, '/resultados'),
+        competition_selector: buildCompetitionSelector(seasonData, competition, '/resultados', 'Todas as competições'),
+        presenters: presenters.map(p => p.name),
+        rounds,
+        nav: buildNav(user, '/resultados')
       });
       res.statusCode = 200;
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.end(html);
     })
-    .catch(err => {
-      console.error(
-        'Erro ao obter palpites do banco para resultados:',
-        err.message
-      );
-      // Fallback para implementação antiga usando JSON
-      let sectionsHtml = '';
-      sortedRounds.forEach(r => {
-        const matchesInRound = rounds[r];
-        const presenters = data.users.filter(u => !u.isAdmin);
-        let tableHead =
-          '<tr><th>Confronto</th><th>Placar</th>';
-        presenters.forEach(p => {
-          tableHead += `<th>${p.name}</th>`;
-        });
-        tableHead += '</tr>';
-        let tableRows = '';
-        matchesInRound.forEach(match => {
-          const homeTeam = data.teams.find(
-            t => t.id === match.home_team_id
-          );
-          const awayTeam = data.teams.find(
-            t => t.id === match.away_team_id
-          );
-          // Representa as equipes com pontos coloridos nas linhas de resultados (fallback)
-          const homeDot = getTeamDot(homeTeam, true);
-          const awayDot = getTeamDot(awayTeam, true);
-          // Exibe placar ou hífen
-          const scoreDisplay =
-            match.home_score !== null && match.away_score !== null
-              ? `${match.home_score}-${match.away_score}`
-              : '-';
-          let row = `<tr><td>${homeDot} ${homeTeam.name} x ${awayDot} ${awayTeam.name}</td><td>${scoreDisplay}</td>`;
-          presenters.forEach(p => {
-            const pred = data.predictions.find(
-              pr => pr.match_id === match.id && pr.user_id === p.id
-            );
-            if (pred) {
-              if (
-                match.home_score !== null &&
-                match.away_score !== null
-              ) {
-                // Calcula pontos quando há placar
-                const predSign = resultSign(
-                  pred.home_score,
-                  pred.away_score
-                );
-                const realSign = resultSign(
-                  match.home_score,
-                  match.away_score
-                );
-                let pts = 0;
-                if (
-                  pred.home_score === match.home_score &&
-                  pred.away_score === match.away_score
-                )
-                  pts = 3;
-                else if (predSign === realSign) pts = 1;
-                row += `<td>${pred.home_score}-${pred.away_score} (${pts})</td>`;
-              } else {
-                // Mostra palpite sem pontuação quando não há placar
-                row += `<td>${pred.home_score}-${pred.away_score}</td>`;
-              }
-            } else {
-              row += `<td>-</td>`;
-            }
-          });
-          row += '</tr>';
-          tableRows += row;
-        });
-        sectionsHtml += `<div class="round-section"><h3 onclick="toggleRound(${r})">Rodada ${r}</h3><div id="round-body-${r}" style="display:none"><table>${tableHead}${tableRows}</table></div></div>`;
-      });
-      const nav = buildNavLinks(user);
-      const html = renderTemplate('resultados.html', {
-        round_sections: sectionsHtml,
-        admin_link: nav.adminLink,
-        auth_link: nav.authLink
-      });
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.end(html);
-    });
+    .catch(err => sendServerError(res, err));
 }
 
 /**
- * Página de simulação das últimas 6 rodadas. Esta rota exibe um formulário
- * com todas as partidas restantes do campeonato (rodadas 33 a 38) e permite
- * que o usuário preencha placares hipotéticos. A partir desses placares,
- * é possível calcular uma classificação final projetada sem alterar os
- * dados oficiais armazenados. A classificação base utilizada é lida a
- * partir do arquivo `classification.json` e é combinada com os resultados
+ * Página de simulação das rodadas finais. Esta rota exibe um formulário
+ * com as partidas restantes das últimas rodadas da temporada em andamento
+ * e permite que o usuário preencha placares hipotéticos. A partir desses
+ * placares, é possível calcular uma classificação final projetada sem
+ * alterar os dados oficiais armazenados. A classificação base utilizada é
+ * lida a partir da tabela `classification` e é combinada com os resultados
  * fornecidos pelo usuário em tempo de execução via JavaScript no cliente.
  *
  * @param {http.IncomingMessage} req
@@ -1688,441 +1812,2201 @@ function handleResultados(req, res, user) {
  * @param {Object|null} user
  */
 function handleSimulacao(req, res, user) {
-  const data = loadData();
-  // Construir navegação condicional para admin/login
-  const nav = buildNavLinks(user);
-  // Classificação base (até a última rodada disputada). Utilizamos uma cópia
-  // do arquivo `classification.json` que já reflete a classificação oficial
-  // do campeonato. O arquivo é atualizado via Admin quando resultados
-  // são registrados, portanto ele inclui as partidas finalizadas. Não
-  // recalculamos diretamente a partir de matches.json para evitar
-  // truncar as rodadas anteriores (matches.json pode não conter todas as
-  // rodadas). Ao clonar, preservamos a classificação como base para
-  // adicionar os placares simulados.
-  const baseClassification = data.classification.slice();
-  // Definição das partidas das rodadas 33 a 38. Cada entrada contém a
-  // rodada, a equipe mandante (home) e a visitante (away) identificadas
-  // pelo ID conforme o cadastro em teams.json. A ordem dos confrontos é
-  // relevante apenas para indexar os inputs gerados no front-end.
-  // Definição das partidas das rodadas 33 a 38. Utilizamos essa lista
-  // como base, mas filtraremos partidas que já tiveram placar definido
-  // no banco de dados. Quando um jogo já tem um resultado computado via
-  // admin (home_score e away_score diferentes de null em matches.json),
-  // ele não aparece na simulação, garantindo que o usuário só possa
-  // simular rodadas pendentes.
-  const fullSchedule = [
-    // Rodada 33
-    { round: 33, home: 20, away: 3 },  // Amazonas x Novorizontino
-    { round: 33, home: 14, away: 6 },  // Atlético-GO x Vila Nova
-    { round: 33, home: 15, away: 13 }, // América-MG x CRB
-    { round: 33, home: 7,  away: 11 }, // Remo x Athletic Club
-    { round: 33, home: 8,  away: 10 }, // Avaí x Criciúma
-    { round: 33, home: 12, away: 18 }, // Operário x Volta Redonda
-    { round: 33, home: 19, away: 5 },  // Botafogo-SP x Cuiabá
-    { round: 33, home: 2,  away: 9 },  // Coritiba x Athletico-PR
-    { round: 33, home: 1,  away: 4 },  // Goiás x Chapecoense
-    { round: 33, home: 17, away: 16 }, // Ferroviária x Paysandu
-    // Rodada 34
-    { round: 34, home: 3,  away: 19 }, // Novorizontino x Botafogo-SP
-    { round: 34, home: 5,  away: 7 },  // Cuiabá x Remo
-    { round: 34, home: 11, away: 15 }, // Athletic Club x América-MG
-    { round: 34, home: 18, away: 2 },  // Volta Redonda x Coritiba
-    { round: 34, home: 16, away: 8 },  // Paysandu x Avaí
-    { round: 34, home: 10, away: 1 },  // Criciúma x Goiás
-    { round: 34, home: 13, away: 14 }, // CRB x Atlético-GO
-    { round: 34, home: 6,  away: 17 }, // Vila Nova x Ferroviária
-    { round: 34, home: 4,  away: 12 }, // Chapecoense x Operário
-    { round: 34, home: 9,  away: 20 }, // Athletico-PR x Amazonas
-    // Rodada 35
-    { round: 35, home: 14, away: 16 }, // Atlético-GO x Paysandu
-    { round: 35, home: 2,  away: 13 }, // Coritiba x CRB
-    { round: 35, home: 17, away: 10 }, // Ferroviária x Criciúma
-    { round: 35, home: 1,  away: 9 },  // Goiás x Athletico-PR
-    { round: 35, home: 8,  away: 11 }, // Avaí x Athletic Club
-    { round: 35, home: 20, away: 5 },  // Amazonas x Cuiabá
-    { round: 35, home: 7,  away: 4 },  // Remo x Chapecoense
-    { round: 35, home: 12, away: 6 },  // Operário x Vila Nova
-    { round: 35, home: 15, away: 3 },  // América-MG x Novorizontino
-    { round: 35, home: 18, away: 19 }, // Volta Redonda x Botafogo-SP
-    // Rodada 36
-    { round: 36, home: 11, away: 17 }, // Athletic Club x Ferroviária
-    { round: 36, home: 5,  away: 1 },  // Cuiabá x Goiás
-    { round: 36, home: 3,  away: 7 },  // Novorizontino x Remo
-    { round: 36, home: 9,  away: 18 }, // Athletico-PR x Volta Redonda
-    { round: 36, home: 6,  away: 8 },  // Vila Nova x Avaí
-    { round: 36, home: 10, away: 14 }, // Criciúma x Atlético-GO
-    { round: 36, home: 13, away: 12 }, // CRB x Operário
-    { round: 36, home: 16, away: 2 },  // Paysandu x Coritiba
-    { round: 36, home: 4,  away: 15 }, // Chapecoense x América-MG
-    { round: 36, home: 19, away: 20 }, // Botafogo-SP x Amazonas
-    // Rodada 37
-    { round: 37, home: 15, away: 5 },  // América-MG x Cuiabá
-    { round: 37, home: 14, away: 12 }, // Atlético-GO x Operário
-    { round: 37, home: 8,  away: 7 },  // Avaí x Remo
-    { round: 37, home: 2,  away: 11 }, // Coritiba x Athletic Club
-    { round: 37, home: 13, away: 6 },  // CRB x Vila Nova
-    { round: 37, home: 10, away: 19 }, // Criciúma x Botafogo-SP
-    { round: 37, home: 17, away: 9 },  // Ferroviária x Athletico-PR
-    { round: 37, home: 1,  away: 3 },  // Goiás x Novorizontino
-    { round: 37, home: 16, away: 20 }, // Paysandu x Amazonas
-    { round: 37, home: 18, away: 4 },  // Volta Redonda x Chapecoense
-    // Rodada 38
-    { round: 38, home: 20, away: 2 },  // Amazonas x Coritiba
-    { round: 38, home: 11, away: 16 }, // Athletic Club x Paysandu
-    { round: 38, home: 9,  away: 15 }, // Athletico-PR x América-MG
-    { round: 38, home: 19, away: 8 },  // Botafogo-SP x Avaí
-    { round: 38, home: 4,  away: 14 }, // Chapecoense x Atlético-GO
-    { round: 38, home: 5,  away: 10 }, // Cuiabá x Criciúma
-    { round: 38, home: 3,  away: 13 }, // Novorizontino x CRB
-    { round: 38, home: 12, away: 17 }, // Operário x Ferroviária
-    { round: 38, home: 7,  away: 1 },  // Remo x Goiás
-    { round: 38, home: 6,  away: 18 }  // Vila Nova x Volta Redonda
-  ];
-
-  // Filtro para mostrar apenas jogos de times selecionados na aba de "Simulação". Somente
-  // confrontos envolvendo esses IDs de equipes serão exibidos ao usuário. Esta lista
-  // representa os IDs de Coritiba (2), Athletico‑PR (9), Remo (7), Chapecoense (4),
-  // Criciúma (10), Goiás (1) e Novorizontino (3) conforme cadastrados em teams.json.
-  const interestedTeams = new Set([2, 9, 7, 4, 10, 1, 3]);
-
-  // Carrega partidas existentes para detectar quais jogos já foram disputados.
-  // Consideramos um jogo disputado quando ambos os placares não são nulos.
-  const existingMatches = data.matches;
-
-  // Filtra a lista completa, removendo confrontos que já têm placares
-  // registrados no banco (matches.json). A correspondência é feita por
-  // rodada, time mandante e visitante. Se houver um match com esses
-  // atributos e scores definidos, o confronto não deve aparecer na
-  // simulação.
-  const schedule = fullSchedule.filter(item => {
-    // Removemos as rodadas anteriores a 37 para mostrar apenas as duas últimas rodadas (37 e 38).
-    if (item.round < 37) {
-      return false;
-    }
-    // Se a partida não envolve nenhum dos times de interesse, ela é descartada para a simulação.
-    if (!interestedTeams.has(item.home) && !interestedTeams.has(item.away)) {
-      return false;
-    }
-    const found = existingMatches.find(m => {
-      return m.round === item.round && m.home_team_id === item.home && m.away_team_id === item.away;
-    });
-    if (!found) return true; // jogo ainda não cadastrado, então pode ser simulado
-    return found.home_score === null || found.away_score === null;
-  });
-  // Serializa dados para injeção no front-end. Utilizamos JSON.stringify
-  // para gerar strings válidas de JavaScript. Não removemos espaços ou
-  // quebras de linha para melhor legibilidade.
-  const scheduleJS = JSON.stringify(schedule);
-  const classificationJS = JSON.stringify(baseClassification);
-  const teamsJS = JSON.stringify(data.teams);
-  const html = renderTemplate('simulacao.html', {
-    schedule_js: scheduleJS,
-    classification_js: classificationJS,
-    teams_js: teamsJS,
-    admin_link: nav.adminLink,
-    auth_link: nav.authLink
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
+  store.get()
+    .then(all => {
+      // A simulação só faz sentido para a temporada em andamento; sem ela,
+      // usa a temporada mais recente (que normalmente já está encerrada).
+      // Simulamos a tabela da primeira competição de pontos corridos da
+      // temporada; mata-matas não têm classificação.
+      const season = all.activeSeason || all.seasons[0];
+      const seasonData = all.forSeason(season.id);
+      const competition = seasonData.competitions.find(c => c.format === 'league');
+      const data = competition
+        ? seasonData.forCompetition(competition.id)
+        : { ...seasonData, classification: [], matches: [], tiebreakers: tiebreakers.DEFAULT_CHAIN, teamStats: {} };
+      // Classificação base (até a última rodada disputada). Utilizamos uma cópia
+      // da tabela `classification` que já reflete a classificação oficial
+      // do campeonato. A tabela é atualizada via Admin quando resultados
+      // são registrados, portanto ela inclui as partidas finalizadas. Não
+      // recalculamos diretamente a partir das partidas para evitar
+      // truncar as rodadas anteriores (o banco pode não conter todas as
+      // rodadas). Ao clonar, preservamos a classificação como base para
+      // adicionar os placares simulados.
+      const baseClassification = data.classification.slice();
+
+      // Somente confrontos envolvendo os times que brigam pelo acesso são
+      // exibidos ao usuário: os SIMULATION_CONTENDERS primeiros colocados da
+      // classificação atual.
+      const interestedTeams = new Set(
+        rankClassification(data.classification, data).sorted
+          .slice(0, SIMULATION_CONTENDERS)
+          .map(entry => entry.team_id)
+      );
+
+      // Partidas das últimas SIMULATION_ROUNDS rodadas da temporada que ainda
+      // não têm placar. Quando um jogo já tem um resultado computado via
+      // admin (home_score e away_score diferentes de null no banco), ele não
+      // aparece na simulação, garantindo que o usuário só possa simular
+      // partidas pendentes. Cada entrada contém a rodada, a equipe mandante
+      // (home) e a visitante (away) identificadas pelo ID do cadastro de
+      // times; a ordem é relevante apenas para indexar os inputs do front-end.
+      const lastRound = data.matches.reduce((max, m) => Math.max(max, m.round), 0);
+      const schedule = data.matches
+        .filter(m => m.round > lastRound - SIMULATION_ROUNDS)
+        .filter(m => interestedTeams.has(m.home_team_id) || interestedTeams.has(m.away_team_id))
+        .filter(matchStatus.isUnplayed)
+        .map(m => ({ round: m.round, home: m.home_team_id, away: m.away_team_id }));
+      // Serializa dados para injeção no front-end. templates.scriptJson gera
+      // JavaScript válido e escapa `<`, `>` e `&`, para que um nome de time
+      // não consiga fechar a tag <script>.
+      const scheduleJS = templates.scriptJson(schedule);
+      const classificationJS = templates.scriptJson(baseClassification);
+      const teamsJS = templates.scriptJson(data.teams);
+      // A tabela simulada é ordenada no navegador por static/tiebreakers.js,
+      // com os mesmos critérios e dados usados na tabela oficial
+      const tiebreakJS = templates.scriptJson({
+        chain: data.tiebreakers,
+        teamStats: data.teamStats,
+        matches: data.matches
+          .filter(matchStatus.countsForTable)
+          .map(m => ({
+            home_team_id: m.home_team_id,
+            away_team_id: m.away_team_id,
+            home_score: m.home_score,
+            away_score: m.away_score
+          }))
+      });
+      const html = renderTemplate('simulacao.html', {
+        schedule_js: scheduleJS,
+        classification_js: classificationJS,
+        teams_js: teamsJS,
+        tiebreak_js: tiebreakJS,
+        nav: buildNav(user, '/simulacao')
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
 }
 
-function handleArtilharia(req, res, user) {
-  const data = loadData();
-  // Sort scorers by goals desc
-  const sorted = [...data.scorers].sort((a, b) => {
+// Ícones da artilharia: troféu para o artilheiro, medalha até o 3º lugar
+// e estrela até o 10º
+const scorerIcons = [
+  { upTo: 1, name: 'trophy', color: '#fbc02d' },
+  { upTo: 3, name: 'medal', color: '#b0bec5' },
+  { upTo: 10, name: 'star', color: '#ffa000' }
+];
+
+// Artilheiros do que tem mais gols para o que tem menos (empates em
+// ordem alfabética), sem alterar a lista original
+function sortScorers(scorers) {
+  return [...scorers].sort((a, b) => {
     if (b.goals !== a.goals) return b.goals - a.goals;
     return a.player.localeCompare(b.player);
   });
-  let rows = '';
-  sorted.forEach((s, idx) => {
-    const team = data.teams.find(t => t.id === s.team_id);
-    // Determine icon
-    let icon = '';
-    const rank = idx + 1;
-    if (rank === 1) icon = '<i class="fa-solid fa-trophy" style="color:#fbc02d;"></i>';
-    else if (rank <= 3) icon = '<i class="fa-solid fa-medal" style="color:#b0bec5;"></i>';
-    else if (rank <= 10) icon = '<i class="fa-solid fa-star" style="color:#ffa000;"></i>';
-    // Representa o time com um ponto colorido seguido do nome
-    const teamDot = getTeamDot(team, true);
-    rows += `<tr><td>${rank}</td><td>${s.player}</td><td>${teamDot} ${team.name}</td><td>${s.goals}</td><td>${icon}</td></tr>`;
-  });
-  const nav = buildNavLinks(user);
-  const html = renderTemplate('artilharia.html', {
-    scorers_rows: rows,
-    admin_link: nav.adminLink,
-    auth_link: nav.authLink
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
 }
 
-function handleAdminGet(req, res, user) {
-  const data = loadData();
-  // Build match rows for editing (show all matches)
-  let matchRows = '';
-  data.matches.forEach(match => {
-    const home = data.teams.find(t => t.id === match.home_team_id);
-    const away = data.teams.find(t => t.id === match.away_team_id);
-    const hVal = match.home_score !== null ? match.home_score : '';
-    const aVal = match.away_score !== null ? match.away_score : '';
-    matchRows += `<tr><td>${home.name} x ${away.name} (Rod. ${match.round})</td><td>${match.date}</td>`+
-                 `<td><input type="number" name="home_${match.id}" value="${hVal}" min="0"></td>`+
-                 `<td><input type="number" name="away_${match.id}" value="${aVal}" min="0"></td></tr>`;
-  });
-  // A tabela de classificação deixou de ser editável via Admin. Por isso não
-  // construímos linhas de edição para ela. A classificação é calculada
-  // automaticamente a partir dos resultados das partidas.
-  const classRows = '';
-  // Build scorer rows for editing. Each row allows editing the player's name,
-  // selecting a team from a dropdown and changing the number of goals. The
-  // index `idx` is preserved so the server can correlate form fields back
-  // to the correct entry in the scorers array.
-  let scorerRows = '';
-  data.scorers.forEach((s, idx) => {
-    const currentTeam = data.teams.find(t => t.id === s.team_id);
-    // Build select options for each team
-    let options = '';
-    data.teams.forEach(team => {
-      const selected = team.id === s.team_id ? ' selected' : '';
-      options += `<option value="${team.id}"${selected}>${team.name}</option>`;
-    });
-    const select = `<select name="team_${idx}">${options}</select>`;
-    scorerRows += `<tr>`+
-                 `<td><input type="text" name="player_${idx}" value="${s.player}" required></td>`+
-                 `<td>${select}</td>`+
-                 `<td><input type="number" name="goals_${idx}" value="${s.goals}" min="0" required></td>`+
-                 `</tr>`;
-  });
-  const html = renderTemplate('admin.html', {
-    match_rows: matchRows,
-    class_rows: classRows,
-    scorer_rows: scorerRows,
-    user_name: user.name
-  });
-  res.statusCode = 200;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(html);
+function handleArtilharia(req, res, user) {
+  const parsedUrl = url.parse(req.url, true);
+  store.get()
+    .then(all => {
+      const season = resolveSeason(all, parsedUrl.query.temporada);
+      const seasonData = all.forSeason(season.id);
+      const competition = resolveCompetition(seasonData, parsedUrl.query.competicao);
+      const data = competition ? seasonData.forCompetition(competition.id) : { ...seasonData, scorers: [] };
+      const scorers = sortScorers(data.scorers).map((s, idx) => {
+        const team = data.teamsById.get(s.team_id);
+        const rank = idx + 1;
+        return {
+          rank,
+          player: s.player,
+          // Representa o time com o escudo seguido do nome
+          team_name: team.name,
+          team_logo: teamLogo(team, true),
+          goals: s.goals,
+          icon: scorerIcons.find(icon => rank <= icon.upTo) || null
+        };
+      });
+      const html = renderTemplate('artilharia.html', {
+        competition_title: competition ? `${competition.name} ${season.year}` : season.name,
+        season_selector: buildSeasonSelector(all, season, '/artilharia'),
+        competition_selector: competition ? buildCompetitionSelector(seasonData, competition, '/artilharia') : null,
+        scorers,
+        nav: buildNav(user, '/artilharia')
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
 }
 
-function handleAdminUpdateMatches(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    // Faz uma cópia profunda das partidas antes de aplicar as alterações para
-    // determinar as diferenças de placar posteriormente
-    const oldMatches = JSON.parse(JSON.stringify(dataStore.matches));
-    dataStore.matches.forEach(match => {
-      const homeKey = `home_${match.id}`;
-      const awayKey = `away_${match.id}`;
-      const hVal = form[homeKey];
-      const aVal = form[awayKey];
-      if (hVal !== undefined && aVal !== undefined) {
-        match.home_score = hVal !== '' ? parseInt(hVal) : null;
-        match.away_score = aVal !== '' ? parseInt(aVal) : null;
-      }
-    });
-    // Persiste os placares atualizados
-    writeJSON('matches.json', dataStore.matches);
-    // Atualiza a classificação incrementalmente apenas para os jogos cujo placar mudou.
-    const updatedClassification = updateClassificationFromMatchChanges(
-      dataStore.classification,
-      oldMatches,
-      dataStore.matches
-    );
-    // Opcional: ordenar a classificação atualizada pelos critérios usuais
-    updatedClassification.sort((a, b) => {
-      if (b.points !== a.points) return b.points - a.points;
-      if (b.wins !== a.wins) return b.wins - a.wins;
-      if (b.goal_diff !== a.goal_diff) return b.goal_diff - a.goal_diff;
-      if (b.goals_for !== a.goals_for) return b.goals_for - a.goals_for;
-      // Sem acesso ao array de equipes aqui, pode-se manter a ordem atual como último critério
-      return 0;
-    });
-    writeJSON('classification.json', updatedClassification);
-    // Após atualizar a classificação, verifique se a rodada atual foi concluída.
-    // Caso afirmativo, insere automaticamente a próxima rodada (rodadas 34+),
-    // conforme definido no array `upcomingRoundsSchedule`. Isso permite que
-    // novos confrontos apareçam em Palpites e Ranking sem intervenção manual.
-    try {
-      maybeInsertNextRound(dataStore);
-    } catch (e) {
-      console.error('Erro ao tentar inserir próxima rodada:', e);
-    }
-    sendRedirect(res, '/admin');
-  });
+function handleAdminGet(req, res, user) {
+  const parsedUrl = url.parse(req.url, true);
+  renderAdminPage(res, user, '', parsedUrl.query.competicao);
 }
 
-function handleAdminUpdateClassification(req, res, user) {
-  // Neste projeto a classificação é recalculada automaticamente a partir
-  // dos resultados das partidas. Portanto, quaisquer valores enviados
-  // pelo formulário de edição são ignorados. Ao receber esta requisição
-  // (que ocorre quando o administrador clica em "Salvar Classificação"),
-  // simplesmente recalcule a classificação com base nos placares atuais
-  // e persista o arquivo correspondente. Isso garante que a tabela
-  // apresentada no portal esteja sempre alinhada com os resultados.
-  // Se no futuro for necessário ajustar critérios de desempate, basta
-  // alterar a função computeClassification.
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const updatedClassification = computeClassification(dataStore.teams, dataStore.matches);
-    writeJSON('classification.json', updatedClassification);
-    sendRedirect(res, '/admin');
+// Rótulos dos formatos de competição
+const competitionFormats = {
+  league: 'Pontos corridos',
+  knockout: 'Mata-mata'
+};
+
+/**
+ * Monta a página de administração com os dados atuais do banco. Quando
+ * `errorMessage` é informado, a mensagem é exibida no topo da página e a
+ * resposta usa o status 409, indicando que a gravação foi recusada.
+ *
+ * @param {http.ServerResponse} res
+ * @param {Object} user Usuário administrador logado
+ * @param {string} errorMessage Mensagem de erro (vazia quando não houver)
+ * @param {string} [competitionParam] Competição da artilharia (?competicao=)
+ */
+function renderAdminPage(res, user, errorMessage, competitionParam) {
+  store.get()
+    .then(all => {
+      // Resultados e artilharia editáveis são os da temporada em andamento
+      const season = all.activeSeason || all.seasons[0];
+      const seasonData = all.forSeason(season.id);
+      const multi = seasonData.competitions.length > 1;
+      // Build match rows for editing (show all matches). Partidas de
+      // mata-mata também têm campos para os pênaltis.
+      const matchRows = seasonData.matches.map(match => {
+        const home = seasonData.teamsById.get(match.home_team_id);
+        const away = seasonData.teamsById.get(match.away_team_id);
+        const competition = seasonData.competitionsById.get(match.competition_id);
+        let label = competition.format === 'knockout'
+          ? `${match.stage || `Fase ${match.round}`}${match.leg ? `, ${match.leg === 1 ? 'ida' : 'volta'}` : ''}`
+          : `Rod. ${match.round}`;
+        if (multi) label = `${competition.abbr} - ${label}`;
+        return {
+          id: match.id,
+          title: `${home.name} x ${away.name} (${label})`,
+          kickoff: kickoff.formatMatch(match),
+          home_score: match.home_score !== null ? match.home_score : '',
+          away_score: match.away_score !== null ? match.away_score : '',
+          knockout: competition.format === 'knockout',
+          home_penalties: match.home_penalties !== null ? match.home_penalties : '',
+          away_penalties: match.away_penalties !== null ? match.away_penalties : '',
+          status: buildStatusSelect(match)
+        };
+      });
+      // Competições da temporada em andamento
+      const competitionRows = seasonData.competitions.map(c => ({
+        id: c.id,
+        name: c.name,
+        abbr: c.abbr,
+        format: competitionFormats[c.format],
+        team_count: seasonData.forCompetition(c.id).teams.length
+      }));
+      // A artilharia é editada por competição
+      const scorerCompetition = resolveCompetition(seasonData, competitionParam);
+      const scorerData = scorerCompetition
+        ? seasonData.forCompetition(scorerCompetition.id)
+        : { ...seasonData, scorers: [] };
+      // A tabela de classificação deixou de ser editável via Admin. A
+      // classificação é calculada automaticamente a partir dos resultados
+      // das partidas.
+      // Build scorer rows for editing. Each row allows editing the player's name,
+      // selecting a team from a dropdown and changing the number of goals. The
+      // index `idx` is preserved so the server can correlate form fields back
+      // to the correct entry in the scorers array.
+      const scorers = scorerData.scorers.map((s, idx) => ({
+        index: idx,
+        player: s.player,
+        goals: s.goals,
+        // Opções do seletor de time, com o time atual do jogador marcado
+        teams: scorerData.teams.map(team => ({ id: team.id, name: team.name, selected: team.id === s.team_id }))
+      }));
+      let tiebreakNote = '';
+      if (!scorerCompetition) tiebreakNote = 'Nenhuma competição cadastrada.';
+      else if (scorerCompetition.format !== 'league') tiebreakNote = 'Competições de mata-mata não têm tabela de classificação.';
+      let message = errorMessage || '';
+      if (!message && !all.activeSeason) {
+        message = 'Todas as temporadas estão arquivadas. Crie ou reabra uma temporada para registrar resultados.';
+      }
+      // Temporadas cadastradas, com opção de arquivar ou reabrir cada uma
+      const seasonRows = all.seasons.map(s => {
+        let status = 'Aberta';
+        if (all.activeSeason && s.id === all.activeSeason.id) status = 'Em andamento';
+        else if (s.archived) status = 'Arquivada';
+        return { id: s.id, name: s.name, year: s.year, status, archived: Boolean(s.archived) };
+      });
+      // Regras de pontuação dos palpites (valem para todas as temporadas)
+      const scoringRows = all.scoringRules.map(rule => ({
+        key: rule.key,
+        label: rule.label,
+        kind: rule.kind === 'bonus' ? 'Bônus' : 'Faixa',
+        enabled: Boolean(rule.enabled),
+        points: rule.points
+      }));
+      // Times disponíveis para uma nova competição; os da temporada atual vêm marcados
+      const teamOptions = all.teams.map(team => ({
+        id: team.id,
+        name: team.name,
+        checked: seasonData.teams.some(t => t.id === team.id)
+      }));
+      const html = renderTemplate('admin.html', {
+        season_name: season.name,
+        season_rows: seasonRows,
+        competition_rows: competitionRows,
+        scoring_rows: scoringRows,
+        scoring_description: scoring.describeRules(all.scoringRules),
+        team_options: teamOptions,
+        scorer_competition_id: scorerCompetition ? scorerCompetition.id : '',
+        scorer_competition_name: scorerCompetition ? scorerCompetition.name : season.name,
+        scorer_competition_selector: scorerCompetition
+          ? buildCompetitionSelector(seasonData, scorerCompetition, '/admin')
+          : null,
+        match_rows: matchRows,
+        // Opções do formulário de nova partida: competições e times da temporada
+        match_competitions: seasonData.competitions.map(c => ({ id: c.id, name: c.name })),
+        match_teams: seasonData.teams.map(team => ({ id: team.id, name: team.name })),
+        match_schedule: buildMatchScheduleFields(null),
+        scorers,
+        tiebreak_form: tiebreakNote ? null : buildTiebreakForm(scorerCompetition, scorerData),
+        tiebreak_note: tiebreakNote,
+        error_message: message,
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = errorMessage ? 409 : 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+/**
+ * Dados do formulário de desempate de uma competição de pontos corridos: a
+ * sequência de critérios (um seletor por posição; posições vazias são
+ * ignoradas) e os cartões e a posição no sorteio de cada participante.
+ *
+ * @param {Object} competition Competição selecionada
+ * @param {Object} data Visão da competição (data_store.js)
+ * @returns {Object} { competition_id, criteria, teams } para admin.html
+ */
+function buildTiebreakForm(competition, data) {
+  const criteria = tiebreakers.CRITERIA.map((criterion, index) => {
+    const current = data.tiebreakers[index];
+    return {
+      index,
+      options: [{ value: '', label: '—', selected: false }].concat(tiebreakers.CRITERIA.map(c => ({
+        value: c.key,
+        label: c.label,
+        selected: c.key === current
+      })))
+    };
+  });
+  const teams = data.teams.map(team => {
+    const stats = data.teamStats[team.id];
+    return {
+      id: team.id,
+      name: team.name,
+      yellow_cards: stats.yellow_cards,
+      red_cards: stats.red_cards,
+      draw_order: stats.draw_order !== null ? stats.draw_order : ''
+    };
+  });
+  return { competition_id: competition.id, criteria, teams };
+}
+
+/**
+ * Seletor da situação de uma partida no formulário de resultados, com a
+ * situação atual e as permitidas a partir dela. A anulação exige um motivo
+ * e é feita na página da partida, por isso não aparece aqui (uma partida
+ * anulada mostra apenas a situação atual).
+ *
+ * @param {Object} match Partida
+ * @returns {Object} { annulled, label, options } para admin.html
+ */
+function buildStatusSelect(match) {
+  if (matchStatus.isAnnulled(match)) {
+    return { annulled: true, label: matchStatus.STATUS_LABELS.annulled, options: [] };
+  }
+  const options = [match.status]
+    .concat(matchStatus.TRANSITIONS[match.status].filter(s => s !== 'annulled'))
+    .map(s => ({ value: s, label: matchStatus.STATUS_LABELS[s], selected: s === match.status }));
+  return { annulled: false, label: '', options };
+}
+
+// Registra na auditoria uma alteração feita no Admin (veja audit.js)
+function recordAudit(user, entity, entityId, action, before, after) {
+  return dbAccess.insertAuditEntry({
+    actor_id: user.id,
+    entity,
+    entity_id: entityId,
+    action,
+    before_values: before,
+    after_values: after
   });
 }
 
-function handleAdminUpdateScorers(req, res, user) {
-  let body = '';
-  req.on('data', chunk => { body += chunk.toString(); });
-  req.on('end', () => {
-    const dataStore = loadData();
-    const form = querystring.parse(body);
-    dataStore.scorers.forEach((s, idx) => {
-      // Update player name if provided
-      const playerKey = `player_${idx}`;
-      if (form[playerKey] !== undefined && form[playerKey].trim() !== '') {
-        s.player = form[playerKey].trim();
+// Trata falhas das gravações feitas pela área administrativa. Violações de
+// integridade voltam para a página de admin com a explicação do problema;
+// os demais erros continuam sendo respondidos com 500.
+function handleAdminWriteError(res, user, err) {
+  if (err instanceof dbAccess.IntegrityError) {
+    renderAdminPage(res, user, err.message);
+    return;
+  }
+  sendServerError(res, err);
+}
+
+/**
+ * Aplica novos placares, pênaltis e situações a partidas da temporada em
+ * andamento e grava, junto com eles, a classificação das competições de
+ * pontos corridos afetadas e a auditoria de cada partida. É o caminho comum
+ * do formulário de placares do Admin e da API; deve ser chamada dentro de
+ * uma transação, com a visão carregada por loadActiveSeasonForWrite.
+ *
+ * Lançar o placar completo de uma partida agendada sem mudar a situação a
+ * encerra. A mudança de situação precisa ser permitida (veja
+ * match_status.js); a anulação tem formulário próprio. Gols e pênaltis que
+ * não forem inteiros não negativos (veja isGoalCount) recusam a gravação
+ * com IntegrityError.
+ *
+ * @param {Object} dataStore Visão da temporada em andamento (é alterada)
+ * @param {Object} user Autor das alterações
+ * @param {Map} updates Novos valores por ID de partida: { home_score,
+ *   away_score, home_penalties, away_penalties, status }; sem `status`, a
+ *   situação atual é mantida
+ * @returns {Promise<Array>} Partidas alteradas
+ */
+function saveMatchScores(dataStore, user, updates) {
+  // Faz uma cópia profunda das partidas antes de aplicar as alterações para
+  // determinar as diferenças de placar posteriormente
+  const oldMatches = JSON.parse(JSON.stringify(dataStore.matches));
+  const oldMatchesById = new Map(oldMatches.map(m => [m.id, m]));
+  const changedMatches = [];
+  updates.forEach((update, matchId) => {
+    const match = dataStore.matchesById.get(matchId);
+    if (!match) {
+      throw new dbAccess.IntegrityError('A partida informada não pertence à temporada em andamento.');
+    }
+    const home = dataStore.teamsById.get(match.home_team_id);
+    const away = dataStore.teamsById.get(match.away_team_id);
+    const newHome = update.home_score;
+    const newAway = update.away_score;
+    const newHomePen = update.home_penalties;
+    const newAwayPen = update.away_penalties;
+    if (![newHome, newAway, newHomePen, newAwayPen].every(goals => isGoalCount(goals, true))) {
+      throw new dbAccess.IntegrityError(`${home.name} x ${away.name}: gols e pênaltis devem ser números inteiros, a partir de 0.`);
+    }
+    let newStatus = update.status || match.status;
+    if (newStatus === 'scheduled' && match.status === 'scheduled' && newHome !== null && newAway !== null) {
+      newStatus = 'finished';
+    }
+    if (newHome !== match.home_score || newAway !== match.away_score ||
+        newHomePen !== match.home_penalties || newAwayPen !== match.away_penalties ||
+        newStatus !== match.status) {
+      if (!matchStatus.canTransition(match.status, newStatus) || newStatus === 'annulled') {
+        throw new dbAccess.IntegrityError(
+          `${home.name} x ${away.name}: a partida não pode passar de ` +
+          `"${matchStatus.STATUS_LABELS[match.status]}" para "${matchStatus.STATUS_LABELS[newStatus] || newStatus}".`
+        );
       }
-      // Update team ID if provided
-      const teamKey = `team_${idx}`;
-      if (form[teamKey] !== undefined) {
-        const newTeamId = parseInt(form[teamKey]);
-        // Only assign if it corresponds to an existing team
-        const exists = dataStore.teams.find(t => t.id === newTeamId);
-        if (exists) {
-          s.team_id = newTeamId;
+      match.home_score = newHome;
+      match.away_score = newAway;
+      match.home_penalties = newHomePen;
+      match.away_penalties = newAwayPen;
+      match.status = newStatus;
+      const problem = matchStatus.validate(match);
+      if (problem) throw new dbAccess.IntegrityError(`${home.name} x ${away.name}: ${problem}`);
+      changedMatches.push(match);
+    }
+  });
+  // Atualiza a classificação incrementalmente apenas para os jogos cujo
+  // placar ou situação mudou, em cada competição de pontos corridos
+  // afetada.
+  const classificationUpdates = [];
+  dataStore.competitions.forEach(c => {
+    if (c.format !== 'league') return;
+    if (!changedMatches.some(m => m.competition_id === c.id)) return;
+    const updatedClassification = updateClassificationFromMatchChanges(
+      dataStore.forCompetition(c.id).classification,
+      oldMatches.filter(m => m.competition_id === c.id),
+      dataStore.matches.filter(m => m.competition_id === c.id)
+    );
+    classificationUpdates.push({ competitionId: c.id, classification: updatedClassification });
+  });
+  // Persiste os placares alterados e, em seguida, as classificações. As
+  // rodadas seguintes já estão cadastradas e passam a aparecer em
+  // Palpites e Ranking assim que a rodada atual não tiver mais partidas
+  // agendadas ou em andamento (veja getReleasedMatches).
+  return changedMatches
+    .reduce((chain, match) => {
+      const diff = audit.diffMatch(oldMatchesById.get(match.id), match);
+      return chain
+        .then(() => dbAccess.updateMatchScore(
+          match.id, match.home_score, match.away_score, match.home_penalties, match.away_penalties, match.status
+        ))
+        .then(() => recordAudit(user, 'match', match.id, 'update', diff.before, diff.after));
+    }, Promise.resolve())
+    .then(() => classificationUpdates.reduce((chain, update) => {
+      return chain.then(() => dbAccess.replaceClassification(update.competitionId, update.classification));
+    }, Promise.resolve()))
+    .then(() => changedMatches);
+}
+
+function handleAdminUpdateMatches(req, res, user, form) {
+  // Leitura, cálculo e gravação acontecem em uma única transação: placares,
+  // classificação e a eventual próxima rodada são gravados juntos ou nada é
+  // gravado. A fila de transações do banco impede que dois envios
+  // simultâneos do formulário se intercalem.
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(dataStore => {
+      // Partidas com os dois campos de placar no formulário
+      const updates = new Map();
+      dataStore.matches.forEach(match => {
+        const hVal = form[`home_${match.id}`];
+        const aVal = form[`away_${match.id}`];
+        if (hVal === undefined || aVal === undefined) return;
+        // Valores que não forem números inteiros chegam como NaN e são
+        // recusados por saveMatchScores
+        const newHome = parseGoalField(hVal);
+        const newAway = parseGoalField(aVal);
+        // Pênaltis só valem para jogos de mata-mata com placar e os dois
+        // campos preenchidos
+        let newHomePen = null;
+        let newAwayPen = null;
+        const hPen = parseGoalField(form[`home_pen_${match.id}`]);
+        const aPen = parseGoalField(form[`away_pen_${match.id}`]);
+        if (newHome !== null && newAway !== null && hPen !== null && aPen !== null) {
+          newHomePen = hPen;
+          newAwayPen = aPen;
         }
-      }
-      // Update goals if provided
-      const goalsKey = `goals_${idx}`;
-      if (form[goalsKey] !== undefined) {
-        const parsedGoals = parseInt(form[goalsKey]);
-        s.goals = isNaN(parsedGoals) ? 0 : parsedGoals;
-      }
+        updates.set(match.id, {
+          home_score: newHome,
+          away_score: newAway,
+          home_penalties: newHomePen,
+          away_penalties: newAwayPen,
+          // Situação escolhida no formulário
+          status: form[`status_${match.id}`]
+        });
+      });
+      return saveMatchScores(dataStore, user, updates);
     });
-    // After updating, sort by descending goals and reassign ranks
-    dataStore.scorers.sort((a, b) => {
-      if (b.goals !== a.goals) return b.goals - a.goals;
-      // Tiebreaker: alphabetical by player name
-      return a.player.localeCompare(b.player);
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+function handleAdminUpdateClassification(req, res, user) {
+  // Neste projeto a classificação é recalculada automaticamente a partir
+  // dos resultados das partidas. Portanto, quaisquer valores enviados
+  // pelo formulário de edição são ignorados. Ao receber esta requisição
+  // (que ocorre quando o administrador clica em "Salvar Classificação"),
+  // simplesmente recalcule a classificação com base nos placares atuais
+  // e persista a tabela correspondente. Isso garante que a tabela
+  // apresentada no portal esteja sempre alinhada com os resultados.
+  // A ordem da tabela não é gravada: os critérios de desempate de cada
+  // competição são aplicados na exibição (veja rankClassification).
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(dataStore => {
+      // Recalcula a tabela de cada competição de pontos corridos. Só as
+      // tabelas que mudaram entram na auditoria.
+      return dataStore.competitions
+        .filter(c => c.format === 'league')
+        .reduce((chain, c) => {
+          const competitionData = dataStore.forCompetition(c.id);
+          const updatedClassification = computeClassification(competitionData.teams, competitionData.matches);
+          const before = audit.classificationSnapshot(competitionData.classification);
+          const after = audit.classificationSnapshot(updatedClassification);
+          return chain
+            .then(() => dbAccess.replaceClassification(c.id, updatedClassification))
+            .then(() => audit.sameValues(before, after) ? null : recordAudit(user, 'classification', c.id, 'update', before, after));
+        }, Promise.resolve());
     });
-    dataStore.scorers.forEach((s, i) => {
-      s.rank = i + 1;
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+/**
+ * Grava a artilharia de uma competição, ordenada por gols (empates em
+ * ordem alfabética) e com as posições renumeradas, e registra a alteração
+ * na auditoria. Caminho comum do Admin e da API; deve ser chamada dentro de
+ * uma transação.
+ *
+ * @param {Object} user Autor da alteração
+ * @param {number} competitionId ID da competição
+ * @param {Array} before Artilharia anterior (audit.scorersSnapshot)
+ * @param {Array} scorers Nova lista { player, team_id, goals }
+ * @returns {Promise}
+ */
+function saveScorers(user, competitionId, before, scorers) {
+  const ranked = sortScorers(scorers).map((s, i) => ({ ...s, rank: i + 1 }));
+  const after = audit.scorersSnapshot(ranked);
+  return dbAccess.replaceScorers(competitionId, ranked)
+    .then(() => audit.sameValues(before, after) ? null : recordAudit(user, 'scorers', competitionId, 'update', before, after));
+}
+
+function handleAdminUpdateScorers(req, res, user, form) {
+  const competitionId = parseInt(form.competition_id, 10);
+  // A artilharia é apagada e regravada; a transação evita que um erro no
+  // meio do caminho deixe a tabela pela metade.
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const dataStore = seasonData.forCompetition(competitionId);
+      if (!dataStore) {
+        throw new dbAccess.IntegrityError('A competição informada não pertence à temporada em andamento.');
+      }
+      const before = audit.scorersSnapshot(dataStore.scorers);
+      dataStore.scorers.forEach((s, idx) => {
+        // Update player name if provided
+        const playerKey = `player_${idx}`;
+        if (form[playerKey] !== undefined && form[playerKey].trim() !== '') {
+          s.player = form[playerKey].trim();
+        }
+        // Update team ID if provided. Um time inexistente é recusado antes de
+        // qualquer gravação e o erro aparece na página de admin.
+        const teamKey = `team_${idx}`;
+        if (form[teamKey] !== undefined) {
+          const newTeamId = parseInt(form[teamKey]);
+          if (!dataStore.teamsById.has(newTeamId)) {
+            throw new dbAccess.IntegrityError(`O time informado para o artilheiro "${s.player}" não existe.`);
+          }
+          s.team_id = newTeamId;
+        }
+        // Update goals if provided
+        const goalsKey = `goals_${idx}`;
+        if (form[goalsKey] !== undefined) {
+          const parsedGoals = parseInt(form[goalsKey]);
+          s.goals = isNaN(parsedGoals) ? 0 : parsedGoals;
+        }
+      });
+      return saveScorers(user, competitionId, before, dataStore.scorers);
     });
-    writeJSON('scorers.json', dataStore.scorers);
-    sendRedirect(res, '/admin');
+  })
+    .then(() => sendRedirect(res, `/admin?competicao=${competitionId}`))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+/**
+ * Lê do formulário os dados de uma nova competição: nome, sigla, formato e
+ * times participantes. Devolve `error` com a mensagem para o administrador
+ * quando algum campo é inválido.
+ *
+ * @param {Object} form Campos do formulário
+ * @returns {Object} { competition, teamIds } ou { error }
+ */
+function parseCompetitionForm(form) {
+  const name = (form.competition_name || '').trim();
+  const abbr = (form.competition_abbr || '').trim().toUpperCase();
+  const format = form.competition_format;
+  // Um único time chega como string; vários, como array
+  const teamIds = [].concat(form.team_ids || []).map(id => parseInt(id, 10));
+  if (!name || !abbr) {
+    return { error: 'Informe o nome e a sigla da competição.' };
+  }
+  if (!competitionFormats[format]) {
+    return { error: 'Formato de competição inválido.' };
+  }
+  if (teamIds.length < 2) {
+    return { error: 'Selecione pelo menos dois times para a competição.' };
+  }
+  return { competition: { name, abbr, format }, teamIds };
+}
+
+// Cadastra uma competição e registra a criação na auditoria
+function insertCompetitionWithAudit(user, competition, teamIds) {
+  return dbAccess.insertCompetition(competition, teamIds).then(id => {
+    return recordAudit(user, 'competition', id, 'create', null, { ...competition, team_ids: teamIds });
   });
 }
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-  const method = req.method;
-  const user = getUserFromRequest(req);
-  // Serve static assets
-  if (pathname.startsWith('/static/')) {
-    handleStatic(req, res, pathname);
+// Cria uma temporada já com a sua primeira competição
+function handleAdminCreateSeason(req, res, user, form) {
+  const name = (form.name || '').trim();
+  const year = parseInt(form.year, 10);
+  if (!name || isNaN(year)) {
+    renderAdminPage(res, user, 'Informe o nome e o ano da nova temporada.');
     return;
   }
-  if (pathname === '/' && method === 'GET') {
-    handleHome(req, res, user);
+  const parsed = parseCompetitionForm(form);
+  if (parsed.error) {
+    renderAdminPage(res, user, parsed.error);
     return;
   }
-  if (pathname === '/login' && method === 'GET') {
-    handleLoginGet(req, res);
+  dbAccess.transaction(() => {
+    return dbAccess.insertSeason({ name, year }).then(seasonId => {
+      return recordAudit(user, 'season', seasonId, 'create', null, { name, year, archived: false })
+        .then(() => insertCompetitionWithAudit(user, { ...parsed.competition, season_id: seasonId }, parsed.teamIds));
+    });
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+// Acrescenta uma competição à temporada em andamento
+function handleAdminCreateCompetition(req, res, user, form) {
+  const parsed = parseCompetitionForm(form);
+  if (parsed.error) {
+    renderAdminPage(res, user, parsed.error);
     return;
   }
-  if (pathname === '/login' && method === 'POST') {
-    handleLoginPost(req, res);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      return insertCompetitionWithAudit(user, { ...parsed.competition, season_id: seasonData.season.id }, parsed.teamIds);
+    });
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+function handleAdminArchiveSeason(req, res, user, form) {
+  const seasonId = parseInt(form.season_id, 10);
+  const archived = form.archived === '1';
+  // Arquivar torna a temporada somente leitura; reabrir desfaz isso
+  dbAccess.transaction(() => {
+    return dbAccess.getSeasonById(seasonId).then(season => {
+      if (!season) throw new dbAccess.IntegrityError('A temporada informada não existe.');
+      if (season.archived === archived) return null;
+      return dbAccess.setSeasonArchived(seasonId, archived)
+        .then(() => recordAudit(user, 'season', seasonId, 'update', { archived: season.archived }, { archived }));
+    });
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+function handleAdminUpdateScoring(req, res, user, form) {
+  const rules = [];
+  for (const rule of scoring.RULES) {
+    const points = parseInt(form[`points_${rule.key}`], 10);
+    if (isNaN(points) || points < 0) {
+      renderAdminPage(res, user, `Informe uma pontuação válida (zero ou mais) para a regra "${rule.label}".`);
+      return;
+    }
+    rules.push({ key: rule.key, points, enabled: form[`enabled_${rule.key}`] === '1' });
+  }
+  // As páginas calculam os pontos a partir das regras a cada leitura, então
+  // basta gravá-las: o cache é descartado ao fim da transação.
+  dbAccess.transaction(() => {
+    return store.loadFresh().then(all => {
+      const before = audit.scoringSnapshot(all.scoringRules);
+      const after = audit.scoringSnapshot(rules);
+      if (audit.sameValues(before, after)) return null;
+      return dbAccess.saveScoringRules(rules)
+        .then(() => recordAudit(user, 'scoring', 0, 'update', before, after));
+    });
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+function handleAdminUpdateTiebreakers(req, res, user, form) {
+  const competitionId = parseInt(form.competition_id, 10);
+  // Sequência na ordem dos seletores, ignorando as posições vazias
+  const chain = [];
+  for (let i = 0; i < tiebreakers.CRITERIA.length; i++) {
+    const key = form[`criterion_${i}`];
+    if (!key) continue;
+    if (chain.includes(key)) {
+      renderAdminPage(res, user, `O critério "${tiebreakers.criterionLabel(key)}" foi escolhido mais de uma vez.`, form.competition_id);
+      return;
+    }
+    chain.push(key);
+  }
+  if (tiebreakers.parseChain(chain.join(',')).length !== chain.length) {
+    renderAdminPage(res, user, 'Critério de desempate desconhecido.', form.competition_id);
     return;
   }
-  if (pathname === '/logout') {
-    handleLogout(req, res);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const data = seasonData.forCompetition(competitionId);
+      if (!data || data.competition.format !== 'league') {
+        throw new dbAccess.IntegrityError('A competição informada não é de pontos corridos da temporada em andamento.');
+      }
+      const updates = data.teams.map(team => {
+        const yellow = parseInt(form[`yellow_${team.id}`], 10);
+        const red = parseInt(form[`red_${team.id}`], 10);
+        const draw = form[`draw_${team.id}`] ? parseInt(form[`draw_${team.id}`], 10) : null;
+        if (isNaN(yellow) || yellow < 0 || isNaN(red) || red < 0 || (draw !== null && (isNaN(draw) || draw < 1))) {
+          throw new dbAccess.IntegrityError(`Dados de desempate inválidos para o ${team.name}.`);
+        }
+        return { teamId: team.id, stats: { yellow_cards: yellow, red_cards: red, draw_order: draw } };
+      });
+      const before = audit.tiebreakersSnapshot(data.tiebreakers, data.teamStats);
+      const teamStats = {};
+      updates.forEach(u => { teamStats[u.teamId] = u.stats; });
+      const after = audit.tiebreakersSnapshot(chain, teamStats);
+      if (audit.sameValues(before, after)) return null;
+      return dbAccess.updateCompetitionTiebreakers(competitionId, chain)
+        .then(() => updates.reduce((p, u) => {
+          return p.then(() => dbAccess.updateCompetitionTeamStats(competitionId, u.teamId, u.stats));
+        }, Promise.resolve()))
+        .then(() => recordAudit(user, 'tiebreakers', competitionId, 'update', before, after));
+    });
+  })
+    .then(() => sendRedirect(res, `/admin?competicao=${competitionId}`))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+// ======================================================================
+// Cadastro de partidas (Admin)
+// ======================================================================
+// O administrador cria partidas, muda a rodada e a data (adiamentos e
+// remarcações), anula partidas informando o motivo e exclui partidas
+// cadastradas por engano. Todas as alterações valem apenas para a
+// temporada em andamento.
+
+/**
+ * Valores dos campos de rodada, data e hora de início, fase e jogo
+ * (ida/volta) de uma partida, usados tanto no formulário de nova partida
+ * quanto na edição (templates/partials/match_schedule_fields.html).
+ *
+ * @param {Object|null} match Partida em edição (null para uma nova)
+ * @returns {Object} { round, date, time, stage, legs }
+ */
+function buildMatchScheduleFields(match) {
+  const local = match ? kickoff.toLocal(match.kickoff_at, match.kickoff_tbd) : { date: '', time: '' };
+  const leg = match ? match.leg : null;
+  const legs = [['', '—'], ['1', 'Ida'], ['2', 'Volta']]
+    .map(([value, label]) => ({ value, label, selected: String(leg || '') === value }));
+  return {
+    round: match ? match.round : '',
+    date: local.date,
+    time: local.time,
+    stage: match && match.stage ? match.stage : '',
+    legs
+  };
+}
+
+/**
+ * Valida os campos de rodada, data e hora, fase e jogo de uma partida. A
+ * data e a hora são do horário de Brasília; só a data deixa a hora a
+ * definir, e as duas em branco, a partida sem data. Fase e jogo só são
+ * gravados nos mata-matas.
+ *
+ * @param {Object} form Campos do formulário
+ * @param {Object} competition Competição da partida
+ * @returns {Object} { schedule: { round, kickoff_at, kickoff_tbd, stage, leg } } ou { error }
+ */
+function parseMatchScheduleForm(form, competition) {
+  const round = parseInt(form.round, 10);
+  if (isNaN(round) || round < 1) {
+    return { error: 'Informe uma rodada válida (1 ou mais).' };
+  }
+  const date = (form.date || '').trim();
+  const time = (form.time || '').trim();
+  const when = kickoff.fromForm(date, time);
+  if (when === null) {
+    return { error: 'Informe uma data (AAAA-MM-DD) válida e, se já for conhecida, a hora (HH:MM). Deixe as duas em branco se a partida ainda não tem data.' };
+  }
+  if (competition.format !== 'knockout') {
+    return { schedule: { round, ...when, stage: null, leg: null } };
+  }
+  const leg = form.leg ? parseInt(form.leg, 10) : null;
+  if (leg !== null && leg !== 1 && leg !== 2) {
+    return { error: 'O jogo de um confronto deve ser de ida ou de volta.' };
+  }
+  return { schedule: { round, ...when, stage: (form.stage || '').trim() || null, leg } };
+}
+
+// Partida da temporada em andamento com os dados da sua competição, ou erro
+// de integridade se ela não existir ou for de uma temporada encerrada
+function findMatchForWrite(seasonData, matchId) {
+  const match = seasonData.matchesById.get(matchId);
+  if (!match) {
+    throw new dbAccess.IntegrityError('A partida informada não pertence à temporada em andamento.');
+  }
+  return { match, data: seasonData.forCompetition(match.competition_id) };
+}
+
+function handleAdminMatchPage(req, res, user, matchId, errorMessage) {
+  store.get()
+    .then(all => {
+      const seasonData = all.activeSeason ? all.forSeason(all.activeSeason.id) : null;
+      const match = seasonData ? seasonData.matchesById.get(matchId) : null;
+      if (!match) {
+        sendNotFound(res, 'Partida não encontrada na temporada em andamento.');
+        return;
+      }
+      const competition = seasonData.competitionsById.get(match.competition_id);
+      const home = seasonData.teamsById.get(match.home_team_id);
+      const away = seasonData.teamsById.get(match.away_team_id);
+      const score = match.home_score !== null && match.away_score !== null
+        ? `${match.home_score} x ${match.away_score}`
+        : 'sem placar';
+      const status = matchStatus.STATUS_LABELS[match.status];
+      const predictionCount = (seasonData.predictionsByMatch.get(match.id) || []).length;
+      const deleteNote = predictionCount > 0
+        ? `A partida tem ${predictionCount} palpite(s) e não pode ser excluída. Anule-a se ela não deve contar no ranking.`
+        : 'A partida ainda não tem palpites e pode ser excluída.';
+      const html = renderTemplate('admin_partida.html', {
+        match_title: `${home.name} x ${away.name}`,
+        match_summary: `${competition.name}, rodada ${match.round}, ${kickoff.formatMatch(match)} (${score}). Situação: ${status}.`,
+        match_id: match.id,
+        match_schedule: buildMatchScheduleFields(match),
+        annulled: matchStatus.isAnnulled(match),
+        annulled_reason: match.annulled_reason,
+        // Partidas com palpites não são excluídas, para não apagar os
+        // palpites junto; nesse caso a anulação é o caminho
+        deletable: predictionCount === 0,
+        delete_note: deleteNote,
+        error_message: errorMessage || '',
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = errorMessage ? 409 : 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Falhas de gravação na página de uma partida voltam para ela com a
+// explicação do problema
+function handleMatchWriteError(res, user, matchId, err) {
+  if (err instanceof dbAccess.IntegrityError) {
+    handleAdminMatchPage(null, res, user, matchId, err.message);
     return;
   }
-  if (pathname === '/palpites') {
-    if (!user) {
-      sendRedirect(res, '/login');
-      return;
+  sendServerError(res, err);
+}
+
+/**
+ * Cadastra uma partida agendada na temporada em andamento. Caminho comum do
+ * Admin e da API; deve ser chamada dentro de uma transação.
+ *
+ * @param {Object} seasonData Visão da temporada em andamento
+ * @param {Object} user Autor do cadastro
+ * @param {Object} fields { competition_id, home_team_id, away_team_id } e os
+ *   campos de rodada, horário, fase e jogo (veja parseMatchScheduleForm)
+ * @returns {Promise<number>} ID da partida criada
+ */
+function createMatch(seasonData, user, fields) {
+  const competitionId = parseInt(fields.competition_id, 10);
+  const homeId = parseInt(fields.home_team_id, 10);
+  const awayId = parseInt(fields.away_team_id, 10);
+  const data = seasonData.forCompetition(competitionId);
+  if (!data) {
+    throw new dbAccess.IntegrityError('A competição informada não pertence à temporada em andamento.');
+  }
+  if (homeId === awayId) {
+    throw new dbAccess.IntegrityError('Escolha dois times diferentes para a partida.');
+  }
+  if (!data.teams.some(t => t.id === homeId) || !data.teams.some(t => t.id === awayId)) {
+    throw new dbAccess.IntegrityError(`Os dois times precisam participar da competição ${data.competition.name}.`);
+  }
+  const parsed = parseMatchScheduleForm(fields, data.competition);
+  if (parsed.error) throw new dbAccess.IntegrityError(parsed.error);
+  const created = {
+    ...parsed.schedule,
+    competition_id: competitionId,
+    home_team_id: homeId,
+    away_team_id: awayId,
+    status: 'scheduled'
+  };
+  return dbAccess.insertMatch(created)
+    .then(id => recordAudit(user, 'match', id, 'create', null, audit.matchRow({ ...created, id })).then(() => id));
+}
+
+/**
+ * Altera a rodada, o horário, a fase e o jogo de uma partida da temporada em
+ * andamento. Caminho comum do Admin e da API; deve ser chamada dentro de
+ * uma transação.
+ *
+ * @param {Object} seasonData Visão da temporada em andamento
+ * @param {Object} user Autor da alteração
+ * @param {number} matchId ID da partida
+ * @param {Object} fields Campos de parseMatchScheduleForm
+ * @returns {Promise}
+ */
+function saveMatchSchedule(seasonData, user, matchId, fields) {
+  const { match, data } = findMatchForWrite(seasonData, matchId);
+  const parsed = parseMatchScheduleForm(fields, data.competition);
+  if (parsed.error) throw new dbAccess.IntegrityError(parsed.error);
+  const diff = audit.diffMatch(match, { ...match, ...parsed.schedule });
+  if (!diff) return Promise.resolve();
+  return dbAccess.updateMatchSchedule(matchId, parsed.schedule)
+    .then(() => recordAudit(user, 'match', matchId, 'update', diff.before, diff.after));
+}
+
+function handleAdminCreateMatch(req, res, user, form) {
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => createMatch(seasonData, user, form));
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleAdminWriteError(res, user, err));
+}
+
+function handleAdminUpdateMatch(req, res, user, form) {
+  const matchId = parseInt(form.match_id, 10);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => saveMatchSchedule(seasonData, user, matchId, form));
+  })
+    .then(() => sendRedirect(res, `/admin/partida/${matchId}`))
+    .catch(err => handleMatchWriteError(res, user, matchId, err));
+}
+
+// Anula a partida com o motivo informado; motivo vazio desfaz a anulação,
+// e a partida volta a ficar encerrada (se tiver placar) ou agendada
+function handleAdminAnnulMatch(req, res, user, form) {
+  const matchId = parseInt(form.match_id, 10);
+  const reason = (form.reason || '').trim() || null;
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const { match, data } = findMatchForWrite(seasonData, matchId);
+      let status = 'annulled';
+      if (!reason) status = match.home_score !== null && match.away_score !== null ? 'finished' : 'scheduled';
+      if (!matchStatus.canTransition(match.status, status)) {
+        throw new dbAccess.IntegrityError(
+          `A partida não pode passar de "${matchStatus.STATUS_LABELS[match.status]}" para "${matchStatus.STATUS_LABELS[status]}".`
+        );
+      }
+      const updated = { ...match, status, annulled_reason: reason };
+      const problem = matchStatus.validate(updated);
+      if (problem) throw new dbAccess.IntegrityError(problem);
+      // A classificação só muda se a partida passar a contar ou deixar de
+      // contar nela (por exemplo, ao anular uma partida em andamento que
+      // já tem placar parcial)
+      let updateClassification = Promise.resolve();
+      if (data.competition.format === 'league' && matchStatus.countsForTable(match) !== matchStatus.countsForTable(updated)) {
+        updateClassification = dbAccess.replaceClassification(
+          data.competition.id,
+          updateClassificationFromMatchChanges(data.classification, [match], [updated])
+        );
+      }
+      const diff = audit.diffMatch(match, updated);
+      if (!diff) return updateClassification;
+      return updateClassification
+        .then(() => dbAccess.updateMatchStatus(matchId, status, reason))
+        .then(() => recordAudit(user, 'match', matchId, 'update', diff.before, diff.after));
+    });
+  })
+    .then(() => sendRedirect(res, `/admin/partida/${matchId}`))
+    .catch(err => handleMatchWriteError(res, user, matchId, err));
+}
+
+function handleAdminDeleteMatch(req, res, user, form) {
+  const matchId = parseInt(form.match_id, 10);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const { match, data } = findMatchForWrite(seasonData, matchId);
+      if ((seasonData.predictionsByMatch.get(matchId) || []).length > 0) {
+        throw new dbAccess.IntegrityError('A partida já tem palpites e não pode ser excluída. Anule-a em vez disso.');
+      }
+      // Um placar já lançado sai da classificação junto com a partida
+      let updateClassification = Promise.resolve();
+      if (data.competition.format === 'league' && matchStatus.countsForTable(match)) {
+        const updated = updateClassificationFromMatchChanges(
+          data.classification,
+          [match],
+          [{ ...match, home_score: null, away_score: null }]
+        );
+        updateClassification = dbAccess.replaceClassification(data.competition.id, updated);
+      }
+      return updateClassification
+        .then(() => dbAccess.deleteMatch(matchId))
+        .then(() => recordAudit(user, 'match', matchId, 'delete', audit.matchRow(match), null));
+    });
+  })
+    .then(() => sendRedirect(res, '/admin'))
+    .catch(err => handleMatchWriteError(res, user, matchId, err));
+}
+
+// ======================================================================
+// Sessões
+// ======================================================================
+
+/**
+ * Página /admin/sessoes: sessões de login ainda válidas de todos os
+ * usuários, com a opção de encerrar cada uma.
+ */
+function handleAdminSessions(req, res, user) {
+  dbAccess.getActiveSessions(new Date().toISOString())
+    .then(list => {
+      const sessions = list.map(s => ({
+        id: s.id,
+        user_name: s.user_name,
+        created_at: kickoff.format(s.created_at),
+        last_seen_at: kickoff.format(s.last_seen_at),
+        expires_at: kickoff.format(s.expires_at),
+        remember: s.remember ? 'Sim' : 'Não',
+        user_agent: s.user_agent || '-',
+        ip: s.ip || '-',
+        current: Boolean(req.session && s.id === req.session.id)
+      }));
+      const html = renderTemplate('admin_sessoes.html', {
+        sessions,
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Encerra uma sessão escolhida na lista do Admin
+function handleAdminEndSession(req, res, user, form) {
+  const sessionId = parseInt(form.session_id, 10);
+  dbAccess.deleteSession(sessionId)
+    .then(() => sendRedirect(res, '/admin/sessoes'))
+    .catch(err => sendServerError(res, err));
+}
+
+// ======================================================================
+// Tokens da API
+// ======================================================================
+
+/**
+ * Página /admin/tokens: tokens da API de gravação (veja api_tokens.js), com
+ * a emissão de novos tokens e a revogação dos existentes. Logo depois da
+ * emissão, `created` traz o token, exibido nesta única vez; depois de um
+ * erro, `form` mantém as permissões escolhidas.
+ */
+function handleAdminTokensPage(req, res, user, errorMessage, created, form) {
+  dbAccess.getApiTokens()
+    .then(list => {
+      const chosen = form ? [].concat(form.scopes || []) : [];
+      const html = renderTemplate('admin_tokens.html', {
+        error_message: errorMessage || '',
+        new_token: created || null,
+        tokens: list.map(t => ({
+          id: t.id,
+          name: t.name,
+          scopes: apiTokens.describeScopes(t.scopes),
+          created_by_name: t.created_by_name,
+          created_at: kickoff.format(t.created_at),
+          last_used_at: t.last_used_at ? kickoff.format(t.last_used_at) : '-',
+          revoked_at: t.revoked_at ? kickoff.format(t.revoked_at) : null
+        })),
+        scopes: apiTokens.SCOPES.map(scope => ({ ...scope, checked: chosen.includes(scope.key) })),
+        name_length: apiTokens.NAME_LENGTH,
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = errorMessage ? 409 : 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      // A página com o token recém-emitido não deve ficar em cache
+      if (created) res.setHeader('Cache-Control', 'no-store');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Emite um token com o nome e as permissões escolhidos. O token é mostrado
+// na própria resposta, e não num redirecionamento, para que não apareça em
+// endereços nem no histórico do navegador.
+function handleAdminCreateToken(req, res, user, form) {
+  const name = (form.name || '').trim();
+  const scopes = Array.from(new Set([].concat(form.scopes || [])));
+  const problem = apiTokens.validate(name, scopes);
+  if (problem) {
+    handleAdminTokensPage(req, res, user, problem, null, form);
+    return;
+  }
+  const token = apiTokens.newToken();
+  dbAccess.insertApiToken({
+    name,
+    token_hash: apiTokens.hashToken(token),
+    scopes,
+    created_by: user.id,
+    created_at: new Date().toISOString()
+  })
+    .then(() => handleAdminTokensPage(req, res, user, '', { name, value: token }))
+    .catch(err => sendServerError(res, err));
+}
+
+function handleAdminRevokeToken(req, res, user, form) {
+  dbAccess.revokeApiToken(parseInt(form.token_id, 10), new Date().toISOString())
+    .then(() => sendRedirect(res, '/admin/tokens'))
+    .catch(err => sendServerError(res, err));
+}
+
+// ======================================================================
+// Senhas
+// ======================================================================
+
+/**
+ * Página /admin/senhas: o administrador define uma nova senha para um
+ * usuário (inclusive para si mesmo), confirmando com a própria senha atual.
+ * Depois de um erro, o usuário escolhido (`selectedId`) continua selecionado.
+ */
+function handleAdminPasswordsPage(req, res, user, errorMessage, selectedId) {
+  const query = req ? url.parse(req.url, true).query : {};
+  store.get()
+    .then(all => {
+      selectedId = selectedId || parseInt(query.usuario, 10) || user.id;
+      const users = Array.from(all.usersById.values()).map(u => ({
+        id: u.id,
+        name: u.name,
+        email: u.email,
+        role: u.isAdmin ? 'administrador' : 'apresentador',
+        selected: u.id === selectedId
+      }));
+      let successMessage = '';
+      if (!errorMessage && query.saved) {
+        const changed = all.usersById.get(parseInt(query.saved, 10));
+        successMessage = `Senha de ${changed ? changed.name : 'o usuário'} alterada com sucesso!`;
+      }
+      const html = renderTemplate('admin_senhas.html', {
+        users,
+        min_length: passwords.MIN_LENGTH,
+        error_message: errorMessage || '',
+        success_message: successMessage,
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = errorMessage ? 409 : 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Grava a nova senha de um usuário. As demais sessões abertas desse
+// usuário são encerradas; a do administrador que fez a troca continua.
+function handleAdminChangePassword(req, res, user, form) {
+  const targetId = parseInt(form.usuario, 10);
+  dbAccess.getUserByCredentials(user.email, form.senha_atual)
+    .then(confirmed => {
+      if (!confirmed || confirmed.id !== user.id) {
+        throw new dbAccess.IntegrityError('Senha atual incorreta.');
+      }
+      const problem = passwords.validate(form.nova_senha, form.confirmacao);
+      if (problem) throw new dbAccess.IntegrityError(problem);
+      // O hash é calculado antes da transação, que fica aberta só para a
+      // gravação
+      return passwords.hash(form.nova_senha);
+    })
+    .then(hash => dbAccess.transaction(() => {
+      return dbAccess.getUserById(targetId).then(target => {
+        if (!target) throw new dbAccess.IntegrityError('O usuário informado não existe.');
+        // A auditoria registra apenas que a senha foi trocada, sem os hashes
+        return dbAccess.updateUserPassword(target.id, hash)
+          .then(() => recordAudit(user, 'user', target.id, 'update', null, { password: 'redefinida' }));
+      });
+    }))
+    .then(() => dbAccess.deleteUserSessions(targetId, req.session.id))
+    .then(() => {
+      sendRedirect(res, `/admin/senhas?usuario=${targetId}&saved=${targetId}`);
+    })
+    .catch(err => {
+      if (err instanceof dbAccess.IntegrityError) {
+        handleAdminPasswordsPage(null, res, user, err.message, targetId);
+        return;
+      }
+      sendServerError(res, err);
+    });
+}
+
+// ======================================================================
+// Auditoria
+// ======================================================================
+
+// Operação que desfaz cada operação registrada na auditoria
+const inverseAuditActions = { create: 'delete', update: 'update', delete: 'create' };
+
+const staleAuditMessage = 'Os dados foram alterados depois desta mudança. Reverta antes as alterações mais recentes.';
+
+/**
+ * Atualiza a classificação de uma competição de pontos corridos quando uma
+ * partida passa a contar nela, deixa de contar ou muda de placar. `before`
+ * ou `after` é null quando a partida não existia antes ou deixa de existir.
+ *
+ * @returns {Promise<void>}
+ */
+function updateClassificationForMatch(data, before, after) {
+  if (data.competition.format !== 'league') return Promise.resolve();
+  const absent = { ...(before || after), home_score: null, away_score: null };
+  const oldMatch = before || absent;
+  const newMatch = after || absent;
+  const oldCounts = matchStatus.countsForTable(oldMatch);
+  const newCounts = matchStatus.countsForTable(newMatch);
+  if (oldCounts === newCounts && (!oldCounts ||
+      (oldMatch.home_score === newMatch.home_score && oldMatch.away_score === newMatch.away_score))) {
+    return Promise.resolve();
+  }
+  return dbAccess.replaceClassification(
+    data.competition.id,
+    updateClassificationFromMatchChanges(data.classification, [oldMatch], [newMatch])
+  );
+}
+
+// Desfaz uma alteração de partida registrada na auditoria
+function revertMatchChange(entry, seasonData) {
+  if (entry.action === 'delete') {
+    // Recria a partida excluída, com o mesmo ID
+    const row = entry.before_values;
+    const data = seasonData.forCompetition(row.competition_id);
+    if (!data) {
+      throw new dbAccess.IntegrityError('A partida não pertence à temporada em andamento.');
     }
-    if (method === 'GET') {
-      handlePalpitesGet(req, res, user);
-    } else if (method === 'POST') {
-      handlePalpitesPost(req, res, user);
+    return dbAccess.getMatches().then(matches => {
+      if (matches.some(m => m.id === row.id)) throw new dbAccess.IntegrityError(staleAuditMessage);
+      return updateClassificationForMatch(data, null, row).then(() => dbAccess.insertMatch(row));
+    });
+  }
+  const { match, data } = findMatchForWrite(seasonData, entry.entity_id);
+  if (!audit.matchHasValues(match, entry.after_values)) {
+    throw new dbAccess.IntegrityError(staleAuditMessage);
+  }
+  if (entry.action === 'create') {
+    // Desfazer a criação exclui a partida, com as mesmas regras da exclusão
+    if ((seasonData.predictionsByMatch.get(match.id) || []).length > 0) {
+      throw new dbAccess.IntegrityError('A partida já tem palpites e não pode ser excluída. Anule-a em vez disso.');
     }
+    return updateClassificationForMatch(data, match, null).then(() => dbAccess.deleteMatch(match.id));
+  }
+  const restored = { ...match, ...entry.before_values };
+  const problem = matchStatus.validate(restored);
+  if (problem) throw new dbAccess.IntegrityError(problem);
+  return updateClassificationForMatch(data, match, restored)
+    .then(() => dbAccess.updateMatchSchedule(match.id, restored))
+    .then(() => dbAccess.updateMatchScore(
+      match.id, restored.home_score, restored.away_score, restored.home_penalties, restored.away_penalties, restored.status
+    ))
+    .then(() => dbAccess.updateMatchStatus(match.id, restored.status, restored.annulled_reason));
+}
+
+// Desfaz uma alteração da artilharia ou da classificação de uma competição
+function revertCompetitionChange(entry, seasonData) {
+  const data = seasonData.forCompetition(entry.entity_id);
+  if (!data) {
+    throw new dbAccess.IntegrityError('A competição não pertence à temporada em andamento.');
+  }
+  if (entry.entity === 'scorers') {
+    if (!audit.sameValues(audit.scorersSnapshot(data.scorers), entry.after_values)) {
+      throw new dbAccess.IntegrityError(staleAuditMessage);
+    }
+    return dbAccess.replaceScorers(entry.entity_id, entry.before_values);
+  }
+  if (!audit.sameValues(audit.classificationSnapshot(data.classification), entry.after_values)) {
+    throw new dbAccess.IntegrityError(staleAuditMessage);
+  }
+  return dbAccess.replaceClassification(entry.entity_id, entry.before_values);
+}
+
+// Entidade de uma linha da auditoria, como "Partida Criciúma x Avaí"
+function describeAuditEntity(entry, all) {
+  const label = audit.ENTITY_LABELS[entry.entity] || entry.entity;
+  if (entry.entity === 'match') {
+    const row = entry.before_values && 'home_team_id' in entry.before_values ? entry.before_values : entry.after_values;
+    const match = all.matchesById.get(entry.entity_id) || row;
+    if (!match || !('home_team_id' in match)) return `${label} #${entry.entity_id}`;
+    const home = all.teamsById.get(match.home_team_id);
+    const away = all.teamsById.get(match.away_team_id);
+    return `${label} ${home.name} x ${away.name} (#${entry.entity_id})`;
+  }
+  if (entry.entity === 'scoring') return label;
+  if (entry.entity === 'season') {
+    const season = all.seasonsById.get(entry.entity_id);
+    return season ? `${label} - ${season.name}` : `${label} #${entry.entity_id}`;
+  }
+  if (entry.entity === 'user') {
+    const target = all.usersById.get(entry.entity_id);
+    return target ? `${label} - ${target.name}` : `${label} #${entry.entity_id}`;
+  }
+  const competition = all.competitionsById.get(entry.entity_id);
+  return competition ? `${label} - ${competition.name}` : `${label} #${entry.entity_id}`;
+}
+
+/**
+ * Página /admin/auditoria: alterações feitas no Admin, das mais recentes
+ * para as mais antigas, filtradas por entidade, autor e dia
+ * (?entidade=, ?autor=, ?dia=AAAA-MM-DD no horário de Brasília). Cada
+ * alteração ainda não revertida tem um botão para revertê-la.
+ */
+function handleAdminAudit(req, res, user, errorMessage) {
+  const query = req ? url.parse(req.url, true).query : {};
+  const entity = audit.ENTITY_LABELS[query.entidade] ? query.entidade : null;
+  const actorId = parseInt(query.autor, 10) || null;
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(query.dia || '') ? query.dia : null;
+  let from = null;
+  let to = null;
+  if (day) {
+    const start = kickoff.fromLocal(day, '00:00');
+    if (start) {
+      from = new Date(Date.parse(start)).toISOString().replace(/\.\d{3}Z$/, 'Z');
+      to = new Date(Date.parse(start) + 24 * 3600 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+  }
+  Promise.all([store.get(), dbAccess.getAuditLog({ entity, actorId, from, to })])
+    .then(([all, entries]) => {
+      const filter = {
+        entities: [{ value: '', label: 'Todas', selected: false }].concat(Object.keys(audit.ENTITY_LABELS).map(key => ({
+          value: key,
+          label: audit.ENTITY_LABELS[key],
+          selected: key === entity
+        }))),
+        actors: [{ value: '', label: 'Todos', selected: false }].concat(all.users.map(u => ({
+          value: u.id,
+          label: u.name,
+          selected: u.id === actorId
+        }))),
+        day: day || ''
+      };
+      const lookup = {
+        teamName: id => {
+          const team = all.teamsById.get(id);
+          return team ? team.name : `#${id}`;
+        },
+        formatLabel: key => competitionFormats[key] || key
+      };
+      const rows = entries.map(entry => {
+        const actor = entry.actor_id ? all.usersById.get(entry.actor_id) : null;
+        let action = audit.ACTION_LABELS[entry.action] || entry.action;
+        if (entry.reverts_id) action += ` (reversão de #${entry.reverts_id})`;
+        let revertNote = '';
+        if (entry.reverted_by) revertNote = `Revertida em #${entry.reverted_by}`;
+        else if (!audit.isRevertible(entry.entity)) revertNote = 'Não reversível';
+        return {
+          id: entry.id,
+          created_at: kickoff.format(entry.created_at, true),
+          actor_name: actor ? actor.name : '-',
+          entity: describeAuditEntity(entry, all),
+          action,
+          // Valores antes e depois, um por linha
+          before: audit.describe(entry.entity, entry.before_values, lookup, entry.after_values),
+          after: audit.describe(entry.entity, entry.after_values, lookup, entry.before_values),
+          revert_note: revertNote
+        };
+      });
+      const html = renderTemplate('admin_auditoria.html', {
+        filter,
+        entries: rows,
+        error_message: errorMessage || '',
+        csrf_token: user.csrfToken,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = errorMessage ? 409 : 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// Reverte uma alteração da auditoria, gravando a operação inversa como uma
+// nova linha. A reversão é recusada se os dados mudaram depois dela.
+function handleAdminAuditRevert(req, res, user, form) {
+  const entryId = parseInt(form.entry_id, 10);
+  dbAccess.transaction(() => {
+    return Promise.all([dbAccess.getAuditEntry(entryId), loadActiveSeasonForWrite()])
+      .then(([entry, seasonData]) => {
+        if (!entry) throw new dbAccess.IntegrityError('A alteração informada não existe.');
+        if (entry.reverted_by) {
+          throw new dbAccess.IntegrityError(`A alteração #${entry.id} já foi revertida (#${entry.reverted_by}).`);
+        }
+        if (!audit.isRevertible(entry.entity)) {
+          throw new dbAccess.IntegrityError(`Alterações de ${audit.ENTITY_LABELS[entry.entity] || entry.entity} não podem ser revertidas pela auditoria.`);
+        }
+        const revert = entry.entity === 'match'
+          ? revertMatchChange(entry, seasonData)
+          : revertCompetitionChange(entry, seasonData);
+        return revert.then(() => dbAccess.insertAuditEntry({
+          actor_id: user.id,
+          entity: entry.entity,
+          entity_id: entry.entity_id,
+          action: inverseAuditActions[entry.action],
+          before_values: entry.after_values,
+          after_values: entry.before_values,
+          reverts_id: entry.id
+        }));
+      });
+  })
+    .then(() => sendRedirect(res, '/admin/auditoria'))
+    .catch(err => {
+      if (err instanceof dbAccess.IntegrityError) {
+        handleAdminAudit(null, res, user, err.message);
+        return;
+      }
+      sendServerError(res, err);
+    });
+}
+
+// ======================================================================
+// Histórico de palpites
+// ======================================================================
+
+// Placar de um palpite no histórico ("-" quando o palpite ainda não existia)
+function formatHistoryScore(home, away) {
+  return home === null || away === null ? '-' : `${home} x ${away}`;
+}
+
+/**
+ * Página /admin/historico: alterações dos palpites de uma temporada, das
+ * mais recentes para as mais antigas, filtradas por competição, rodada e
+ * apresentador (?temporada=, ?competicao=, ?rodada=, ?apresentador=). As
+ * alterações gravadas depois do início da partida são destacadas.
+ */
+function handleAdminPredictionHistory(req, res, user) {
+  const query = url.parse(req.url, true).query;
+  store.get()
+    .then(all => {
+      const season = resolveSeason(all, query.temporada);
+      const seasonData = all.forSeason(season.id);
+      const competition = query.competicao
+        ? seasonData.competitionsById.get(parseInt(query.competicao, 10)) || null
+        : null;
+      const round = parseInt(query.rodada, 10) || null;
+      const presenter = query.apresentador
+        ? seasonData.usersById.get(parseInt(query.apresentador, 10)) || null
+        : null;
+      return dbAccess.getPredictionHistory({
+        seasonId: season.id,
+        competitionId: competition ? competition.id : null,
+        round,
+        userId: presenter ? presenter.id : null
+      }).then(history => ({ all, season, seasonData, competition, round, presenter, history }));
+    })
+    .then(({ all, season, seasonData, competition, round, presenter, history }) => {
+      // Formulário de filtros
+      const filter = {
+        seasons: all.seasons.map(s => ({ value: s.id, label: s.name, selected: s.id === season.id })),
+        competitions: [{ value: '', label: 'Todas', selected: false }].concat(seasonData.competitions.map(c => ({
+          value: c.id,
+          label: c.name,
+          selected: Boolean(competition) && c.id === competition.id
+        }))),
+        round: round || '',
+        presenters: [{ value: '', label: 'Todos', selected: false }].concat(seasonData.users.filter(u => !u.isAdmin).map(u => ({
+          value: u.id,
+          label: u.name,
+          selected: Boolean(presenter) && u.id === presenter.id
+        })))
+      };
+      // Linhas do histórico
+      const rows = history.map(h => {
+        const home = seasonData.teamsById.get(h.home_team_id);
+        const away = seasonData.teamsById.get(h.away_team_id);
+        const matchCompetition = seasonData.competitionsById.get(h.competition_id);
+        const owner = seasonData.usersById.get(h.user_id);
+        const author = h.changed_by ? seasonData.usersById.get(h.changed_by) : null;
+        return {
+          changed_at: kickoff.format(h.changed_at, true),
+          round: seasonData.competitions.length > 1 ? `${matchCompetition.abbr} ${h.round}` : h.round,
+          teams: `${home.name} x ${away.name}`,
+          kickoff: kickoff.formatMatch(h),
+          owner_name: owner ? owner.name : '-',
+          author_name: author ? author.name : '-',
+          before: formatHistoryScore(h.old_home_score, h.old_away_score),
+          after: formatHistoryScore(h.new_home_score, h.new_away_score),
+          late: kickoff.hasStarted(h, Date.parse(h.changed_at))
+        };
+      });
+      const html = renderTemplate('admin_historico.html', {
+        filter,
+        entries: rows,
+        nav: buildNav(user, '/admin')
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(html);
+    })
+    .catch(err => sendServerError(res, err));
+}
+
+// ======================================================================
+// API JSON (/api/v1)
+// ======================================================================
+// Os dados das páginas públicas em JSON, para bots e para a equipe de redes
+// sociais. As rotas aceitam os mesmos parâmetros das páginas (?temporada=,
+// ?competicao= e, no ranking, nas partidas e nos palpites, ?round=) e usam
+// os mesmos cálculos, de modo que a API e o site nunca divergem: só
+// aparecem as rodadas liberadas, e palpites, apenas os de partidas
+// encerradas. Dados de login (e-mail, senha) nunca fazem parte da resposta.
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.end(JSON.stringify(body));
+}
+
+// Erro da API: { error: mensagem }
+function sendApiError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+// Erro 500 da API: a causa vai para o console e o cliente recebe apenas o
+// identificador da requisição, como na página de erro
+function sendApiServerError(res, err) {
+  logError(res.req, 'Erro interno na API', err);
+  if (res.headersSent) {
+    res.end();
     return;
   }
-  if (pathname === '/ranking' && method === 'GET') {
-    handleRanking(req, res, user);
+  sendJson(res, 500, { error: 'Erro interno do servidor', request_id: res.req.id });
+}
+
+/**
+ * Temporada e competição pedidas na query string. Ao contrário das
+ * páginas, que exibem a temporada em andamento quando o ID não confere, a
+ * API recusa IDs desconhecidos (null), para que o cliente não receba os
+ * dados de outra temporada sem perceber. Sem ?competicao=, `competition`
+ * é null.
+ *
+ * @param {Object} all Dados retornados por store.get()
+ * @param {Object} query Query string já interpretada
+ * @returns {Object|null} { season, seasonData, competition }
+ */
+function resolveApiScope(all, query) {
+  const season = query.temporada
+    ? all.seasonsById.get(parseInt(query.temporada, 10))
+    : resolveSeason(all, undefined);
+  if (!season) return null;
+  const seasonData = all.forSeason(season.id);
+  const competition = query.competicao
+    ? seasonData.competitionsById.get(parseInt(query.competicao, 10)) || null
+    : null;
+  if (query.competicao && !competition) return null;
+  return { season, seasonData, competition };
+}
+
+function apiSeason(season) {
+  return { id: season.id, name: season.name, year: season.year, archived: Boolean(season.archived) };
+}
+
+function apiCompetition(competition) {
+  if (!competition) return null;
+  return { id: competition.id, name: competition.name, abbr: competition.abbr, format: competition.format };
+}
+
+function apiTeam(team) {
+  return { id: team.id, name: team.name, abbr: team.abbr };
+}
+
+function apiPresenter(user) {
+  return { id: user.id, name: user.name };
+}
+
+function apiMatch(match, data) {
+  return {
+    id: match.id,
+    competition_id: match.competition_id,
+    round: match.round,
+    stage: match.stage,
+    leg: match.leg,
+    kickoff_at: match.kickoff_at,
+    kickoff_tbd: Boolean(match.kickoff_tbd),
+    status: match.status,
+    home_team: apiTeam(data.teamsById.get(match.home_team_id)),
+    away_team: apiTeam(data.teamsById.get(match.away_team_id)),
+    home_score: match.home_score,
+    away_score: match.away_score,
+    home_penalties: match.home_penalties,
+    away_penalties: match.away_penalties,
+    annulled_reason: match.annulled_reason
+  };
+}
+
+function apiRound(group) {
+  return { key: group.key, label: group.label, competition_id: group.competition.id, round: group.round };
+}
+
+/**
+ * Rodadas liberadas do escopo da API, já filtradas por ?round= (a mesma
+ * chave usada no seletor do ranking). Uma rodada desconhecida resulta em
+ * null.
+ *
+ * @param {Object} all Dados retornados por store.get()
+ * @param {Object} data Visão da temporada ou da competição
+ * @param {Object} query Query string já interpretada
+ * @returns {Array|null} Grupos de groupMatchesByRound
+ */
+function apiRoundGroups(all, data, query) {
+  const groups = groupMatchesByRound(getReleasedMatches(data.matches), all.competitionsById);
+  if (!query.round) return groups;
+  const selected = groups.filter(g => g.key === query.round);
+  return selected.length > 0 ? selected : null;
+}
+
+// GET /api/v1/classificacao: tabela de uma competição de pontos corridos
+// (a primeira da temporada, sem ?competicao=), na ordem da página inicial
+// e com a forma recente de cada time
+function handleApiClassification(req, res, query) {
+  store.get()
+    .then(all => {
+      const scope = resolveApiScope(all, query);
+      if (!scope) {
+        sendApiError(res, 404, 'Temporada ou competição não encontrada.');
+        return;
+      }
+      const competition = scope.competition || resolveCompetition(scope.seasonData, undefined);
+      if (!competition) {
+        sendApiError(res, 404, 'Nenhuma competição cadastrada nesta temporada.');
+        return;
+      }
+      if (competition.format === 'knockout') {
+        sendApiError(res, 404, 'Competições de mata-mata não têm classificação.');
+        return;
+      }
+      const data = scope.seasonData.forCompetition(competition.id);
+      const { sorted } = rankClassification(data.classification, data);
+      sendJson(res, 200, {
+        season: apiSeason(scope.season),
+        competition: apiCompetition(competition),
+        tiebreakers: data.tiebreakers,
+        classification: sorted.map((entry, index) => ({
+          position: index + 1,
+          team: apiTeam(data.teamsById.get(entry.team_id)),
+          points: entry.points,
+          games: entry.games,
+          wins: entry.wins,
+          draws: entry.draws,
+          losses: entry.losses,
+          goals_for: entry.goals_for,
+          goals_against: entry.goals_against,
+          goal_diff: entry.goal_diff,
+          form: computeTeamForm(entry.team_id, data.matches)
+        }))
+      });
+    })
+    .catch(err => sendApiServerError(res, err));
+}
+
+// GET /api/v1/partidas: partidas das rodadas liberadas, agrupadas por rodada
+function handleApiMatches(req, res, query) {
+  store.get()
+    .then(all => {
+      const scope = resolveApiScope(all, query);
+      if (!scope) {
+        sendApiError(res, 404, 'Temporada ou competição não encontrada.');
+        return;
+      }
+      const data = scope.competition ? scope.seasonData.forCompetition(scope.competition.id) : scope.seasonData;
+      const groups = apiRoundGroups(all, data, query);
+      if (!groups) {
+        sendApiError(res, 404, 'Rodada não encontrada.');
+        return;
+      }
+      sendJson(res, 200, {
+        season: apiSeason(scope.season),
+        competition: apiCompetition(scope.competition),
+        rounds: groups.map(g => ({
+          ...apiRound(g),
+          matches: g.matches.map(m => apiMatch(m, data))
+        }))
+      });
+    })
+    .catch(err => sendApiServerError(res, err));
+}
+
+// GET /api/v1/ranking: ranking dos apresentadores, geral ou de uma rodada
+// (?round=), calculado como na página do ranking
+function handleApiRanking(req, res, query) {
+  store.get()
+    .then(all => {
+      if (!resolveApiScope(all, query)) {
+        sendApiError(res, 404, 'Temporada ou competição não encontrada.');
+        return;
+      }
+      const { season, competition, data, roundGroups } = resolveRankingScope(all, query);
+      const selectedOrder = query.round ? roundGroups.findIndex(g => g.key === query.round) : -1;
+      if (query.round && selectedOrder < 0) {
+        sendApiError(res, 404, 'Rodada não encontrada.');
+        return;
+      }
+      const ranking = computeRanking(data, roundGroups, selectedOrder);
+      sendJson(res, 200, {
+        season: apiSeason(season),
+        competition: apiCompetition(competition),
+        round: selectedOrder >= 0 ? apiRound(roundGroups[selectedOrder]) : null,
+        rounds: roundGroups.map(apiRound),
+        ranking: ranking.map((entry, index) => ({
+          position: index + 1,
+          presenter: apiPresenter(entry.user),
+          points: entry.total,
+          exact: entry.exactCount,
+          result: entry.resultCount,
+          miss: entry.errorCount
+        }))
+      });
+    })
+    .catch(err => sendApiServerError(res, err));
+}
+
+// GET /api/v1/palpites: palpites dos apresentadores nas partidas encerradas,
+// com os pontos de cada um. Partidas ainda abertas ficam de fora, para que
+// a API não revele palpites antes do jogo.
+function handleApiPredictions(req, res, query) {
+  store.get()
+    .then(all => {
+      const scope = resolveApiScope(all, query);
+      if (!scope) {
+        sendApiError(res, 404, 'Temporada ou competição não encontrada.');
+        return;
+      }
+      const data = scope.competition ? scope.seasonData.forCompetition(scope.competition.id) : scope.seasonData;
+      const groups = apiRoundGroups(all, data, query);
+      if (!groups) {
+        sendApiError(res, 404, 'Rodada não encontrada.');
+        return;
+      }
+      const presenters = data.users.filter(u => !u.isAdmin);
+      const matches = [];
+      groups.forEach(g => g.matches.filter(matchStatus.isFinished).forEach(match => {
+        const predictions = [];
+        presenters.forEach(p => {
+          const pred = data.predictionFor(match.id, p.id);
+          if (!pred) return;
+          const score = scoring.scorePrediction(pred, match, data.scoringRules);
+          predictions.push({
+            presenter: apiPresenter(p),
+            home_score: pred.home_score,
+            away_score: pred.away_score,
+            points: score.points,
+            outcome: score.outcome
+          });
+        });
+        matches.push({ ...apiMatch(match, data), round_key: g.key, predictions });
+      }));
+      sendJson(res, 200, {
+        season: apiSeason(scope.season),
+        competition: apiCompetition(scope.competition),
+        matches
+      });
+    })
+    .catch(err => sendApiServerError(res, err));
+}
+
+function apiScorers(data) {
+  return sortScorers(data.scorers).map((s, index) => ({
+    position: index + 1,
+    player: s.player,
+    team: apiTeam(data.teamsById.get(s.team_id)),
+    goals: s.goals
+  }));
+}
+
+// GET /api/v1/artilharia: artilheiros de uma competição (a primeira da
+// temporada, sem ?competicao=)
+function handleApiScorers(req, res, query) {
+  store.get()
+    .then(all => {
+      const scope = resolveApiScope(all, query);
+      if (!scope) {
+        sendApiError(res, 404, 'Temporada ou competição não encontrada.');
+        return;
+      }
+      const competition = scope.competition || resolveCompetition(scope.seasonData, undefined);
+      if (!competition) {
+        sendApiError(res, 404, 'Nenhuma competição cadastrada nesta temporada.');
+        return;
+      }
+      const data = scope.seasonData.forCompetition(competition.id);
+      sendJson(res, 200, {
+        season: apiSeason(scope.season),
+        competition: apiCompetition(competition),
+        scorers: apiScorers(data)
+      });
+    })
+    .catch(err => sendApiServerError(res, err));
+}
+
+// ----------------------------------------------------------------------
+// API de gravação
+// ----------------------------------------------------------------------
+// Bots e integrações gravam placares, partidas, artilharia e palpites com
+// um token emitido em /admin/tokens (veja api_tokens.js). Cada rota exige
+// uma permissão do token e recebe um objeto JSON. As gravações passam pelas
+// mesmas funções do Admin e da página de palpites (saveMatchScores,
+// createMatch, saveMatchSchedule, saveScorers e savePredictions), com as
+// mesmas validações, a mesma atualização da classificação e a mesma
+// auditoria. Corpo malformado resulta em 400; dados recusados pelas regras
+// do portal (IntegrityError), em 409, com a mensagem do Admin.
+
+function sendApiUnauthorized(res, message) {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendApiError(res, 401, message);
+}
+
+// Exige o cabeçalho `Authorization: Bearer <token>` com um token válido que
+// tenha a permissão `scope`. As gravações são feitas em nome do
+// administrador que emitiu o token, que passa a ser `ctx.user`; os cookies
+// de sessão não valem aqui, e por isso a API dispensa o token CSRF.
+function requireApiToken(scope) {
+  return (ctx, next) => {
+    const token = apiTokens.parseBearer(ctx.req.headers.authorization);
+    if (!token) {
+      sendApiUnauthorized(ctx.res, 'Envie um token da API no cabeçalho Authorization: Bearer <token>.');
+      return undefined;
+    }
+    return Promise.all([dbAccess.getApiTokenByHash(apiTokens.hashToken(token)), store.get()])
+      .then(([record, all]) => {
+        // O token deixa de valer se for revogado ou se quem o emitiu não for
+        // mais administrador
+        const owner = record ? all.usersById.get(record.created_by) : null;
+        if (!record || record.revoked_at || !owner || !owner.isAdmin) {
+          sendApiUnauthorized(ctx.res, 'Token inválido ou revogado.');
+          return undefined;
+        }
+        if (!apiTokens.hasScope(record, scope)) {
+          sendApiError(ctx.res, 403, `O token não tem a permissão "${scope}".`);
+          return undefined;
+        }
+        ctx.user = owner;
+        ctx.req.user = owner;
+        return dbAccess.touchApiToken(record.id, new Date().toISOString()).then(() => next());
+      });
+  };
+}
+
+// Lê o corpo JSON da requisição para `ctx.body`; um corpo que não seja um
+// objeto JSON recebe 400
+function parseJsonBody(ctx, next) {
+  return readBody(ctx.req).then(text => {
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      body = null;
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      sendApiError(ctx.res, 400, 'O corpo da requisição deve ser um objeto JSON.');
+      return undefined;
+    }
+    ctx.body = body;
+    return next();
+  });
+}
+
+function handleApiWriteError(res, err) {
+  if (err instanceof dbAccess.IntegrityError) {
+    sendApiError(res, 409, err.message);
     return;
   }
+  sendApiServerError(res, err);
+}
 
-  if (pathname === '/resultados' && method === 'GET') {
-    handleResultados(req, res, user);
+// Responde com a partida como gravada (após a transação)
+function sendApiMatch(res, status, matchId) {
+  return store.get().then(all => {
+    sendJson(res, status, { match: apiMatch(all.matchesById.get(matchId), all) });
+  });
+}
+
+/**
+ * Converte os campos de rodada, horário, fase e jogo enviados à API para o
+ * formato do formulário do Admin (veja parseMatchScheduleForm). Só entram
+ * os campos presentes no corpo.
+ *
+ * @param {Object} body Corpo da requisição
+ * @returns {Object} { fields } ou { error }
+ */
+function parseApiSchedule(body) {
+  const fields = {};
+  if ('round' in body) {
+    if (!Number.isInteger(body.round)) return { error: 'round deve ser um número inteiro.' };
+    fields.round = String(body.round);
+  }
+  for (const key of ['date', 'time', 'stage']) {
+    if (!(key in body)) continue;
+    if (body[key] !== null && typeof body[key] !== 'string') return { error: `${key} deve ser um texto ou null.` };
+    fields[key] = body[key] || '';
+  }
+  if ('leg' in body) {
+    if (body.leg !== null && body.leg !== 1 && body.leg !== 2) return { error: 'leg deve ser 1 (ida), 2 (volta) ou null.' };
+    fields.leg = body.leg ? String(body.leg) : '';
+  }
+  return { fields };
+}
+
+// POST /api/v1/partidas/:id/placar (permissão `placares`): placar, pênaltis
+// e, opcionalmente, situação de uma partida, como no formulário de placares
+// do Admin. home_score e away_score null apagam o placar.
+function handleApiSetScore(req, res, user, matchId, body) {
+  if (!('home_score' in body) || !('away_score' in body) ||
+      !isGoalCount(body.home_score, true) || !isGoalCount(body.away_score, true)) {
+    sendApiError(res, 400, 'Informe home_score e away_score: inteiros não negativos, ou null para apagar o placar.');
+    return;
+  }
+  const homePen = body.home_penalties === undefined ? null : body.home_penalties;
+  const awayPen = body.away_penalties === undefined ? null : body.away_penalties;
+  if (!isGoalCount(homePen, true) || !isGoalCount(awayPen, true) || (homePen === null) !== (awayPen === null)) {
+    sendApiError(res, 400, 'Informe os dois pênaltis (home_penalties e away_penalties), como inteiros não negativos, ou nenhum.');
     return;
   }
-  if (pathname === '/artilharia' && method === 'GET') {
-    handleArtilharia(req, res, user);
+  if (homePen !== null && (body.home_score === null || body.away_score === null)) {
+    sendApiError(res, 400, 'Os pênaltis exigem o placar completo.');
     return;
   }
+  if (body.status !== undefined && typeof body.status !== 'string') {
+    sendApiError(res, 400, 'status deve ser um texto.');
+    return;
+  }
+  const update = {
+    home_score: body.home_score,
+    away_score: body.away_score,
+    home_penalties: homePen,
+    away_penalties: awayPen,
+    status: body.status
+  };
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(dataStore => saveMatchScores(dataStore, user, new Map([[matchId, update]])));
+  })
+    .then(() => sendApiMatch(res, 200, matchId))
+    .catch(err => handleApiWriteError(res, err));
+}
 
-  // Rota de simulação das últimas 6 rodadas
-  if (pathname === '/simulacao' && method === 'GET') {
-    // Qualquer usuário (logado ou não) pode acessar a simulação
-    handleSimulacao(req, res, user);
+// POST /api/v1/partidas (permissão `partidas`): cadastra uma partida
+// agendada. A data (AAAA-MM-DD) e a hora (HH:MM) são do horário de Brasília,
+// como no Admin; sem elas, o horário fica a definir.
+function handleApiCreateMatch(req, res, user, body) {
+  const ids = ['competition_id', 'home_team_id', 'away_team_id', 'round'];
+  if (ids.some(key => !Number.isInteger(body[key]))) {
+    sendApiError(res, 400, 'Informe competition_id, home_team_id, away_team_id e round (números inteiros).');
     return;
   }
-  if (pathname === '/admin') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    if (method === 'GET') {
-      handleAdminGet(req, res, user);
-    }
+  const parsed = parseApiSchedule(body);
+  if (parsed.error) {
+    sendApiError(res, 400, parsed.error);
     return;
   }
-  if (pathname === '/admin/update_matches' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateMatches(req, res, user);
+  const fields = {
+    competition_id: body.competition_id,
+    home_team_id: body.home_team_id,
+    away_team_id: body.away_team_id,
+    ...parsed.fields
+  };
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => createMatch(seasonData, user, fields));
+  })
+    .then(id => sendApiMatch(res, 201, id))
+    .catch(err => handleApiWriteError(res, err));
+}
+
+// POST /api/v1/partidas/:id (permissão `partidas`): altera rodada, data,
+// hora, fase ou jogo de uma partida. Os campos ausentes ficam como estão.
+function handleApiUpdateMatch(req, res, user, matchId, body) {
+  const parsed = parseApiSchedule(body);
+  if (parsed.error) {
+    sendApiError(res, 400, parsed.error);
     return;
   }
-  if (pathname === '/admin/update_classification' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateClassification(req, res, user);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const current = seasonData.matchesById.get(matchId);
+      const local = current ? kickoff.toLocal(current.kickoff_at, current.kickoff_tbd) : { date: '', time: '' };
+      const fields = current
+        ? {
+          round: String(current.round),
+          date: local.date,
+          time: local.time,
+          stage: current.stage || '',
+          leg: current.leg ? String(current.leg) : '',
+          ...parsed.fields
+        }
+        : parsed.fields;
+      return saveMatchSchedule(seasonData, user, matchId, fields);
+    });
+  })
+    .then(() => sendApiMatch(res, 200, matchId))
+    .catch(err => handleApiWriteError(res, err));
+}
+
+// POST /api/v1/artilharia (permissão `artilharia`): substitui a lista de
+// artilheiros de uma competição, { competition_id, scorers: [{ player,
+// team_id, goals }] }; a ordem e as posições são recalculadas
+function handleApiUpdateScorers(req, res, user, body) {
+  const competitionId = body.competition_id;
+  const valid = Number.isInteger(competitionId) && Array.isArray(body.scorers) &&
+    body.scorers.every(s => s !== null && typeof s === 'object' &&
+      typeof s.player === 'string' && s.player.trim() !== '' &&
+      Number.isInteger(s.team_id) && isGoalCount(s.goals, false));
+  if (!valid) {
+    sendApiError(res, 400, 'Informe competition_id e scorers: lista de { player, team_id, goals }, com gols inteiros não negativos.');
     return;
   }
-  if (pathname === '/admin/update_scorers' && method === 'POST') {
-    if (!user || !user.isAdmin) {
-      sendRedirect(res, '/');
-      return;
-    }
-    handleAdminUpdateScorers(req, res, user);
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(seasonData => {
+      const data = seasonData.forCompetition(competitionId);
+      if (!data) {
+        throw new dbAccess.IntegrityError('A competição informada não pertence à temporada em andamento.');
+      }
+      const scorers = body.scorers.map(s => {
+        const player = s.player.trim();
+        if (!data.teamsById.has(s.team_id)) {
+          throw new dbAccess.IntegrityError(`O time informado para o artilheiro "${player}" não existe.`);
+        }
+        return { player, team_id: s.team_id, goals: s.goals };
+      });
+      return saveScorers(user, competitionId, audit.scorersSnapshot(data.scorers), scorers);
+    });
+  })
+    .then(() => store.get())
+    .then(all => {
+      const data = all.forSeason(all.activeSeason.id).forCompetition(competitionId);
+      sendJson(res, 200, { competition: apiCompetition(data.competition), scorers: apiScorers(data) });
+    })
+    .catch(err => handleApiWriteError(res, err));
+}
+
+// POST /api/v1/palpites (permissão `palpites`): palpites de um apresentador
+// nas partidas da rodada aberta, { presenter_id, predictions: [{ match_id,
+// home_score, away_score }] }. Ao contrário da página de palpites, que grava
+// o restante quando alguma partida já começou, a API recusa o envio
+// inteiro, para que o bot saiba exatamente o que foi gravado.
+function handleApiSubmitPredictions(req, res, user, body) {
+  const valid = Number.isInteger(body.presenter_id) && Array.isArray(body.predictions) &&
+    body.predictions.length > 0 &&
+    body.predictions.every(p => p !== null && typeof p === 'object' && Number.isInteger(p.match_id) &&
+      isGoalCount(p.home_score, false) && isGoalCount(p.away_score, false));
+  if (!valid) {
+    sendApiError(res, 400, 'Informe presenter_id e predictions: lista de { match_id, home_score, away_score }, com gols inteiros não negativos.');
     return;
   }
-  // Fallback 404
-  res.statusCode = 404;
-  res.end('Página não encontrada');
+  // A trava vale para o instante em que a requisição chegou
+  const now = Date.now();
+  dbAccess.transaction(() => {
+    return loadActiveSeasonForWrite().then(dataStore => {
+      const presenter = dataStore.usersById.get(body.presenter_id);
+      if (!presenter || presenter.isAdmin) {
+        throw new dbAccess.IntegrityError('O apresentador informado não existe.');
+      }
+      const open = new Map(getPredictionMatches(dataStore, now).map(m => [m.id, m]));
+      const entries = body.predictions.map(p => {
+        if (!open.has(p.match_id)) {
+          throw new dbAccess.IntegrityError(`A partida ${p.match_id} não está aberta para palpites.`);
+        }
+        return { match: open.get(p.match_id), presenterId: presenter.id, home_score: p.home_score, away_score: p.away_score };
+      });
+      return savePredictions(dataStore, user, entries, now).then(locked => {
+        if (locked.length > 0) {
+          const which = locked.length > 1 ? `as partidas ${locked.join(', ')} já começaram` : `a partida ${locked[0]} já começou`;
+          throw new dbAccess.IntegrityError(`Nenhum palpite foi gravado: ${which}.`);
+        }
+        return presenter;
+      });
+    });
+  })
+    .then(presenter => {
+      sendJson(res, 200, {
+        presenter: apiPresenter(presenter),
+        predictions: body.predictions.map(p => ({ match_id: p.match_id, home_score: p.home_score, away_score: p.away_score }))
+      });
+    })
+    .catch(err => handleApiWriteError(res, err));
+}
+
+// Rotas do portal (veja router.js). Nos caminhos da API, endereço
+// inexistente, método não aceito e falha do handler são respondidos em JSON.
+const isApiPath = pathname => pathname.startsWith('/api/');
+
+const router = createRouter({
+  notFound: ctx => (isApiPath(ctx.pathname)
+    ? sendApiError(ctx.res, 404, 'Endereço não encontrado.')
+    : sendNotFound(ctx.res)),
+  methodNotAllowed: ctx => (isApiPath(ctx.pathname)
+    ? sendApiError(ctx.res, 405, 'Método não permitido.')
+    : sendMethodNotAllowed(ctx.res)),
+  // Exceções de qualquer handler ou middleware terminam na página de erro
+  onError: (err, ctx) => (isApiPath(ctx.pathname)
+    ? sendApiServerError(ctx.res, err)
+    : sendServerError(ctx.res, err))
+});
+
+// Identificador da requisição, devolvido no cabeçalho X-Request-Id e
+// usado nos registros de erro. Um identificador enviado pelo proxy é
+// mantido se tiver um formato seguro para o log.
+router.use((ctx, next) => {
+  const incoming = ctx.req.headers['x-request-id'];
+  ctx.req.id = typeof incoming === 'string' && /^[\w-]{1,64}$/.test(incoming)
+    ? incoming
+    : crypto.randomBytes(6).toString('hex');
+  ctx.res.setHeader('X-Request-Id', ctx.req.id);
+  return next();
+});
+
+// Arquivos estáticos não dependem do usuário logado
+router.use((ctx, next) => {
+  if (!ctx.pathname.startsWith('/static/')) return next();
+  return handleStatic(ctx.req, ctx.res, ctx.pathname);
 });
+router.use(loadUser);
+
+router.get('/', ({ req, res, user }) => handleHome(req, res, user));
+router.get('/login', ({ req, res }) => handleLoginGet(req, res));
+router.post('/login', parseBody, ({ req, res, form }) => handleLoginPost(req, res, form));
+router.post('/logout', requireUser, readForm, ({ req, res }) => handleLogout(req, res));
+router.post('/logout/todos', requireUser, readForm, ({ req, res, user }) => handleLogoutAll(req, res, user));
+router.get('/palpites', requireUser, ({ req, res, user }) => handlePalpitesGet(req, res, user));
+router.post('/palpites', requireUser, readForm, ({ req, res, user, form }) => handlePalpitesPost(req, res, user, form));
+router.get('/ranking', ({ req, res, user }) => handleRanking(req, res, user));
+// Página de um apresentador
+router.get('/ranking/:id(\\d+)', ({ req, res, user, params }) => handlePresenterDetail(req, res, user, parseInt(params.id, 10)));
+router.get('/resultados', ({ req, res, user }) => handleResultados(req, res, user));
+router.get('/artilharia', ({ req, res, user }) => handleArtilharia(req, res, user));
+// Qualquer usuário (logado ou não) pode acessar a simulação
+router.get('/simulacao', ({ req, res, user }) => handleSimulacao(req, res, user));
+
+// API JSON pública, somente leitura
+router.get('/api/v1/classificacao', ({ req, res, query }) => handleApiClassification(req, res, query));
+router.get('/api/v1/partidas', ({ req, res, query }) => handleApiMatches(req, res, query));
+router.get('/api/v1/ranking', ({ req, res, query }) => handleApiRanking(req, res, query));
+router.get('/api/v1/palpites', ({ req, res, query }) => handleApiPredictions(req, res, query));
+router.get('/api/v1/artilharia', ({ req, res, query }) => handleApiScorers(req, res, query));
+
+// API JSON de gravação: cada rota exige um token com a permissão indicada
+const apiPost = (pattern, scope, handler) => router.post(pattern, requireApiToken(scope), parseJsonBody, handler);
+
+apiPost('/api/v1/partidas', 'partidas', ({ req, res, user, body }) => handleApiCreateMatch(req, res, user, body));
+apiPost('/api/v1/partidas/:id(\\d+)', 'partidas', ({ req, res, user, params, body }) => handleApiUpdateMatch(req, res, user, parseInt(params.id, 10), body));
+apiPost('/api/v1/partidas/:id(\\d+)/placar', 'placares', ({ req, res, user, params, body }) => handleApiSetScore(req, res, user, parseInt(params.id, 10), body));
+apiPost('/api/v1/artilharia', 'artilharia', ({ req, res, user, body }) => handleApiUpdateScorers(req, res, user, body));
+apiPost('/api/v1/palpites', 'palpites', ({ req, res, user, body }) => handleApiSubmitPredictions(req, res, user, body));
+
+// Admin: todas as rotas exigem um administrador. Os formulários do Admin
+// são atendidos por handlers (req, res, user, form).
+const adminPost = (pattern, handler) => router.post(pattern, requireAdmin, readForm,
+  ({ req, res, user, form }) => handler(req, res, user, form));
+
+router.get('/admin', requireAdmin, ({ req, res, user }) => handleAdminGet(req, res, user));
+// Página de edição de uma partida
+router.get('/admin/partida/:id(\\d+)', requireAdmin, ({ req, res, user, params }) => handleAdminMatchPage(req, res, user, parseInt(params.id, 10)));
+router.get('/admin/sessoes', requireAdmin, ({ req, res, user }) => handleAdminSessions(req, res, user));
+router.get('/admin/senhas', requireAdmin, ({ req, res, user }) => handleAdminPasswordsPage(req, res, user));
+router.get('/admin/auditoria', requireAdmin, ({ req, res, user }) => handleAdminAudit(req, res, user));
+router.get('/admin/historico', requireAdmin, ({ req, res, user }) => handleAdminPredictionHistory(req, res, user));
+router.get('/admin/tokens', requireAdmin, ({ req, res, user }) => handleAdminTokensPage(req, res, user));
+adminPost('/admin/update_matches', handleAdminUpdateMatches);
+adminPost('/admin/update_classification', handleAdminUpdateClassification);
+adminPost('/admin/update_scorers', handleAdminUpdateScorers);
+adminPost('/admin/create_season', handleAdminCreateSeason);
+adminPost('/admin/create_competition', handleAdminCreateCompetition);
+adminPost('/admin/archive_season', handleAdminArchiveSeason);
+adminPost('/admin/update_scoring', handleAdminUpdateScoring);
+adminPost('/admin/update_tiebreakers', handleAdminUpdateTiebreakers);
+adminPost('/admin/create_match', handleAdminCreateMatch);
+adminPost('/admin/update_match', handleAdminUpdateMatch);
+adminPost('/admin/annul_match', handleAdminAnnulMatch);
+adminPost('/admin/delete_match', handleAdminDeleteMatch);
+adminPost('/admin/sessoes/encerrar', handleAdminEndSession);
+adminPost('/admin/senhas', handleAdminChangePassword);
+adminPost('/admin/tokens', handleAdminCreateToken);
+adminPost('/admin/tokens/revogar', handleAdminRevokeToken);
+adminPost('/admin/auditoria/reverter', handleAdminAuditRevert);
+
+// Create HTTP server
+const server = http.createServer(router.handle);
 
 // Start server if run directly teste
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
-  server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Servidor iniciado em http://localhost:${PORT}`);
-  });
+  // Garante que o banco esteja na versão de esquema esperada pelo código
+  // antes de aceitar requisições.
+  migrations.up(dbAccess.db)
+    .then(applied => {
+      applied.forEach(m => console.log(`Migração aplicada: ${m.file}`));
+      // Remove as sessões que expiraram com o servidor parado
+      return dbAccess.deleteExpiredSessions(new Date().toISOString());
+    })
+    .then(() => {
+      server.listen(PORT, '0.0.0.0', () => {
+        console.log(`Servidor iniciado em http://localhost:${PORT}`);
+      });
+    })
+    .catch(err => {
+      console.error('Erro ao aplicar migrações do banco:', err.message);
+      process.exitCode = 1;
+    });
 }
 
 
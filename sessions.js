@@ -0,0 +1,152 @@
+/*
+ * Sessões de login.
+ *
+ * As sessões ficam na tabela `sessions` (veja migrations/014_sessoes.sql) e
+ * sobrevivem à reinicialização do servidor. O cookie `session` leva um
+ * token aleatório; o banco guarda apenas o hash SHA-256 dele, de modo que
+ * uma cópia do banco não permite entrar no portal.
+ *
+ * A expiração é deslizante: cada acesso adia o fim da sessão. Sem "Lembrar
+ * de mim", a sessão termina após SESSION_TTL sem acessos e o cookie vale
+ * só enquanto o navegador estiver aberto; com a opção, o prazo é
+ * REMEMBER_TTL e o cookie é persistente, renovado junto com a sessão.
+ *
+ * Cada sessão tem também um token CSRF, gerado na entrada, que os
+ * formulários enviam no campo oculto `csrf_token`. Todo envio de formulário
+ * de um usuário logado é recusado se o campo não conferir com o da sessão.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const REMEMBER_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Intervalo mínimo entre duas renovações da mesma sessão, para que cada
+// página não precise gravar no banco
+const TOUCH_INTERVAL = 60 * 1000;
+
+// Tamanho máximo do navegador (User-Agent) guardado para a lista de sessões
+const USER_AGENT_LENGTH = 200;
+
+/**
+ * Gera um token de sessão novo.
+ *
+ * @returns {string}
+ */
+function newToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash do token, como guardado no banco.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function ttl(remember) {
+  return remember ? REMEMBER_TTL : SESSION_TTL;
+}
+
+/**
+ * Fim da sessão contado a partir de um acesso.
+ *
+ * @param {boolean} remember Sessão com "Lembrar de mim"
+ * @param {number} [now] Instante do acesso, em milissegundos
+ * @returns {string} Instante no formato ISO 8601 (UTC)
+ */
+function expiresAt(remember, now = Date.now()) {
+  return new Date(now + ttl(remember)).toISOString();
+}
+
+/**
+ * Indica se a sessão já expirou.
+ *
+ * @param {Object} session Sessão { expires_at }
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expires_at) <= now;
+}
+
+/**
+ * Indica se o acesso deve renovar a sessão (último acesso registrado há
+ * mais de TOUCH_INTERVAL).
+ *
+ * @param {Object} session Sessão { last_seen_at }
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function needsTouch(session, now = Date.now()) {
+  return now - Date.parse(session.last_seen_at) >= TOUCH_INTERVAL;
+}
+
+/**
+ * Confere o token CSRF enviado por um formulário com o da sessão, em tempo
+ * constante.
+ *
+ * @param {Object|null} session Sessão { csrf_token }
+ * @param {string} token Valor do campo `csrf_token`
+ * @returns {boolean}
+ */
+function checkCsrfToken(session, token) {
+  if (!session || !session.csrf_token || typeof token !== 'string') return false;
+  const expected = Buffer.from(session.csrf_token);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Cabeçalho Set-Cookie da sessão.
+ *
+ * @param {string} token Token da sessão
+ * @param {Object} options { remember, secure }: `remember` torna o cookie
+ *   persistente; `secure` o restringe a HTTPS
+ * @returns {string}
+ */
+function cookie(token, { remember, secure }) {
+  let value = `session=${token}; Path=/; HttpOnly; SameSite=Lax`;
+  if (remember) value += `; Max-Age=${Math.floor(REMEMBER_TTL / 1000)}`;
+  if (secure) value += '; Secure';
+  return value;
+}
+
+/**
+ * Cabeçalho Set-Cookie que apaga o cookie da sessão no navegador.
+ *
+ * @param {Object} options { secure }
+ * @returns {string}
+ */
+function clearCookie({ secure }) {
+  let value = 'session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0';
+  if (secure) value += '; Secure';
+  return value;
+}
+
+/**
+ * Navegador informado pela requisição, encurtado para a lista de sessões.
+ *
+ * @param {string} [userAgent] Cabeçalho User-Agent
+ * @returns {string|null}
+ */
+function describeUserAgent(userAgent) {
+  return userAgent ? String(userAgent).slice(0, USER_AGENT_LENGTH) : null;
+}
+
+module.exports = {
+  SESSION_TTL,
+  REMEMBER_TTL,
+  newToken,
+  hashToken,
+  expiresAt,
+  isExpired,
+  needsTouch,
+  checkCsrfToken,
+  cookie,
+  clearCookie,
+  describeUserAgent
+};
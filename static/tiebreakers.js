@@ -0,0 +1,154 @@
+/*
+ * Critérios de desempate das tabelas de classificação.
+ *
+ * Cada competição de pontos corridos guarda a sua sequência de critérios
+ * (coluna `competitions.tiebreakers`, veja
+ * migrations/006_criterios_desempate.sql). Os times são ordenados por
+ * pontos; os empatados são separados pelo primeiro critério da sequência,
+ * os que continuarem empatados pelo segundo, e assim por diante. Se nenhum
+ * critério resolver, vale a ordem alfabética do nome.
+ *
+ * O arquivo é usado pelo servidor (require) e também pela página de
+ * simulação, no navegador, para que a tabela simulada siga exatamente os
+ * mesmos critérios da tabela oficial.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.tiebreakers = factory();
+})(this, function () {
+  // Pontos obtidos nos jogos entre os times do grupo empatado
+  function headToHeadPoints(entry, ctx, groupIds) {
+    let points = 0;
+    ctx.matches.forEach(m => {
+      if (m.home_score === null || m.away_score === null) return;
+      if (!groupIds.includes(m.home_team_id) || !groupIds.includes(m.away_team_id)) return;
+      if (m.home_team_id === entry.team_id) {
+        if (m.home_score > m.away_score) points += 3;
+        else if (m.home_score === m.away_score) points += 1;
+      } else if (m.away_team_id === entry.team_id) {
+        if (m.away_score > m.home_score) points += 3;
+        else if (m.home_score === m.away_score) points += 1;
+      }
+    });
+    return points;
+  }
+
+  function teamStat(ctx, teamId, field) {
+    const stats = ctx.teamStats[teamId];
+    return stats && stats[field] !== null && stats[field] !== undefined ? stats[field] : null;
+  }
+
+  /**
+   * Critérios disponíveis. `order` indica se vence o maior ('desc') ou o
+   * menor ('asc') valor.
+   */
+  const CRITERIA = [
+    { key: 'wins', label: 'Vitórias', order: 'desc', value: e => e.wins },
+    { key: 'goal_diff', label: 'Saldo de gols', order: 'desc', value: e => e.goals_for - e.goals_against },
+    { key: 'goals_for', label: 'Gols marcados', order: 'desc', value: e => e.goals_for },
+    { key: 'head_to_head', label: 'Confronto direto', order: 'desc', value: headToHeadPoints },
+    { key: 'red_cards', label: 'Menos cartões vermelhos', order: 'asc', value: (e, ctx) => teamStat(ctx, e.team_id, 'red_cards') || 0 },
+    { key: 'yellow_cards', label: 'Menos cartões amarelos', order: 'asc', value: (e, ctx) => teamStat(ctx, e.team_id, 'yellow_cards') || 0 },
+    {
+      key: 'draw',
+      label: 'Sorteio',
+      order: 'asc',
+      // Times sem posição de sorteio registrada continuam empatados entre si
+      value: (e, ctx) => {
+        const position = teamStat(ctx, e.team_id, 'draw_order');
+        return position === null ? Number.MAX_SAFE_INTEGER : position;
+      }
+    }
+  ];
+  const CRITERIA_BY_KEY = {};
+  CRITERIA.forEach(c => { CRITERIA_BY_KEY[c.key] = c; });
+
+  // Sequência do regulamento da Série B
+  const DEFAULT_CHAIN = ['wins', 'goal_diff', 'goals_for', 'head_to_head', 'red_cards', 'yellow_cards', 'draw'];
+
+  // Rótulo do desempate final, usado quando nenhum critério separa os times
+  const NAME_LABEL = 'Ordem alfabética';
+
+  /**
+   * Converte o texto gravado no banco ("wins,goal_diff,...") na lista de
+   * critérios. Chaves desconhecidas e repetidas são ignoradas.
+   *
+   * @param {string|null} text Critérios separados por vírgula
+   * @returns {Array<string>} Chaves dos critérios, em ordem
+   */
+  function parseChain(text) {
+    if (text === null || text === undefined) return DEFAULT_CHAIN.slice();
+    const chain = [];
+    String(text).split(',').map(k => k.trim()).forEach(key => {
+      if (CRITERIA_BY_KEY[key] && !chain.includes(key)) chain.push(key);
+    });
+    return chain;
+  }
+
+  // Separa a lista em grupos de mesmo valor, do melhor para o pior
+  function partition(list, valueOf, order) {
+    const groups = new Map();
+    list.forEach(item => {
+      const value = valueOf(item);
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(item);
+    });
+    const values = Array.from(groups.keys()).sort((a, b) => (order === 'asc' ? a - b : b - a));
+    return values.map(v => groups.get(v));
+  }
+
+  function resolve(group, chain, ctx, decisions) {
+    if (group.length < 2) return group.slice();
+    if (chain.length === 0) {
+      const ordered = group.slice().sort((a, b) => ctx.teamNames[a.team_id].localeCompare(ctx.teamNames[b.team_id]));
+      for (let i = 1; i < ordered.length; i++) {
+        decisions.push({ above: ordered[i - 1].team_id, below: ordered[i].team_id, criterion: 'name' });
+      }
+      return ordered;
+    }
+    const criterion = CRITERIA_BY_KEY[chain[0]];
+    const groupIds = group.map(e => e.team_id);
+    const subgroups = partition(group, e => criterion.value(e, ctx, groupIds), criterion.order);
+    if (subgroups.length === 1) return resolve(group, chain.slice(1), ctx, decisions);
+    const result = [];
+    subgroups.forEach((sub, i) => {
+      const ordered = resolve(sub, chain.slice(1), ctx, decisions);
+      if (i > 0) {
+        decisions.push({ above: result[result.length - 1].team_id, below: ordered[0].team_id, criterion: criterion.key });
+      }
+      result.push(...ordered);
+    });
+    return result;
+  }
+
+  /**
+   * Ordena a classificação por pontos e aplica a sequência de critérios aos
+   * times empatados. Além da lista ordenada, devolve, para cada par de times
+   * vizinhos empatados em pontos, o critério que os separou ('name' para a
+   * ordem alfabética).
+   *
+   * @param {Array} classification Linhas da classificação (não é alterada)
+   * @param {Object} ctx { chain, matches, teamStats, teamNames }: sequência
+   *   de critérios, partidas da competição, cartões e sorteio por time
+   *   ({ [team_id]: { yellow_cards, red_cards, draw_order } }) e nomes dos
+   *   times ({ [team_id]: nome })
+   * @returns {Object} { sorted, decisions }, com decisions no formato
+   *   [{ above, below, criterion }]
+   */
+  function rankClassification(classification, ctx) {
+    const decisions = [];
+    const sorted = [];
+    partition(classification, e => e.points, 'desc').forEach(group => {
+      sorted.push(...resolve(group, ctx.chain, ctx, decisions));
+    });
+    return { sorted, decisions };
+  }
+
+  // Rótulo de um critério (ou do desempate final por nome)
+  function criterionLabel(key) {
+    if (key === 'name') return NAME_LABEL;
+    return CRITERIA_BY_KEY[key] ? CRITERIA_BY_KEY[key].label : key;
+  }
+
+  return { CRITERIA, DEFAULT_CHAIN, parseChain, rankClassification, criterionLabel };
+});
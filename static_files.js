@@ -0,0 +1,181 @@
+/*
+ * Arquivos estáticos (pasta static/).
+ *
+ * Só são servidos arquivos que estejam de fato dentro de static/: o caminho
+ * pedido é decodificado e resolvido antes da conferência, de modo que
+ * `/static/../database.db` e variações codificadas (`%2e%2e`) resultam em
+ * 404. Arquivos e pastas ocultos (iniciados por ponto) também não são
+ * servidos.
+ *
+ * Cada resposta traz ETag e Last-Modified; um navegador que já tem a
+ * versão atual recebe 304, sem o conteúdo. As imagens (escudos e logotipos)
+ * ficam em cache por CACHE_MAX_AGE; os demais arquivos são sempre
+ * revalidados, para que uma alteração no CSS apareça na hora. CSS,
+ * JavaScript e SVG são enviados com brotli ou gzip quando o navegador
+ * aceita; a versão compactada de cada arquivo é guardada em memória até o
+ * arquivo mudar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const STATIC_DIR = path.join(__dirname, 'static');
+
+// Tempo de cache das imagens, em segundos (30 dias)
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60;
+
+const MIME_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf'
+};
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico']);
+
+// Tipos enviados compactados
+const COMPRESSIBLE_EXTENSIONS = new Set(['.css', '.js', '.svg']);
+
+// Codificações aceitas, em ordem de preferência
+const ENCODINGS = [
+  { name: 'br', compress: zlib.brotliCompress },
+  { name: 'gzip', compress: zlib.gzip }
+];
+
+// Versões compactadas já calculadas, por arquivo e codificação
+const compressedCache = new Map();
+
+/**
+ * Caminho absoluto de um arquivo de static/, ou null se o caminho pedido
+ * sair da pasta, tiver codificação inválida ou apontar para um arquivo
+ * oculto.
+ *
+ * @param {string} relativePath Caminho depois de /static/, como veio na URL
+ * @returns {string|null}
+ */
+function resolvePath(relativePath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(relativePath);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const filePath = path.resolve(STATIC_DIR, decoded);
+  if (!filePath.startsWith(STATIC_DIR + path.sep)) return null;
+  const segments = path.relative(STATIC_DIR, filePath).split(path.sep);
+  if (segments.some(segment => segment.startsWith('.'))) return null;
+  return filePath;
+}
+
+function stat(filePath) {
+  return new Promise(resolve => {
+    fs.stat(filePath, (err, stats) => resolve(err ? null : stats));
+  });
+}
+
+function readFile(filePath) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, (err, content) => (err ? reject(err) : resolve(content)));
+  });
+}
+
+// ETag fraco, derivado do tamanho e da data de modificação do arquivo
+function etagFor(stats) {
+  return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// Indica se a cópia do navegador (If-None-Match / If-Modified-Since) ainda
+// é a atual. If-None-Match, quando presente, prevalece.
+function isNotModified(req, etag, stats) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if (Number.isNaN(ifModifiedSince)) return false;
+  return Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Codificação preferida entre as aceitas pelo navegador (Accept-Encoding)
+function chooseEncoding(acceptEncoding) {
+  const accepted = new Map();
+  String(acceptEncoding || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+  });
+  return ENCODINGS.find(e => accepted.get(e.name) > 0) || null;
+}
+
+function compressed(filePath, etag, encoding) {
+  const key = `${filePath}|${encoding.name}`;
+  const cached = compressedCache.get(key);
+  if (cached && cached.etag === etag) return Promise.resolve(cached.content);
+  return readFile(filePath)
+    .then(content => new Promise((resolve, reject) => {
+      encoding.compress(content, (err, result) => (err ? reject(err) : resolve(result)));
+    }))
+    .then(content => {
+      compressedCache.set(key, { etag, content });
+      return content;
+    });
+}
+
+/**
+ * Responde a um pedido (GET ou HEAD) de arquivo estático.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} relativePath Caminho depois de /static/
+ * @returns {Promise<boolean>} false se o arquivo não existe (nada foi
+ *   respondido; cabe a quem chamou enviar o 404)
+ */
+function serve(req, res, relativePath) {
+  const filePath = resolvePath(relativePath);
+  if (!filePath) return Promise.resolve(false);
+  return stat(filePath).then(stats => {
+    if (!stats || !stats.isFile()) return false;
+    const ext = path.extname(filePath).toLowerCase();
+    const etag = etagFor(stats);
+    const compressible = COMPRESSIBLE_EXTENSIONS.has(ext);
+    res.setHeader('Content-Type', MIME_TYPES[ext] || 'application/octet-stream');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('Cache-Control', IMAGE_EXTENSIONS.has(ext) ? `public, max-age=${CACHE_MAX_AGE}` : 'no-cache');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (compressible) res.setHeader('Vary', 'Accept-Encoding');
+    if (isNotModified(req, etag, stats)) {
+      res.statusCode = 304;
+      res.end();
+      return true;
+    }
+    const encoding = compressible ? chooseEncoding(req.headers['accept-encoding']) : null;
+    const body = encoding ? compressed(filePath, etag, encoding) : readFile(filePath);
+    return body.then(content => {
+      if (encoding) res.setHeader('Content-Encoding', encoding.name);
+      res.setHeader('Content-Length', content.length);
+      res.statusCode = 200;
+      res.end(req.method === 'HEAD' ? undefined : content);
+      return true;
+    });
+  });
+}
+
+module.exports = {
+  serve
+};
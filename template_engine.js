@@ -0,0 +1,284 @@
+/*
+ * Motor de templates das páginas.
+ *
+ * Os arquivos de templates/ usam uma sintaxe no estilo Handlebars:
+ *
+ *   {{nome}}                 valor escapado para HTML (aceita caminhos como
+ *                            `time.nome`, além de `this` e `@index`)
+ *   {{{nome}}}               valor inserido sem escape, apenas para trechos
+ *                            confiáveis (veja abaixo)
+ *   {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}}
+ *   {{#each lista}}…{{else}}…{{/each}}  repete o trecho para cada item; o
+ *                            item vira o contexto e `@index`, `@first` e
+ *                            `@last` indicam a posição
+ *   {{> nome}}               inclui templates/partials/nome.html, com o
+ *                            contexto atual ou com `{{> nome caminho}}`
+ *   {{! comentário}}         removido da saída
+ *
+ * Por padrão tudo é escapado: um nome digitado no Admin nunca vira HTML.
+ * `{{{ }}}` fica reservado para trechos que não trazem dados digitados, como
+ * o corpo da página no layout e os dados de um <script>, gerados com
+ * scriptJson. Nomes que não existem no contexto atual são procurados nos
+ * contextos externos (por exemplo, `csrf_token` dentro de um `{{#each}}`);
+ * valores ausentes resultam em texto vazio.
+ *
+ * Uma página pode começar com `{{< layout}}`: ela é então renderizada dentro
+ * de templates/layout.html, que recebe o conteúdo da página em `body`. Os
+ * trechos `{{#block nome}}…{{/block}}` da página não entram em `body`:
+ * viram a variável `nome` do layout (título, cabeçalho extra, scripts).
+ *
+ * Linhas que contêm apenas uma tag de bloco, parcial ou comentário são
+ * removidas por inteiro, para que o HTML gerado mantenha a indentação do
+ * template; uma parcial nessa situação é indentada como a tag. Os
+ * templates são lidos e analisados uma única vez.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+// Tags de bloco aceitas depois de `{{#`
+const BLOCK_TAGS = new Set(['if', 'unless', 'each', 'block']);
+
+const compiled = new Map();
+
+/**
+ * Escapa um valor para inseri-lo no HTML (texto ou atributo entre aspas).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escape(value) {
+  return toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Converte um valor em JSON para inseri-lo sem escape em um <script>
+ * (`const dados = {{{json}}};`). Os caracteres `<`, `>` e `&` e os
+ * separadores de linha viram sequências \uXXXX, de modo que um texto como
+ * `</script>` dentro dos dados não encerra o script.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function scriptJson(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/[<>&\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function toText(value) {
+  return value === undefined || value === null || value === false ? '' : String(value);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Intervalo a remover quando a tag ocupa sozinha a sua linha, ou null
+function standaloneRange(source, start, end, min) {
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  let lineEnd = source.indexOf('\n', end);
+  if (lineEnd === -1) lineEnd = source.length;
+  if (lineStart < min) return null;
+  if (!/^[ \t]*$/.test(source.slice(lineStart, start))) return null;
+  if (!/^[ \t\r]*$/.test(source.slice(end, lineEnd))) return null;
+  return { start: lineStart, end: Math.min(lineEnd + 1, source.length) };
+}
+
+/**
+ * Analisa o texto de um template.
+ *
+ * @param {string} source Conteúdo do arquivo
+ * @param {string} name Nome do template, usado nas mensagens de erro
+ * @returns {Object} { layout, nodes }
+ */
+function parse(source, name) {
+  const root = { nodes: [] };
+  const stack = [{ node: root, list: root.nodes, tag: null }];
+  let layout = null;
+  let last = 0;
+  let match;
+  const fail = message => { throw new Error(`Template ${name}: ${message}`); };
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const top = stack[stack.length - 1];
+    const raw = match[1] !== undefined;
+    const tag = raw ? match[1] : match[2];
+    const sigil = raw ? '' : tag[0];
+    const structural = !raw && ('#/!<>'.includes(sigil) || tag === 'else');
+    const range = structural ? standaloneRange(source, match.index, TAG.lastIndex, last) : null;
+    const textEnd = range ? range.start : match.index;
+    if (textEnd > last) top.list.push({ type: 'text', value: source.slice(last, textEnd) });
+    last = range ? range.end : TAG.lastIndex;
+    TAG.lastIndex = last;
+
+    if (raw) {
+      top.list.push({ type: 'var', path: tag, raw: true });
+      continue;
+    }
+    const rest = tag.slice(1).trim();
+    if (sigil === '!') continue;
+    if (sigil === '<') {
+      if (layout !== null || root.nodes.some(n => n.type !== 'text' || n.value.trim())) {
+        fail('{{< layout}} deve ser a primeira tag do arquivo');
+      }
+      layout = rest;
+      continue;
+    }
+    if (sigil === '>') {
+      const [partial, context] = rest.split(/\s+/);
+      // Uma parcial sozinha na linha recebe a indentação da tag
+      const indent = range ? source.slice(range.start, match.index) : '';
+      top.list.push({ type: 'partial', name: partial, path: context || null, indent });
+      continue;
+    }
+    if (sigil === '#') {
+      const [helper, arg] = rest.split(/\s+/);
+      if (!BLOCK_TAGS.has(helper)) fail(`bloco desconhecido {{#${helper}}}`);
+      if (!arg) fail(`{{#${helper}}} sem argumento`);
+      if (helper === 'block' && stack.length > 1) fail('{{#block}} deve ficar fora de outros blocos');
+      const node = { type: helper, path: arg, nodes: [], inverse: [] };
+      top.list.push(node);
+      stack.push({ node, list: node.nodes, tag: helper });
+      continue;
+    }
+    if (sigil === '/') {
+      if (top.tag !== rest) fail(`{{/${rest}}} não corresponde ao bloco aberto (${top.tag || 'nenhum'})`);
+      stack.pop();
+      continue;
+    }
+    if (tag === 'else') {
+      if (!top.tag || top.tag === 'block' || top.list === top.node.inverse) fail('{{else}} fora de lugar');
+      top.list = top.node.inverse;
+      continue;
+    }
+    top.list.push({ type: 'var', path: tag, raw: false });
+  }
+  if (last < source.length) stack[stack.length - 1].list.push({ type: 'text', value: source.slice(last) });
+  if (stack.length > 1) fail(`bloco {{#${stack[stack.length - 1].tag}}} não foi fechado`);
+  return { layout, nodes: root.nodes };
+}
+
+function load(file) {
+  if (!compiled.has(file)) {
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+    compiled.set(file, parse(source, file));
+  }
+  return compiled.get(file);
+}
+
+// Procura um caminho (`a.b`, `this`, `@index`) na pilha de contextos, do
+// mais interno para o mais externo
+function lookup(scopes, expression) {
+  const top = scopes[scopes.length - 1];
+  if (expression.startsWith('@')) {
+    const frame = scopes.slice().reverse().find(s => s.loop);
+    return frame ? frame.loop[expression.slice(1)] : undefined;
+  }
+  const parts = expression.split('.');
+  let value;
+  if (parts[0] === 'this') {
+    value = top.data;
+    parts.shift();
+  } else {
+    const frame = scopes.slice().reverse()
+      .find(s => s.data !== null && typeof s.data === 'object' && parts[0] in s.data);
+    if (!frame) return undefined;
+    value = frame.data;
+  }
+  for (const part of parts) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+// Remove as linhas em branco do início e do fim de um trecho que vai para o
+// layout, preservando a indentação da primeira linha
+function trimLines(html) {
+  return html.replace(/^\s*\n/, '').replace(/\s+$/, '');
+}
+
+function renderNodes(nodes, scopes, blocks) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'var': {
+        const value = lookup(scopes, node.path);
+        out += node.raw ? toText(value) : escape(value);
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(scopes, node.path));
+        const branch = truthy === (node.type === 'if') ? node.nodes : node.inverse;
+        out += renderNodes(branch, scopes, blocks);
+        break;
+      }
+      case 'each': {
+        const list = lookup(scopes, node.path);
+        if (!isTruthy(list)) {
+          out += renderNodes(node.inverse, scopes, blocks);
+          break;
+        }
+        const items = Array.isArray(list) ? list : [list];
+        items.forEach((item, index) => {
+          const loop = { index, first: index === 0, last: index === items.length - 1 };
+          out += renderNodes(node.nodes, scopes.concat({ data: item, loop }), blocks);
+        });
+        break;
+      }
+      case 'partial': {
+        const partial = load(path.join('partials', `${node.name}.html`));
+        const inner = node.path ? scopes.concat({ data: lookup(scopes, node.path) }) : scopes;
+        const html = renderNodes(partial.nodes, inner, blocks);
+        out += node.indent ? html.replace(/^(?=.)/gm, node.indent) : html;
+        break;
+      }
+      case 'block':
+        blocks[node.path] = trimLines(renderNodes(node.nodes, scopes, blocks));
+        break;
+      default:
+        break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Renderiza um template de templates/ com as variáveis informadas.
+ *
+ * @param {string} name Nome do arquivo (por exemplo, 'home.html')
+ * @param {Object} vars Variáveis da página
+ * @returns {string} HTML gerado
+ */
+function render(name, vars) {
+  let template = load(name);
+  const blocks = {};
+  let html = renderNodes(template.nodes, [{ data: vars }], blocks);
+  // O layout também pode declarar um layout; as variáveis da página
+  // continuam visíveis nele, abaixo dos blocos e do corpo
+  while (template.layout) {
+    template = load(`${template.layout}.html`);
+    const layoutVars = { ...blocks, body: trimLines(html) };
+    html = renderNodes(template.nodes, [{ data: vars }, { data: layoutVars }], blocks);
+  }
+  return html;
+}
+
+module.exports = {
+  escape,
+  scriptJson,
+  render
+};